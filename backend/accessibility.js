@@ -0,0 +1,45 @@
+import axe from 'axe-core';
+
+// --- ACCESSIBILITY (axe-core WCAG audit) ---
+const WCAG_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa'];
+const MAX_NODES_PER_RULE = 10;
+const IMPACT_ORDER = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+
+// Injects axe into the page and returns its WCAG violations, worst impact first
+export async function runAccessibilityAudit(page) {
+  // page.evaluate runs through the DevTools protocol, so the page's CSP cannot block the script
+  await page.evaluate(axe.source);
+  const results = await page.evaluate(tags => window.axe.run(document, {
+    runOnly: { type: 'tag', values: tags },
+    resultTypes: ['violations']
+  }), WCAG_TAGS);
+
+  const violations = results.violations
+    .map(violation => ({
+      id: violation.id,
+      impact: violation.impact || 'minor',
+      description: violation.description,
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+      wcag: violation.tags.filter(tag => /^wcag\d/.test(tag)),
+      nodeCount: violation.nodes.length,
+      nodes: violation.nodes.slice(0, MAX_NODES_PER_RULE).map(node => ({
+        selector: node.target.join(' '),
+        html: node.html.substring(0, 200),
+        failureSummary: node.failureSummary
+      }))
+    }))
+    .sort((a, b) => IMPACT_ORDER[a.impact] - IMPACT_ORDER[b.impact]);
+
+  const countByImpact = impact => violations.filter(v => v.impact === impact).length;
+  return {
+    engine: `axe-core ${axe.version}`,
+    violations,
+    summary: {
+      critical: countByImpact('critical'),
+      serious: countByImpact('serious'),
+      moderate: countByImpact('moderate'),
+      minor: countByImpact('minor')
+    }
+  };
+}
@@ -0,0 +1,90 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+// --- AUTHENTICATION (login recipes and reusable storage state) ---
+// A mission brings either a Playwright storageState or a login recipe:
+//   { project, login: { url, fields: [{ selector, value }], submit, waitFor } }
+// Field values must be references resolved here, "env:QA_AUTH_PASSWORD" or "secret:qa_password"
+// (a file in SECRETS_DIR, e.g. Docker secrets), so credentials never travel with the mission.
+// The caller picks the login url, so a mission may only name QA_AUTH_* variables or those in
+// AUTH_ENV_ALLOWLIST; anything else (OPENAI_API_KEY...) could be typed into a hostile page.
+const SECRETS_DIR = process.env.SECRETS_DIR || '/run/secrets';
+const AUTH_ENV_PREFIX = 'QA_AUTH_';
+const AUTH_ENV_ALLOWLIST = (process.env.AUTH_ENV_ALLOWLIST || '').split(',').map(name => name.trim()).filter(Boolean);
+export const SESSION_TTL_MINUTES = Number(process.env.AUTH_SESSION_TTL_MINUTES ?? 60);
+const LOGIN_TIMEOUT = 30000;
+
+const authEnvAllowed = (name) => name.startsWith(AUTH_ENV_PREFIX) || AUTH_ENV_ALLOWLIST.includes(name);
+
+// anyEnv is for server-side config only (MCP server env in mcp/servers.json), never for mission input
+export async function resolveSecret(value, { anyEnv = false } = {}) {
+  const text = String(value ?? '');
+  if (text.startsWith('env:')) {
+    const name = text.slice(4);
+    if (!anyEnv && !authEnvAllowed(name)) throw new Error(`Environment variable ${name} is not allowed (use ${AUTH_ENV_PREFIX}* or AUTH_ENV_ALLOWLIST)`);
+    if (process.env[name] === undefined) throw new Error(`Environment variable ${name} is not set`);
+    return process.env[name];
+  }
+  if (text.startsWith('secret:')) {
+    const name = text.slice(7);
+    if (!/^[\w.-]+$/.test(name)) throw new Error(`Invalid secret name: ${name}`);
+    try {
+      return (await fs.readFile(path.join(SECRETS_DIR, name), 'utf8')).trim();
+    } catch (e) {
+      throw new Error(`Secret ${name} not found in ${SECRETS_DIR}`);
+    }
+  }
+  return text;
+}
+
+export function validateAuth(auth) {
+  if (auth.storageState) {
+    if (!Array.isArray(auth.storageState.cookies)) throw new Error('storageState must be a Playwright storage state ({ cookies, origins })');
+    return;
+  }
+  const login = auth.login;
+  if (!login?.url || !Array.isArray(login.fields) || login.fields.length === 0) {
+    throw new Error('auth needs a storageState or a login recipe with a url and at least one field');
+  }
+  if (login.fields.some(field => !field.selector)) throw new Error('Every login field needs a selector');
+  // Mission configs and projects are saved to disk, so a literal value would store the credential
+  for (const field of login.fields) {
+    const value = String(field.value ?? '');
+    if (!value.startsWith('env:') && !value.startsWith('secret:')) {
+      throw new Error(`Login field ${field.selector} must be an env:NAME or secret:NAME reference, not a literal value`);
+    }
+    if (value.startsWith('env:') && !authEnvAllowed(value.slice(4))) {
+      throw new Error(`Environment variable ${value.slice(4)} is not allowed in a login recipe (use ${AUTH_ENV_PREFIX}* or AUTH_ENV_ALLOWLIST)`);
+    }
+  }
+}
+
+// One cached session per project and recipe, so changing the recipe logs in again
+export function sessionKey(auth) {
+  return createHash('sha1').update(JSON.stringify({ project: auth.project || null, login: auth.login })).digest('hex').slice(0, 16);
+}
+
+// Mission configs are archived; an uploaded storageState holds live cookies, so only its size is kept
+export function redactAuth(auth) {
+  if (!Array.isArray(auth?.storageState?.cookies)) return auth;
+  return { ...auth, storageState: { cookies: auth.storageState.cookies.length, origins: (auth.storageState.origins || []).length } };
+}
+
+// Fills the recipe's fields, submits and waits until the app lets us in
+export async function performLogin(page, login) {
+  await page.goto(login.url, { waitUntil: 'domcontentloaded', timeout: LOGIN_TIMEOUT });
+  for (const field of login.fields) {
+    await page.fill(field.selector, await resolveSecret(field.value), { timeout: 10000 });
+  }
+
+  const loginUrl = page.url();
+  if (login.submit) await page.click(login.submit, { timeout: 10000 });
+  else await page.keyboard.press('Enter');
+
+  if (login.waitFor) await page.waitForSelector(login.waitFor, { timeout: LOGIN_TIMEOUT });
+  else await page.waitForURL(url => url.toString() !== loginUrl, { timeout: LOGIN_TIMEOUT });
+  await page.waitForLoadState('networkidle', { timeout: 15000 }).catch(() => {});
+
+  return page.context().storageState();
+}
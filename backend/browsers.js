@@ -0,0 +1,31 @@
+import { chromium, firefox, webkit } from 'playwright';
+
+// --- BROWSER ENGINES ---
+// Mission option: browsers: ["chromium", "firefox", "webkit"] (default ["chromium"]).
+// Every device runs once per engine; Chromium stays the default so results, baselines and
+// archived files recorded before engines were selectable keep their plain device keys.
+export const BROWSER_TYPES = { chromium, firefox, webkit };
+export const BROWSERS = Object.keys(BROWSER_TYPES);
+export const DEFAULT_BROWSER = 'chromium';
+
+// Validates a mission's browser list; throws with a message fit for a 400
+export function resolveBrowsers(list) {
+  if (list === undefined || list === null) return [DEFAULT_BROWSER];
+  if (!Array.isArray(list) || list.length === 0) throw new Error('browsers must be a non-empty list');
+  const unknown = list.filter(name => !BROWSER_TYPES[name]);
+  if (unknown.length) throw new Error(`Unknown browser(s): ${unknown.join(', ')} (available: ${BROWSERS.join(', ')})`);
+  return [...new Set(list)];
+}
+
+// --no-sandbox is a Chromium flag; Firefox and WebKit refuse unknown arguments
+export const launchOptions = (browser) => ({ headless: true, ...(browser === 'chromium' ? { args: ['--no-sandbox'] } : {}) });
+
+// Firefox has no mobile emulation (isMobile throws); viewport, DPR, touch and user agent still apply
+export function contextOptions(browser, options) {
+  if (browser !== 'firefox') return options;
+  const { isMobile, ...rest } = options;
+  return rest;
+}
+
+// Key of a result in baselines, archived file names and run comparisons: "mobile", "mobile-firefox"
+export const resultKey = (result) => result.browser && result.browser !== DEFAULT_BROWSER ? `${result.device}-${result.browser}` : result.device;
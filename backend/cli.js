@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { pickMissionConfig } from './orchestrator.js';
+import { engineFor } from './engines.js';
+import { historyStore } from './store.js';
+import { toJUnit, toJsonReport, toHtml } from './reporters.js';
+import { deviceName } from './devices.js';
+import { validateThresholds } from './verdict.js';
+
+// --- CLI / CI MODE ---
+// Runs the mission pipeline without the server or the UI:
+//   node cli.js --config qa.config.json [--out qa-reports] [--format junit,json,html] [--fail-on warning] [--archive]
+// Exit codes: 0 pass, 1 verdict over the --fail-on level, 2 invalid config or crashed run.
+const FORMATS = {
+  junit: { file: 'junit.xml', render: (runs) => toJUnit(runs) },
+  json: { file: 'report.json', render: (runs, status) => toJsonReport(runs, status) },
+  html: { file: 'report.html', render: (runs, status) => toHtml(runs, status) }
+};
+const STATUS_RANK = { pass: 0, warning: 1, fail: 2 };
+
+const USAGE = `Usage: node cli.js --config <file.json|file.js> [options]
+
+Options:
+  -c, --config <file>    Mission config: mission options plus "urls" (strings or { url, ...overrides })
+  -o, --out <dir>        Report directory (default: config "output.dir" or ./qa-reports)
+  -f, --format <list>    Comma-separated: ${Object.keys(FORMATS).join(', ')} (default: all)
+      --fail-on <level>  Exit 1 when a mission is "fail" (default) or already at "warning"
+      --archive          Also store the missions in the backend history (DATA_DIR)
+  -h, --help             Show this help`;
+
+// JSON configs are read as data, .js/.mjs configs may compute values (env, dates) and export default
+async function loadConfig(file) {
+  const absolute = path.resolve(file);
+  if (/\.(m?js)$/.test(absolute)) return (await import(pathToFileURL(absolute).href)).default;
+  return JSON.parse(await fs.readFile(absolute, 'utf8'));
+}
+
+// Every entry of "urls" becomes one mission: shared options first, the entry's overrides on top
+function expandMissions(config) {
+  const { urls, output, failOn, ...shared } = config;
+  const entries = urls || (shared.url ? [shared.url] : []);
+  if (!Array.isArray(entries) || entries.length === 0) throw new Error('Config needs "url" or a non-empty "urls" list');
+
+  return entries.map(entry => {
+    const mission = pickMissionConfig({ ...shared, ...(typeof entry === 'string' ? { url: entry } : entry) });
+    if (!mission.url) throw new Error(`Every "urls" entry needs a url: ${JSON.stringify(entry)}`);
+    validateThresholds(mission.thresholds);
+    return mission;
+  });
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      config: { type: 'string', short: 'c' },
+      out: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      'fail-on': { type: 'string' },
+      archive: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || !values.config) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const config = await loadConfig(values.config);
+  const missions = expandMissions(config);
+  const outDir = path.resolve(values.out || config.output?.dir || 'qa-reports');
+  const formats = (values.format ? values.format.split(',') : config.output?.formats || Object.keys(FORMATS)).map(f => f.trim());
+  const unknown = formats.filter(format => !FORMATS[format]);
+  if (unknown.length) throw new Error(`Unknown report format(s): ${unknown.join(', ')}`);
+  const failOn = values['fail-on'] || config.failOn || 'fail';
+  if (!['fail', 'warning'].includes(failOn)) throw new Error(`--fail-on must be "fail" or "warning"`);
+
+  const runs = [];
+  for (const [index, mission] of missions.entries()) {
+    console.log(`\n🚀 [CLI] Mission ${index + 1}/${missions.length}: ${mission.url} [${(mission.devices || ['desktop']).map(deviceName).join(', ')}]`);
+    const run = { id: randomUUID(), url: mission.url, status: null, result: null, error: null, startedAt: new Date().toISOString(), finishedAt: null };
+
+    try {
+      run.result = await engineFor(mission).startMission(mission, event => {
+        console.log(`   ${event.device ? `[${event.device}${event.browser ? `/${event.browser}` : ''}] ` : ''}${event.agent}: ${event.message}`);
+      });
+      run.status = run.result.status;
+    } catch (error) {
+      console.error(`❌ [CLI] Mission failed: ${error.message}`);
+      run.status = 'error';
+      run.error = error.message;
+    }
+    run.finishedAt = new Date().toISOString();
+    runs.push(run);
+
+    if (values.archive) {
+      await historyStore.save({
+        id: run.id,
+        status: run.error ? 'failed' : 'completed',
+        config: mission,
+        events: [],
+        result: run.result,
+        error: run.error,
+        createdAt: run.startedAt,
+        finishedAt: run.finishedAt
+      });
+    }
+  }
+
+  const crashed = runs.some(run => run.error);
+  const worst = runs.filter(run => !run.error)
+    .reduce((current, run) => STATUS_RANK[run.status] > STATUS_RANK[current] ? run.status : current, 'pass');
+  const status = crashed ? 'error' : worst;
+
+  await fs.mkdir(outDir, { recursive: true });
+  for (const format of formats) {
+    const file = path.join(outDir, FORMATS[format].file);
+    await fs.writeFile(file, FORMATS[format].render(runs, status));
+    console.log(`📄 [CLI] ${format} report: ${file}`);
+  }
+
+  console.log(`\n${status === 'pass' ? '✅' : status === 'warning' ? '⚠️' : '❌'} [CLI] Overall status: ${status.toUpperCase()}`);
+  if (crashed) return 2;
+  return STATUS_RANK[worst] >= STATUS_RANK[failOn] ? 1 : 0;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(`❌ [CLI] ${error.message}`);
+    process.exitCode = 2;
+  });
@@ -0,0 +1,177 @@
+// --- CRAWLER (same-origin site discovery) ---
+// Breadth-first from the start URL; the browser work (loading a page, reading its anchors)
+// is passed in as `collectLinks`, so this module only decides what to visit.
+export const CRAWL_DEFAULTS = { maxDepth: 2, maxPages: 10, include: [], exclude: [], respectRobots: true };
+const MAX_CRAWL_PAGES = Number(process.env.MAX_CRAWL_PAGES) || 50;
+const ROBOTS_AGENT = 'agentswarmqa';
+const ASSET_PATTERN = /\.(pdf|zip|gz|png|jpe?g|gif|svg|webp|ico|mp4|webm|mp3|docx?|xlsx?|pptx?|css|js|xml|json|txt)$/i;
+
+// `crawl: true` uses the defaults, an object overrides them; throws with a message fit for a 400
+export function resolveCrawlOptions(crawl) {
+  if (crawl !== true && (typeof crawl !== 'object' || crawl === null || Array.isArray(crawl))) {
+    throw new Error('crawl must be true or an object { maxDepth, maxPages, include, exclude, respectRobots }');
+  }
+  for (const key of ['include', 'exclude']) {
+    const patterns = crawl[key];
+    if (patterns !== undefined && (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string'))) {
+      throw new Error(`crawl.${key} must be a list of path patterns`);
+    }
+  }
+  const options = { ...CRAWL_DEFAULTS, ...(crawl === true ? {} : crawl) };
+  options.maxPages = Math.min(Math.max(1, Number(options.maxPages) || 1), MAX_CRAWL_PAGES);
+  options.maxDepth = Math.max(0, Number(options.maxDepth) || 0);
+  return options;
+}
+
+const escapeRegExp = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// Include/exclude patterns are globs on path + query: "/blog/*", "*?page=*"
+const globToRegExp = (pattern) => new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`);
+
+const matchesAny = (pathname, patterns) => patterns.some(pattern => globToRegExp(pattern).test(pathname));
+
+export function normalizeUrl(href, base) {
+  try {
+    const url = new URL(href, base);
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    url.hash = '';
+    return url.toString();
+  } catch (e) {
+    return null;
+  }
+}
+
+// Rules of the group for our agent (or "*"): [{ allow, path }]
+export function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let collectingAgents = false;
+
+  for (const rawLine of String(text).split('\n')) {
+    const line = rawLine.replace(/#.*/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!collectingAgents) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      collectingAgents = true;
+    } else if (current && (field === 'allow' || field === 'disallow')) {
+      collectingAgents = false;
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    }
+  }
+
+  // Agent names are lowercased above; RFC 9309 matches the product token exactly, ignoring case
+  const group = groups.find(g => g.agents.includes(ROBOTS_AGENT))
+    || groups.find(g => g.agents.includes('*'));
+  return group ? group.rules : [];
+}
+
+// Longest matching rule wins, Allow wins a tie (RFC 9309)
+export function isAllowedByRobots(rules, pathname) {
+  let verdict = { allow: true, length: -1 };
+  for (const rule of rules) {
+    const anchored = rule.path.endsWith('$');
+    const pattern = escapeRegExp(anchored ? rule.path.slice(0, -1) : rule.path).replace(/\\\*|\*/g, '.*');
+    if (!new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(pathname)) continue;
+    if (rule.path.length > verdict.length || (rule.path.length === verdict.length && rule.allow)) {
+      verdict = { allow: rule.allow, length: rule.path.length };
+    }
+  }
+  return verdict.allow;
+}
+
+async function fetchRobots(origin) {
+  try {
+    const response = await fetch(`${origin}/robots.txt`, { signal: AbortSignal.timeout(10000) });
+    if (!response.ok) return [];
+    return parseRobots(await response.text());
+  } catch (e) {
+    console.warn(`⚠️ [Crawler] robots.txt unavailable for ${origin}: ${e.message}`);
+    return [];
+  }
+}
+
+// collectLinks(url) -> hrefs found on the rendered page; onPage(url, depth) is called for every accepted page
+export async function crawlSite(startUrl, crawl, collectLinks, onPage = () => {}) {
+  const options = resolveCrawlOptions(crawl);
+  const start = normalizeUrl(startUrl);
+  const origin = new URL(start).origin;
+  const robots = options.respectRobots ? await fetchRobots(origin) : [];
+
+  const pages = [];
+  const skipped = [];
+  const seen = new Set([start]);
+  const queue = [{ url: start, depth: 0 }];
+
+  while (queue.length > 0 && pages.length < options.maxPages) {
+    const { url, depth } = queue.shift();
+    pages.push({ url, depth });
+    onPage(url, depth);
+    if (depth >= options.maxDepth) continue;
+
+    let links;
+    try {
+      links = await collectLinks(url);
+    } catch (error) {
+      skipped.push({ url, reason: `links not collected: ${error.message.split('\n')[0]}` });
+      continue;
+    }
+
+    for (const href of links) {
+      const next = normalizeUrl(href, url);
+      if (!next || seen.has(next)) continue;
+      seen.add(next);
+
+      const target = new URL(next);
+      if (target.origin !== origin) continue; // off-site links are the link checker's job
+      const path = target.pathname + target.search;
+      const reason = ASSET_PATTERN.test(target.pathname) ? 'not a page'
+        : options.include.length > 0 && !matchesAny(path, options.include) ? 'not included'
+        : matchesAny(path, options.exclude) ? 'excluded'
+        : !isAllowedByRobots(robots, path) ? 'robots.txt'
+        : null;
+
+      if (reason) skipped.push({ url: next, reason });
+      else queue.push({ url: next, depth: depth + 1 });
+    }
+  }
+
+  return {
+    pages,
+    skipped: skipped.slice(0, 200),
+    not_visited: queue.length,
+    robots_rules: robots.length,
+    options
+  };
+}
+
+// Pages that only differ by an id or slug share a template: "/blog/a" + "/blog/b" -> "/blog/:slug"
+export function groupByTemplate(urls) {
+  const segmentsOf = (url) => new URL(url).pathname.split('/').filter(Boolean)
+    .map(segment => /^\d+$/.test(segment) || /^[0-9a-f-]{16,}$/i.test(segment) ? ':id' : segment);
+
+  const paths = urls.map(url => ({ url, segments: segmentsOf(url) }));
+  const childrenOf = new Map();
+  for (const { segments } of paths) {
+    if (segments.length < 2) continue;
+    const parent = segments.slice(0, -1).join('/');
+    childrenOf.set(parent, (childrenOf.get(parent) || 0) + 1);
+  }
+
+  const templates = new Map();
+  for (const { url, segments } of paths) {
+    const parent = segments.slice(0, -1).join('/');
+    const shared = segments.length >= 2 && childrenOf.get(parent) > 1 && segments[segments.length - 1] !== ':id';
+    const template = '/' + (shared ? [...segments.slice(0, -1), ':slug'] : segments).join('/');
+    if (!templates.has(template)) templates.set(template, []);
+    templates.get(template).push(url);
+  }
+  return templates;
+}
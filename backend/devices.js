@@ -0,0 +1,93 @@
+import { devices as DESCRIPTORS } from 'playwright';
+
+// --- DEVICE PROFILES ---
+// A mission device is a preset ("mobile", "tablet", "desktop"), any Playwright descriptor name
+// ("Pixel 7", "iPhone 14 Pro Max") or a custom profile:
+//   { name, descriptor, viewport: { width, height }, deviceScaleFactor, userAgent, isMobile, hasTouch,
+//     locale, timezoneId, colorScheme, reducedMotion }
+// A custom profile starts from its descriptor (if any) and overrides what it sets.
+// The presets keep the viewport-only emulation earlier missions and baselines were recorded with.
+export const DEVICE_PRESETS = {
+  mobile: { label: 'iPhone 12 viewport', viewport: DESCRIPTORS['iPhone 12'].viewport, isMobile: true },
+  tablet: { label: 'iPad Pro 11 viewport', viewport: DESCRIPTORS['iPad Pro 11'].viewport, isMobile: true },
+  desktop: { label: 'Desktop', viewport: { width: 1920, height: 1080 }, isMobile: false }
+};
+const CONTEXT_OPTIONS = ['viewport', 'deviceScaleFactor', 'userAgent', 'isMobile', 'hasTouch', 'locale', 'timezoneId', 'colorScheme', 'reducedMotion'];
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+const REDUCED_MOTION = ['reduce', 'no-preference'];
+const MAX_VIEWPORT = 7680;
+
+export const DEVICE_DESCRIPTORS = Object.keys(DESCRIPTORS);
+
+function checkOptions(name, options) {
+  const { width, height } = options.viewport || {};
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1 || width > MAX_VIEWPORT || height > MAX_VIEWPORT) {
+    throw new Error(`Device ${name}: viewport needs an integer width and height between 1 and ${MAX_VIEWPORT}`);
+  }
+  if (!(options.deviceScaleFactor > 0 && options.deviceScaleFactor <= 4)) throw new Error(`Device ${name}: deviceScaleFactor must be between 0 and 4`);
+  if (options.colorScheme && !COLOR_SCHEMES.includes(options.colorScheme)) throw new Error(`Device ${name}: colorScheme must be one of ${COLOR_SCHEMES.join(', ')}`);
+  if (options.reducedMotion && !REDUCED_MOTION.includes(options.reducedMotion)) throw new Error(`Device ${name}: reducedMotion must be one of ${REDUCED_MOTION.join(', ')}`);
+  if (options.timezoneId) {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: options.timezoneId });
+    } catch (e) {
+      throw new Error(`Device ${name}: unknown timezoneId ${options.timezoneId}`);
+    }
+  }
+}
+
+// "Pixel 7 412x839 @2.625x touch dark"
+function describe(spec, options) {
+  return [
+    spec.label || spec.descriptor || 'Custom',
+    `${options.viewport.width}x${options.viewport.height}`,
+    options.deviceScaleFactor !== 1 ? `@${options.deviceScaleFactor}x` : null,
+    options.hasTouch ? 'touch' : null,
+    options.colorScheme === 'dark' ? 'dark' : null,
+    options.reducedMotion === 'reduce' ? 'reduced motion' : null,
+    options.locale || null,
+    options.timezoneId || null
+  ].filter(Boolean).join(' ');
+}
+
+// Preset name, descriptor name or profile object -> { name, label, descriptor, formFactor, options }
+// `options` go straight to browser.newContext; `formFactor` picks per-device settings keyed mobile/tablet/desktop.
+export function resolveDeviceProfile(device) {
+  const spec = typeof device === 'string'
+    ? DEVICE_PRESETS[device] || (DESCRIPTORS[device] ? { descriptor: device } : null)
+    : device && typeof device === 'object' ? device : null;
+  if (!spec) throw new Error(`Unknown device "${device}": use mobile, tablet, desktop, a Playwright device name (GET /api/devices) or a custom profile`);
+
+  const name = String(typeof device === 'string' ? device : device.name || device.descriptor || '').trim();
+  if (!name) throw new Error('Custom device profiles need a name');
+  if (spec.descriptor && !DESCRIPTORS[spec.descriptor]) throw new Error(`Unknown Playwright device: ${spec.descriptor}`);
+  if (!spec.descriptor && !spec.viewport) throw new Error(`Device ${name} needs a viewport or a descriptor`);
+
+  const base = spec.descriptor ? DESCRIPTORS[spec.descriptor] : {};
+  const options = { deviceScaleFactor: 1, isMobile: false, hasTouch: false };
+  for (const key of CONTEXT_OPTIONS) {
+    const value = spec[key] ?? base[key];
+    if (value !== undefined && value !== null && value !== '') options[key] = value;
+  }
+  if (options.viewport) options.viewport = { width: Number(options.viewport.width), height: Number(options.viewport.height) };
+  options.deviceScaleFactor = Number(options.deviceScaleFactor);
+  checkOptions(name, options);
+
+  const formFactor = DEVICE_PRESETS[name] ? name
+    : !options.isMobile ? 'desktop'
+    : options.viewport.width >= 600 ? 'tablet' : 'mobile';
+
+  return { name, label: describe(spec, options), descriptor: spec.descriptor || null, formFactor, options };
+}
+
+// Name of a device list entry, for logs
+export const deviceName = (device) => typeof device === 'string' ? device : device?.name || device?.descriptor;
+
+// Validates a mission's device list up front; names must be unique since results, baselines and files are keyed by them
+export function resolveDeviceList(list) {
+  const profiles = (list && list.length > 0 ? list : ['desktop']).map(resolveDeviceProfile);
+  const names = profiles.map(profile => profile.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) throw new Error(`Device ${duplicate} is listed twice`);
+  return profiles;
+}
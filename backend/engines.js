@@ -0,0 +1,15 @@
+import { orchestrator } from './orchestrator.js';
+import { mcpEngine, resolveMcpSettings } from './mcp/engine.js';
+
+// --- MISSION ENGINES ---
+// "playwright" (default): the scripted agent pipeline in orchestrator.js
+// "mcp": an LLM tool loop over MCP servers (mcp/engine.js); both return the same report shape
+export const ENGINES = { playwright: orchestrator, mcp: mcpEngine };
+
+// Engine of a mission config; throws with a message fit for a 400
+export function engineFor(config) {
+  const name = config.engine || 'playwright';
+  if (!ENGINES[name]) throw new Error(`Unknown engine "${name}": use ${Object.keys(ENGINES).join(' or ')}`);
+  if (name === 'mcp') resolveMcpSettings(config.mcp);
+  return ENGINES[name];
+}
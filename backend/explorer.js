@@ -0,0 +1,137 @@
+import { createHash } from 'crypto';
+
+// --- EXPLORATORY MODE (page mechanics) ---
+// The Explorer agent (orchestrator.js) picks one action per turn from the accessibility tree and a
+// screenshot; these helpers show it the page, perform the action and spot what broke along the way.
+// Mission option: explore: true | { maxSteps: 15, timeBudget: 180 (seconds), sameOrigin: true }
+export const EXPLORE_DEFAULTS = { maxSteps: 15, timeBudget: 180, sameOrigin: true };
+const MAX_STEPS = 50;
+const MAX_TIME_BUDGET = 900;
+const MAX_ELEMENTS = 80;
+const MAX_TREE_CHARS = 6000;
+const SETTLE_TIMEOUT = 5000;
+const REF_ATTRIBUTE = 'data-qa-ref';
+
+// Normalized settings, null when exploration is off; throws with a message fit for a 400
+export function resolveExplore(explore) {
+  if (!explore) return null;
+  const settings = { ...EXPLORE_DEFAULTS, ...(explore === true ? {} : explore) };
+  if (!Number.isInteger(settings.maxSteps) || settings.maxSteps < 1 || settings.maxSteps > MAX_STEPS) {
+    throw new Error(`explore.maxSteps must be an integer between 1 and ${MAX_STEPS}`);
+  }
+  if (!(settings.timeBudget > 0 && settings.timeBudget <= MAX_TIME_BUDGET)) {
+    throw new Error(`explore.timeBudget must be between 1 and ${MAX_TIME_BUDGET} seconds`);
+  }
+  return { maxSteps: settings.maxSteps, timeBudget: Number(settings.timeBudget), sameOrigin: settings.sameOrigin !== false };
+}
+
+// Numbers the visible interactive elements ("e1", "e2", ...) so the model can target them by ref
+export async function indexElements(page) {
+  return page.evaluate(({ attribute, limit }) => {
+    document.querySelectorAll(`[${attribute}]`).forEach(el => el.removeAttribute(attribute));
+    const nodes = document.querySelectorAll('a[href], button, input:not([type=hidden]), select, textarea, summary, [role="button"], [role="link"], [role="tab"], [role="menuitem"], [role="checkbox"], [onclick], [contenteditable="true"]');
+    const visible = Array.from(nodes).filter(el => {
+      const rect = el.getBoundingClientRect();
+      const style = getComputedStyle(el);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    });
+    return visible.slice(0, limit).map((el, index) => {
+      const ref = `e${index + 1}`;
+      el.setAttribute(attribute, ref);
+      return {
+        ref,
+        tag: el.tagName.toLowerCase(),
+        role: el.getAttribute('role') || undefined,
+        type: el.getAttribute('type') || undefined,
+        name: (el.getAttribute('aria-label') || el.innerText || el.value || el.getAttribute('placeholder') || el.getAttribute('name') || '').trim().replace(/\s+/g, ' ').substring(0, 60) || undefined,
+        href: el.getAttribute('href') || undefined
+      };
+    });
+  }, { attribute: REF_ATTRIBUTE, limit: MAX_ELEMENTS });
+}
+
+// What the model sees each turn: accessibility tree, numbered elements and the viewport screenshot
+export async function capturePageState(page) {
+  let tree = '';
+  try {
+    tree = await page.locator('body').ariaSnapshot({ timeout: SETTLE_TIMEOUT });
+  } catch (error) {
+    tree = `(accessibility tree unavailable: ${error.message.split('\n')[0]})`;
+  }
+  const elements = await indexElements(page);
+  const screenshot = (await page.screenshot({ fullPage: false, scale: 'css' })).toString('base64');
+  return {
+    url: page.url(),
+    title: await page.title(),
+    tree: tree.length > MAX_TREE_CHARS ? `${tree.slice(0, MAX_TREE_CHARS)}\n…` : tree,
+    elements,
+    screenshot,
+    // Same URL and same tree after an action means it had no visible effect
+    signature: createHash('sha1').update(`${page.url()}\n${tree}`).digest('hex')
+  };
+}
+
+// Layout breaks visible in the current viewport: horizontal overflow and overlapping controls
+export async function detectLayoutBreaks(page) {
+  return page.evaluate((attribute) => {
+    const breaks = [];
+    const viewportWidth = window.innerWidth;
+    const pageWidth = document.documentElement.scrollWidth;
+    if (pageWidth > viewportWidth + 1) {
+      const culprits = Array.from(document.body.querySelectorAll('*'))
+        .filter(el => el.getBoundingClientRect().right > viewportWidth + 1 && el.children.length === 0)
+        .slice(0, 3)
+        .map(el => `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${el.className && typeof el.className === 'string' ? `.${el.className.trim().split(/\s+/)[0]}` : ''}`);
+      breaks.push(`Horizontal overflow: content is ${pageWidth}px wide in a ${viewportWidth}px viewport${culprits.length ? ` (${culprits.join(', ')})` : ''}`);
+    }
+
+    // Controls covering each other more than a third of the smaller one (nested elements excluded)
+    const controls = Array.from(document.querySelectorAll(`[${attribute}]`)).map(el => ({ el, rect: el.getBoundingClientRect() }))
+      .filter(({ rect }) => rect.bottom > 0 && rect.top < window.innerHeight);
+    const label = (el) => `${el.tagName.toLowerCase()} "${(el.getAttribute('aria-label') || el.innerText || el.value || '').trim().substring(0, 30)}"`;
+    for (let i = 0; i < controls.length && breaks.length < 6; i++) {
+      for (let j = i + 1; j < controls.length; j++) {
+        const a = controls[i];
+        const b = controls[j];
+        if (a.el.contains(b.el) || b.el.contains(a.el)) continue;
+        const width = Math.min(a.rect.right, b.rect.right) - Math.max(a.rect.left, b.rect.left);
+        const height = Math.min(a.rect.bottom, b.rect.bottom) - Math.max(a.rect.top, b.rect.top);
+        const smaller = Math.min(a.rect.width * a.rect.height, b.rect.width * b.rect.height);
+        if (width > 0 && height > 0 && smaller > 0 && (width * height) / smaller > 0.33) {
+          breaks.push(`Overlapping controls: ${label(a.el)} and ${label(b.el)}`);
+          break;
+        }
+      }
+    }
+    return breaks;
+  }, REF_ATTRIBUTE);
+}
+
+// Performs one action chosen by the model; throws when the target is missing or the action fails
+export async function performAction(page, decision, timeout) {
+  const target = () => {
+    if (!decision.ref) throw new Error(`"${decision.action}" needs a ref`);
+    return page.locator(`[${REF_ATTRIBUTE}="${decision.ref}"]`).first();
+  };
+
+  switch (decision.action) {
+    case 'click':
+      await target().click({ timeout });
+      break;
+    case 'type':
+      await target().fill(String(decision.text ?? ''), { timeout });
+      if (decision.submit) await target().press('Enter', { timeout });
+      break;
+    case 'scroll':
+      await page.mouse.wheel(0, (decision.direction === 'up' ? -1 : 1) * Math.round(page.viewportSize().height * 0.8));
+      break;
+    case 'back':
+      await page.goBack({ timeout, waitUntil: 'load' });
+      break;
+    default:
+      throw new Error(`Unsupported action: ${decision.action}`);
+  }
+  // Give navigations and client-side rendering a moment; a page that never goes idle is not an error
+  await page.waitForLoadState('load', { timeout: SETTLE_TIMEOUT }).catch(() => {});
+  await page.waitForTimeout(500);
+}
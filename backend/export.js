@@ -0,0 +1,121 @@
+import { DEFAULT_BROWSER, contextOptions } from './browsers.js';
+
+// --- PLAYWRIGHT EXPORT (mission test plans -> .spec.ts) ---
+// Replays exactly what the Executor ran (runStep): same locators, `.first()`, same step order,
+// with every step checked by a web-first `expect` (actions get one for their visible effect).
+const js = (value) => JSON.stringify(String(value ?? ''));
+// Text in a `//` comment: a line break in a label, action or URL would end the comment and inject code
+const comment = (value) => String(value ?? '').replace(/\s+/g, ' ');
+
+// Statements for one step, or null when the Executor could not run its type either
+function stepBody(step, baseUrl) {
+  const locator = (selector) => `page.locator(${js(selector)}).first()`;
+  switch (step.type) {
+    case 'navigate': {
+      const target = new URL(step.url || step.value || '', baseUrl).href;
+      return [`const response = await page.goto(${js(target)});`, 'expect(response?.ok()).toBeTruthy();'];
+    }
+    case 'click':
+      return [`await expect(${locator(step.selector)}).toBeEnabled();`, `await ${locator(step.selector)}.click();`];
+    case 'fill':
+      return [`await ${locator(step.selector)}.fill(${js(step.value)});`, `await expect(${locator(step.selector)}).toHaveValue(${js(step.value)});`];
+    case 'assert_visible':
+      return [`await expect(${locator(step.selector)}).toBeVisible();`];
+    case 'assert_text':
+      return [`await expect(${locator(step.selector || 'body')}).toContainText(${js(step.value)});`];
+    default:
+      return null;
+  }
+}
+
+// Browser context options as a `test.use` literal
+function useOptions({ viewport, ...options }) {
+  return [
+    `viewport: { width: ${viewport.width}, height: ${viewport.height} }`,
+    ...Object.entries(options).filter(([, value]) => value !== undefined).map(([key, value]) => `${key}: ${typeof value === 'string' ? js(value) : value}`)
+  ].join(', ');
+}
+
+// pinned: the block only runs on the engine it was recorded with (browserName cannot be set per describe)
+function deviceBlock(result, url, options, pinned) {
+  const browser = result.browser || DEFAULT_BROWSER;
+  const lines = [];
+  lines.push(`test.describe(${js(pinned ? `${result.device} (${browser})` : result.device)}, () => {`);
+  if (result.profile?.label) lines.push(`  // ${comment(result.profile.label)}`);
+  if (pinned) lines.push(`  test.skip(({ browserName }) => browserName !== ${js(browser)}, ${js(`Recorded on ${browser}`)});`);
+  lines.push(`  test.use({ ${useOptions(contextOptions(browser, options))} });`);
+  lines.push('');
+  lines.push(`  test(${js(`QA plan on ${result.device}`)}, async ({ page }) => {`);
+  lines.push(`    await page.goto(${js(url)}, { waitUntil: 'networkidle' });`);
+
+  for (const step of result.test_plan || []) {
+    const body = stepBody(step, url);
+    lines.push('');
+    if (step.status === 'fail') lines.push(`    // Failed during the mission: ${comment(step.error)}`);
+    if (!body) {
+      lines.push(`    // Step ${comment(step.id)} "${comment(step.action)}" skipped: unsupported type ${comment(js(step.type))}`);
+      continue;
+    }
+    const name = step.expectation ? `${step.id}. ${step.action} - ${step.expectation}` : `${step.id}. ${step.action}`;
+    lines.push(`    await test.step(${js(name)}, async () => {`);
+    lines.push(...body.map(statement => `      ${statement}`));
+    lines.push('    });');
+  }
+
+  lines.push('  });');
+  lines.push('});');
+  return lines;
+}
+
+// resolveDevice(name) -> context options of the device profile; archived results carry their own profile
+export function toPlaywrightSpec(mission, { resolveDevice, device, browser } = {}) {
+  const results = (mission.result?.results || [])
+    .filter(r => r.status !== 'error' && (r.test_plan || []).length > 0)
+    .filter(r => !device || r.device === device)
+    .filter(r => !browser || (r.browser || DEFAULT_BROWSER) === browser);
+  if (results.length === 0) return null;
+  const engines = new Set(results.map(r => r.browser || DEFAULT_BROWSER));
+  const pinned = engines.size > 1 || !engines.has(DEFAULT_BROWSER);
+
+  const lines = [
+    `// Generated by AgentSwarm QA from mission ${comment(mission.id)} (${comment(mission.createdAt)})`,
+    `// Target: ${comment(mission.config.url)}`,
+    "import { test, expect } from '@playwright/test';",
+    ''
+  ];
+  if (mission.config.auth) {
+    lines.push('// The mission ran logged in: save a session with `npx playwright codegen --save-storage=auth.json` and uncomment');
+    lines.push("// test.use({ storageState: 'auth.json' });");
+    lines.push('');
+  }
+  if (pinned) {
+    lines.push(`// Recorded on ${comment([...engines].join(', '))}: each block skips the other engines, run it with a project per browser`);
+    lines.push('');
+  }
+
+  // Crawl missions get one describe block per page
+  const urls = [...new Set(results.map(r => r.url || mission.config.url))];
+  for (const url of urls) {
+    const pageResults = results.filter(r => (r.url || mission.config.url) === url);
+    lines.push(`test.describe(${js(url)}, () => {`);
+    pageResults.forEach((result, index) => {
+      if (index > 0) lines.push('');
+      const { label, descriptor, formFactor, ...options } = result.profile || resolveDevice(result.device);
+      lines.push(...deviceBlock(result, url, options, pinned).map(line => line ? `  ${line}` : line));
+    });
+    lines.push('});');
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+export function specFileName(mission) {
+  let host = 'mission';
+  try {
+    host = new URL(mission.config.url).hostname.replace(/[^\w-]/g, '-');
+  } catch (e) {
+    // Keep the generic name for unparsable URLs
+  }
+  return `${host}.spec.ts`;
+}
@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+// --- MCP SERVER (stdio) ---
+// Publishes the QA agents as MCP tools to a local client (editor, desktop agent):
+//   { "command": "node", "args": ["/path/to/backend/mcp-server.js"], "env": { "GOOGLE_API_KEY": "..." } }
+// stdout carries the protocol, so the agents' logs go to stderr.
+console.log = console.info = console.warn = console.error;
+
+const { StdioServerTransport } = await import('@modelcontextprotocol/sdk/server/stdio.js');
+const { createQaServer } = await import('./mcp/server.js');
+
+await createQaServer().connect(new StdioServerTransport());
+console.error('🔌 [MCP] AgentSwarm QA tools ready on stdio');
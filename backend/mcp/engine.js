@@ -0,0 +1,223 @@
+import { AI_Provider, orchestrator, perDevice, profileSummary, resolveLlmSettings, worstStatus } from '../orchestrator.js';
+import { resolveDeviceList } from '../devices.js';
+import { computeVerdict } from '../verdict.js';
+import { McpDecisionSchema, McpFinishSchema, DeviceReportSchema } from '../schemas.js';
+import { connectServers } from './host.js';
+
+// --- MCP ENGINE (LLM-driven tool loop) ---
+// Alternative to the Playwright pipeline: the model explores the page through MCP tool servers
+// (see mcp/servers.json), one tool call per turn, until it finishes or the step budget runs out.
+// Mission options: engine: "mcp", mcp: { servers: ["playwright"], maxSteps: 15 }
+// The result has the same shape as orchestrator.startMission, with the tool calls as the test plan.
+const DEFAULT_SERVERS = (process.env.MCP_DEFAULT_SERVERS || 'playwright').split(',').map(name => name.trim()).filter(Boolean);
+const DEFAULT_MAX_STEPS = Number(process.env.MCP_MAX_STEPS) || 15;
+const MAX_STEPS_LIMIT = 50;
+const MAX_RESULT_CHARS = 3000;
+const MAX_HISTORY_CHARS = 300; // older tool results are shortened so the prompt stays bounded
+const FULL_HISTORY_TURNS = 3;
+const MAX_SCHEMA_CHARS = 400;
+
+// Options the Playwright pipeline supports but this engine ignores
+const UNSUPPORTED_OPTIONS = ['crawl', 'pages', 'auth', 'throttling', 'linkCheck', 'visualDiff', 'explore', 'browsers'];
+
+// Throws with a message fit for a 400; a missing or null mcp block means the defaults
+export function resolveMcpSettings(mcp) {
+  if (mcp !== undefined && mcp !== null && (typeof mcp !== 'object' || Array.isArray(mcp))) throw new Error('mcp must be an object ({ servers, maxSteps })');
+  mcp ??= {};
+  const servers = mcp.servers?.length ? mcp.servers : DEFAULT_SERVERS;
+  if (!Array.isArray(servers) || servers.some(name => typeof name !== 'string' || !name)) throw new Error('mcp.servers must be a list of server names');
+  const maxSteps = mcp.maxSteps ?? DEFAULT_MAX_STEPS;
+  if (!Number.isInteger(maxSteps) || maxSteps < 1 || maxSteps > MAX_STEPS_LIMIT) throw new Error(`mcp.maxSteps must be an integer between 1 and ${MAX_STEPS_LIMIT}`);
+  return { servers: [...new Set(servers)], maxSteps };
+}
+
+const truncate = (text, max) => text.length > max ? `${text.slice(0, max)}… [${text.length - max} more chars]` : text;
+
+// Tool list for the prompt; argument schemas are cut short, the model can still recover from a rejected call
+const describeTools = (tools) => tools.map(tool => `- ${tool.name}: ${tool.description.split('\n')[0]} ARGS: ${truncate(JSON.stringify(tool.inputSchema.properties || {}), MAX_SCHEMA_CHARS)}`).join('\n');
+
+// "[ERROR] Uncaught TypeError @ app.js:12" -> "[error] Uncaught TypeError @ app.js:12", like the Executor's console logs
+function parseConsoleMessages(text) {
+  return text.split('\n')
+    .map(line => line.trim().match(/^(?:- )?\[(error|warning|warn)\]\s*(.*)$/i))
+    .filter(Boolean)
+    .map(([, level, message]) => `[${level.toLowerCase() === 'error' ? 'error' : 'warning'}] ${message}`);
+}
+
+export const mcpEngine = {
+  async startMission(config, onEvent = () => {}) {
+    const ai = new AI_Provider(resolveLlmSettings(config));
+    const profiles = resolveDeviceList(config.devices);
+    const settings = resolveMcpSettings(config.mcp);
+    const emitter = (device) => (agent, message, type = 'info') => onEvent({ agent, message, type, device, timestamp: new Date().toISOString() });
+    const emit = emitter(null);
+
+    const ignored = UNSUPPORTED_OPTIONS.filter(key => config[key]);
+    if (ignored.length) emit('System', `The MCP engine audits the single url; ignoring ${ignored.join(', ')}`, 'warning');
+
+    const host = await connectServers(settings.servers, emit);
+    try {
+      emit('System', `Deploying MCP agent on ${profiles.length} device(s) with ${host.tools.length} tools, ${settings.maxSteps} tool calls each`, 'system');
+
+      // The tool servers hold one browser, so devices take turns; closing it between devices gives each
+      // one a fresh session (browser_console_messages returns every message since the browser opened)
+      const closeTool = host.find('browser_close');
+      const results = [];
+      for (const profile of profiles) {
+        const device = profile.name;
+        const emitDevice = emitter(device);
+        emitDevice('System', `Initializing MCP agent for: ${device.toUpperCase()} (${profile.label})`, 'system');
+        try {
+          const report = await this.runDevice(config, profile, host, settings, ai, emitDevice);
+          emitDevice('System', `Device Complete. Status: ${String(report.status).toUpperCase()}`, report.status === 'pass' ? 'success' : report.status === 'fail' ? 'error' : 'warning');
+          results.push(report);
+        } catch (error) {
+          console.error(`Mission [${device}] Aborted:`, error);
+          emitDevice('System', `❌ Device Failed: ${error.message}`, 'error');
+          results.push({ device, profile: profileSummary(profile), url: config.url, status: 'error', analysis: error.message, issues: ['Agent Error'], test_plan: [], figma_status: 'skipped', engine: 'mcp' });
+        } finally {
+          if (closeTool) await host.call(closeTool.name, {}).catch(error => emitDevice('MCP', `Could not close the browser: ${error.message}`, 'warning'));
+        }
+      }
+
+      const status = worstStatus(results);
+      const summary = await orchestrator.summarizeDevices(results, ai, emit);
+      return {
+        status: status === 'error' ? 'fail' : status,
+        ...summary,
+        results,
+        figma_status: !config.figmaFile ? 'skipped' : results.every(r => r.figma_status === 'success') ? 'success' : 'failed',
+        engine: 'mcp'
+      };
+    } finally {
+      await host.close();
+    }
+  },
+
+  async runDevice(config, profile, host, settings, ai, emit) {
+    const { url, figmaFile, figmaNode, figmaNodes } = config;
+    const device = profile.name;
+    const agent = ai.forAgent('architect');
+    const nodeId = perDevice(figmaNodes, profile) || figmaNode;
+    const steps = [];
+    let image = null; // latest screenshot any tool returned, shown to the model on the next turn
+
+    // Tool calls are the test plan: a call that errors or throws is a failed step
+    const callTool = async (name, args, reason) => {
+      const step = { id: steps.length + 1, action: `${name}(${truncate(JSON.stringify(args), 120)})`, expectation: reason || '', type: 'mcp_tool', tool: name, arguments: args, status: 'pass', error: null };
+      steps.push(step);
+      try {
+        const result = await host.call(name, args);
+        if (result.images.length) image = result.images[result.images.length - 1];
+        step.output = truncate(result.text, MAX_RESULT_CHARS);
+        if (result.isError) {
+          step.status = 'fail';
+          step.error = truncate(result.text || 'Tool returned an error', 300);
+        }
+        return result;
+      } catch (error) {
+        step.status = 'fail';
+        step.error = error.message;
+        step.output = '';
+        return null;
+      } finally {
+        emit('MCP', `Step ${step.id} ${step.status.toUpperCase()}: ${step.action}${step.error ? ` (${step.error})` : ''}`, step.status === 'pass' ? 'success' : 'error');
+      }
+    };
+
+    // Emulate the device through the browser server's own tool; servers without one keep their viewport
+    const resize = host.find('browser_resize');
+    const { width, height } = profile.options.viewport;
+    if (resize) await callTool(resize.name, { width, height }, `Emulate ${profile.label}`);
+    else emit('MCP', `No browser_resize tool, ${device} runs at the server's default viewport`, 'warning');
+    const setupSteps = steps.length;
+
+    const history = () => steps.slice(setupSteps).map((step, index, all) => {
+      const output = step.error || step.output || '(no output)';
+      const max = index >= all.length - FULL_HISTORY_TURNS ? MAX_RESULT_CHARS : MAX_HISTORY_CHARS;
+      return `#${step.id} ${step.action} -> ${step.status === 'pass' ? 'OK' : 'ERROR'}: ${truncate(output, max)}`;
+    }).join('\n') || '(no tool calls yet)';
+
+    const prompt = (stepsLeft) => `
+      ROLE: QA Agent driving MCP tools.
+      TARGET: ${url} on ${device.toUpperCase()} (${profile.label}).
+      GOAL: Audit the page like a senior QA engineer. Open it, check the main content, navigation and primary
+      interactions, and look for errors, broken or overlapping UI and console errors.
+      ${figmaFile ? `DESIGN: Compare the page with Figma file ${figmaFile}${nodeId ? `, node ${nodeId}` : ''} using the Figma tools, if any.` : ''}
+
+      TOOLS (exact names):
+      ${describeTools(host.tools)}
+
+      TOOL CALLS SO FAR:
+      ${history()}
+
+      BUDGET: ${stepsLeft} tool call(s) left. Call one tool per answer; finish once you have verified enough.
+
+      JSON OUTPUT, one of:
+      { "action": "call", "tool": "<tool name>", "arguments": { }, "reason": "What this call verifies" }
+      { "action": "finish", "analysis": "Summary of the audit.", "issues": ["Issue found"], "checks": [{ "description": "What was verified", "passed": true, "evidence": "What the tools showed" }] }
+    `;
+
+    emit('Agent', `Exploring ${url} with ${host.tools.length} tools, budget ${settings.maxSteps} calls`);
+    let finish = null;
+    for (let turn = 0; turn < settings.maxSteps && !finish; turn++) {
+      const imageParts = image ? [{ inlineData: { data: image.data, mimeType: image.mimeType } }] : [];
+      const decision = await agent.generateJson(prompt(settings.maxSteps - turn), imageParts, { schema: McpDecisionSchema });
+      if (decision.action === 'finish') {
+        finish = decision;
+      } else {
+        emit('Agent', `${decision.tool}: ${decision.reason || 'no reason given'}`);
+        await callTool(decision.tool, decision.arguments, decision.reason);
+      }
+    }
+
+    if (!finish) {
+      emit('Agent', 'Step budget exhausted, asking for the findings so far', 'warning');
+      try {
+        finish = await agent.generateJson(`${prompt(0)}\n      STEP BUDGET EXHAUSTED: answer with the "finish" object now.`, [], { schema: McpFinishSchema });
+      } catch (error) {
+        emit('Agent', `No findings returned: ${error.message}`, 'warning');
+        finish = { analysis: `The agent ran out of its ${settings.maxSteps} tool calls without a conclusion.`, issues: [], checks: [], budget_exhausted: true };
+      }
+    }
+
+    // Evidence the engine collects itself when the servers offer it
+    const consoleTool = host.find('browser_console_messages');
+    const consoleLogs = consoleTool ? parseConsoleMessages((await callTool(consoleTool.name, {}, 'Collect console messages'))?.text || '') : undefined;
+    const screenshotTool = host.find('browser_take_screenshot');
+    if (screenshotTool) await callTool(screenshotTool.name, {}, 'Final screenshot');
+
+    const checks = finish.checks.map((check, index) => ({
+      id: steps.length + index + 1,
+      action: check.description,
+      expectation: check.evidence,
+      type: 'mcp_check',
+      status: check.passed ? 'pass' : 'fail',
+      error: check.passed ? null : check.evidence || 'Check failed'
+    }));
+    const testPlan = [...steps, ...checks];
+
+    const verdict = computeVerdict({ networkStatus: null, consoleLogs, stepResults: testPlan }, config.thresholds);
+    emit('System', `Verdict: ${verdict.status.toUpperCase()} (${verdict.checks.filter(c => c.severity !== 'pass').length} checks over threshold)`, verdict.status === 'pass' ? 'success' : verdict.status === 'fail' ? 'error' : 'warning');
+
+    const figmaUsed = steps.some(step => step.tool.startsWith('figma') && step.status === 'pass');
+    const report = DeviceReportSchema.parse(finish);
+    return {
+      ...report,
+      status: verdict.status,
+      verdict,
+      device,
+      profile: profileSummary(profile),
+      url,
+      engine: 'mcp',
+      mcp: { servers: host.servers, tool_calls: steps.length, max_steps: settings.maxSteps, budget_exhausted: Boolean(finish.budget_exhausted) },
+      figma_analysis: 'Not compared',
+      figma_status: figmaUsed ? 'success' : figmaFile ? 'failed' : 'skipped',
+      figma_node: nodeId || null,
+      test_plan: testPlan,
+      console_logs: consoleLogs || [],
+      screenshot: image?.data || null,
+      screenshot_mime_type: image?.mimeType || null // servers may answer with JPEG
+    };
+  }
+};
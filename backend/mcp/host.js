@@ -0,0 +1,101 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport, getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { resolveSecret } from '../auth.js';
+
+// --- MCP HOST (stdio tool servers) ---
+// Tool servers are declared by the operator in mcp/servers.json (or MCP_SERVERS_FILE):
+//   { "servers": { "playwright": { "command", "args", "env": { "FIGMA_API_KEY": "env:FIGMA_ACCESS_TOKEN" } } } }
+// Missions pick servers by name only, so an API client can never start an arbitrary command.
+// Relative paths in "args" run from the backend directory; "env" values accept env:/secret: references.
+const BACKEND_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SERVERS_FILE = process.env.MCP_SERVERS_FILE || path.join(BACKEND_DIR, 'mcp', 'servers.json');
+const TOOL_TIMEOUT = Number(process.env.MCP_TOOL_TIMEOUT) || 60000;
+
+// Server and tool are joined so tools of different servers never collide: "playwright__browser_click"
+export const TOOL_SEPARATOR = '__';
+
+export async function loadServerConfig() {
+  try {
+    return JSON.parse(await fs.readFile(SERVERS_FILE, 'utf8')).servers || {};
+  } catch (error) {
+    throw new Error(`Could not read the MCP server config ${SERVERS_FILE}: ${error.message}`);
+  }
+}
+
+// Text and images of a tool result; other content types (resources, audio) are summarized
+function readContent(content = []) {
+  const text = [];
+  const images = [];
+  for (const part of content) {
+    if (part.type === 'text') text.push(part.text);
+    else if (part.type === 'image') images.push({ data: part.data, mimeType: part.mimeType });
+    else if (part.type === 'resource') text.push(part.resource?.text ?? `[resource ${part.resource?.uri}]`);
+    else text.push(`[${part.type} content]`);
+  }
+  return { text: text.join('\n'), images };
+}
+
+async function connectServer(name, spec) {
+  const env = { ...getDefaultEnvironment() };
+  for (const [key, value] of Object.entries(spec.env || {})) env[key] = await resolveSecret(value, { anyEnv: true });
+
+  const transport = new StdioClientTransport({ command: spec.command, args: spec.args || [], env, cwd: BACKEND_DIR, stderr: 'inherit' });
+  const client = new Client({ name: 'agentswarm-qa', version: '1.0.0' });
+  await client.connect(transport);
+  const { tools } = await client.listTools();
+  return { name, client, tools };
+}
+
+// Starts the named servers and lists their tools. Returns the host the engine drives:
+//   tools: [{ name, server, tool, description, inputSchema }], call(name, args) -> { text, images, isError }, close()
+export async function connectServers(names, emit = () => {}) {
+  const config = await loadServerConfig();
+  const unknown = names.filter(name => !config[name]);
+  if (unknown.length) throw new Error(`Unknown MCP server(s): ${unknown.join(', ')} (configured: ${Object.keys(config).join(', ') || 'none'})`);
+
+  const servers = [];
+  const close = () => Promise.all(servers.map(server => server.client.close().catch(() => {})));
+  try {
+    for (const name of names) {
+      emit('MCP', `Starting tool server ${name}...`);
+      const server = await connectServer(name, config[name]);
+      servers.push(server);
+      emit('MCP', `${name}: ${server.tools.length} tools (${server.tools.map(tool => tool.name).join(', ')})`, 'success');
+    }
+  } catch (error) {
+    await close();
+    throw new Error(`MCP server ${names[servers.length]} failed to start: ${error.message}`);
+  }
+
+  const tools = servers.flatMap(server => server.tools.map(tool => ({
+    name: `${server.name}${TOOL_SEPARATOR}${tool.name}`,
+    server: server.name,
+    tool: tool.name,
+    description: tool.description || '',
+    inputSchema: tool.inputSchema || {}
+  })));
+
+  return {
+    servers: servers.map(server => server.name),
+    tools,
+
+    // First tool with this name on any server (e.g. "browser_resize"), for the engine's own calls
+    find(toolName) {
+      return tools.find(tool => tool.tool === toolName) || null;
+    },
+
+    // Tool errors come back as { isError: true }; protocol errors and timeouts are thrown
+    async call(name, args = {}) {
+      const tool = tools.find(entry => entry.name === name);
+      if (!tool) throw new Error(`Unknown tool ${name}`);
+      const server = servers.find(entry => entry.name === tool.server);
+      const result = await server.client.callTool({ name: tool.tool, arguments: args }, undefined, { timeout: TOOL_TIMEOUT });
+      return { ...readContent(result.content), isError: Boolean(result.isError) };
+    },
+
+    close
+  };
+}
@@ -0,0 +1,195 @@
+import { randomUUID } from 'crypto';
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { ExecutorAgent, ArchitectAgent, DesignAgent, AI_Provider, resolveLlmSettings, profileSummary, pickMissionConfig, validateThrottling } from '../orchestrator.js';
+import { engineFor } from '../engines.js';
+import { resolveDeviceProfile, resolveDeviceList } from '../devices.js';
+import { computeVerdict, validateThresholds } from '../verdict.js';
+import { historyStore } from '../store.js';
+import { resolveThrottling } from '../performance.js';
+import { resolveExplore } from '../explorer.js';
+import { BROWSERS, DEFAULT_BROWSER, resolveBrowsers } from '../browsers.js';
+import { validateLlmSettings } from '../providers/index.js';
+
+// --- QA AGENTS AS AN MCP SERVER ---
+// The reverse of mcp/engine.js: editors and agent setups call the swarm as MCP tools.
+//   audit_page, create_test_plan, compare_with_design -> one agent on one page and device
+//   run_mission                                       -> the full pipeline, archived in the history like a UI mission
+// Served over stdio (mcp-server.js) and Streamable HTTP (POST /mcp on the backend).
+const MAX_LISTED = 50;
+
+// Mission-style arguments shared by the tools; devices and llm take the same values as POST /api/missions
+const deviceArg = z.union([z.string(), z.record(z.any())]).default('desktop').describe('"mobile", "tablet", "desktop", a Playwright device name or a custom profile { name, viewport, ... }');
+const llmArg = z.record(z.any()).optional().describe('LLM settings { provider, model, agents } (default: the backend provider)');
+
+const json = (data) => ({ type: 'text', text: JSON.stringify(data, null, 2) });
+const png = (data) => ({ type: 'image', data, mimeType: 'image/png' });
+
+// The audit facts a caller can act on, without the HTML snippet, HAR and computed styles
+function auditSummary(url, profile, browser, audit) {
+  const verdict = computeVerdict({
+    networkStatus: audit.networkStatus,
+    consoleLogs: audit.consoleLogs,
+    failedRequests: audit.failedRequests,
+    accessibility: audit.accessibility,
+    performance: audit.performance,
+    network: audit.network,
+    links: audit.links
+  });
+  return {
+    url,
+    device: profile.name,
+    browser,
+    profile: profileSummary(profile),
+    status: verdict.status,
+    checks: verdict.checks.filter(check => check.severity !== 'pass').map(check => `${check.severity.toUpperCase()} ${check.message}`),
+    title: audit.title,
+    network_status: audit.networkStatus,
+    redirects: audit.redirects,
+    console_logs: audit.consoleLogs.slice(0, MAX_LISTED),
+    failed_requests: audit.failedRequests.slice(0, MAX_LISTED),
+    network: audit.network ? { summary: audit.network.summary, mixed_content: audit.network.mixed_content, cors_errors: audit.network.cors_errors } : null,
+    broken_links: audit.links?.broken || [],
+    accessibility: audit.accessibility?.summary ? {
+      summary: audit.accessibility.summary,
+      violations: audit.accessibility.violations.map(v => `${v.impact}: ${v.help} (${v.nodeCount} elements)`)
+    } : null,
+    performance: audit.performance,
+    interactive_elements: audit.interactiveElements.slice(0, MAX_LISTED)
+  };
+}
+
+// Progress notifications for clients that sent a progressToken; other clients just wait for the result
+function progressReporter(extra) {
+  const token = extra._meta?.progressToken;
+  let progress = 0;
+  return (message) => {
+    if (token === undefined) return;
+    extra.sendNotification({ method: 'notifications/progress', params: { progressToken: token, progress: ++progress, message } }).catch(() => {});
+  };
+}
+
+export function createQaServer() {
+  const server = new McpServer({ name: 'agentswarm-qa', version: '1.0.0' });
+
+  server.registerTool('audit_page', {
+    title: 'Audit page (Executor)',
+    description: 'Loads a page in a real browser and returns the technical audit: HTTP status, console errors, network failures, broken links, WCAG violations, Core Web Vitals and the interactive elements, plus a screenshot.',
+    inputSchema: {
+      url: z.string().url(),
+      device: deviceArg,
+      browser: z.enum(BROWSERS).default(DEFAULT_BROWSER).describe('Browser engine'),
+      throttling: z.string().optional().describe('Network/CPU profile: slow-4g, fast-3g or cpu-4x (Chromium only)'),
+      linkCheck: z.boolean().default(true).describe('Check the page links for broken targets')
+    }
+  }, async ({ url, device, browser, throttling, linkCheck }) => {
+    const profile = resolveDeviceProfile(device);
+    const audit = await new ExecutorAgent({ browser }).executeAudit(url, profile, { throttling: resolveThrottling(throttling, profile.name), linkCheck });
+    return { content: [json(auditSummary(url, profile, browser, audit)), png(audit.screenshot)] };
+  });
+
+  server.registerTool('create_test_plan', {
+    title: 'Create test plan (Architect)',
+    description: 'Audits the page, then asks the Architect agent for an executable test plan (navigate, click, fill, assert steps with Playwright selectors). With execute: true the Executor also runs it and returns each step result.',
+    inputSchema: {
+      url: z.string().url(),
+      device: deviceArg,
+      llm: llmArg,
+      execute: z.boolean().default(false).describe('Run the plan and return pass/fail per step')
+    }
+  }, async ({ url, device, llm, execute }) => {
+    validateLlmSettings(llm);
+    const profile = resolveDeviceProfile(device);
+    const executor = new ExecutorAgent();
+    const architect = new ArchitectAgent(new AI_Provider(resolveLlmSettings({ llm })).forAgent('architect'));
+
+    const audit = await executor.executeAudit(url, profile, { linkCheck: false });
+    const plan = await architect.createTestPlan(audit.htmlSnippet, audit.screenshot, profile.name, audit.interactiveElements);
+    if (!execute) return { content: [json({ url, device: profile.name, test_plan: plan })] };
+
+    const steps = await executor.executeTestPlan(url, profile, plan);
+    const results = steps.map(({ screenshot, ...step }) => step);
+    return { content: [json({ url, device: profile.name, failed: results.filter(step => step.status === 'fail').length, test_plan: results })] };
+  });
+
+  server.registerTool('compare_with_design', {
+    title: 'Compare with Figma (Designer)',
+    description: 'Screenshots the page and compares it with a Figma frame: an AI review of the visual differences and, for a node, exact color, typography and spacing mismatches. Returns the live and the Figma image.',
+    inputSchema: {
+      url: z.string().url(),
+      figmaFile: z.string().min(1).describe('Figma file key'),
+      figmaNode: z.string().optional().describe('Frame node id, e.g. "1:24" (default: the file thumbnail)'),
+      figmaToken: z.string().optional().describe('Figma access token (default: FIGMA_ACCESS_TOKEN on the backend)'),
+      device: deviceArg,
+      llm: llmArg
+    }
+  }, async ({ url, figmaFile, figmaNode, figmaToken, device, llm }) => {
+    validateLlmSettings(llm);
+    const token = figmaToken || process.env.FIGMA_ACCESS_TOKEN;
+    if (!token) throw new Error('No Figma token: pass figmaToken or set FIGMA_ACCESS_TOKEN on the backend');
+    const profile = resolveDeviceProfile(device);
+    const designer = new DesignAgent(new AI_Provider(resolveLlmSettings({ llm })).forAgent('designer'));
+
+    const audit = await new ExecutorAgent().executeAudit(url, profile, { linkCheck: false });
+    const figmaImage = await designer.fetchFigmaImage(token, figmaFile, figmaNode, audit.viewport);
+    if (!figmaImage) throw new Error(`Could not fetch the Figma design ${figmaFile}${figmaNode ? ` node ${figmaNode}` : ''}`);
+    const designTokens = designer.checkDesignTokens(await designer.fetchFigmaTokens(token, figmaFile, figmaNode), audit.computedStyles);
+
+    const result = {
+      url,
+      device: profile.name,
+      figma_node: figmaNode || null,
+      design_analysis: await designer.compare(audit.screenshot, figmaImage),
+      design_tokens: designTokens ? { checked: designTokens.checked, mismatches: designTokens.mismatches.map(m => m.message) } : null
+    };
+    return { content: [json(result), png(audit.screenshot), png(figmaImage)] };
+  });
+
+  server.registerTool('run_mission', {
+    title: 'Run QA mission',
+    description: 'Runs the whole swarm (audit, test plan, design and visual checks, verdict) on every device, like a mission started from the UI, and archives it in the mission history. Slow: minutes per device.',
+    inputSchema: {
+      url: z.string().url(),
+      devices: z.array(z.union([z.string(), z.record(z.any())])).optional().describe('Default ["desktop"]'),
+      browsers: z.array(z.enum(BROWSERS)).optional().describe('Browser engines, every device runs on each (default ["chromium"])'),
+      figmaFile: z.string().optional(),
+      figmaNode: z.string().optional(),
+      figmaNodes: z.record(z.string()).optional().describe('Figma node per device name or form factor'),
+      llm: llmArg,
+      crawl: z.record(z.any()).optional().describe('Crawl the site: { maxDepth, maxPages, include, exclude }'),
+      thresholds: z.record(z.any()).optional().describe('Verdict thresholds { rule: { warn, fail } }'),
+      throttling: z.union([z.string(), z.record(z.string())]).optional(),
+      explore: z.union([z.boolean(), z.record(z.any())]).optional().describe('Exploratory mode: true or { maxSteps, timeBudget, sameOrigin }'),
+      engine: z.enum(['playwright', 'mcp']).optional(),
+      mcp: z.record(z.any()).optional().describe('MCP engine settings { servers, maxSteps }')
+    }
+  }, async (args, extra) => {
+    const config = pickMissionConfig(args);
+    validateLlmSettings(config.llm);
+    validateThresholds(config.thresholds);
+    validateThrottling(config.throttling, resolveDeviceList(config.devices));
+    resolveBrowsers(config.browsers);
+    resolveExplore(config.explore);
+    const engine = engineFor(config);
+    const progress = progressReporter(extra);
+    const createdAt = new Date().toISOString();
+
+    console.log(`🔌 [MCP] run_mission ${config.url}`);
+    const result = await engine.startMission(config, event => progress(`${event.device ? `[${event.device}${event.browser ? `/${event.browser}` : ''}] ` : ''}${event.agent}: ${event.message}`));
+    const archived = await historyStore.save({ id: randomUUID(), status: 'completed', config, result, error: null, createdAt, finishedAt: new Date().toISOString() });
+
+    return {
+      content: [json({
+        mission_id: archived.id,
+        status: result.status,
+        analysis: result.analysis,
+        cross_device_issues: result.cross_device_issues,
+        site_issues: result.site_issues,
+        compatibility: result.compatibility?.engine_specific,
+        results: result.results.map(r => ({ device: r.device, browser: r.browser, url: r.url, status: r.status, issues: r.issues || [], failed_steps: (r.test_plan || []).filter(step => step.status === 'fail').map(step => `${step.action}: ${step.error}`) }))
+      })]
+    };
+  });
+
+  return server;
+}
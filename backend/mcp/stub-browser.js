@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+import { z } from 'zod';
+import { PNG } from 'pngjs';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+
+// --- STUB BROWSER (MCP tool server for offline runs) ---
+// Answers a subset of @playwright/mcp's tools with a canned page, so the MCP engine can run
+// without a browser or network: `"mcp": { "servers": ["stub-browser"] }` with the mock LLM.
+// The page has a heading, a "Pricing" link and a "Sign up" button; clicking anything else is a tool error.
+// Like a real browser session, console messages pile up across navigations until browser_close.
+const PAGE = {
+  title: 'Stub page',
+  elements: [
+    { ref: 'e1', role: 'heading', name: 'Welcome' },
+    { ref: 'e2', role: 'link', name: 'Pricing' },
+    { ref: 'e3', role: 'button', name: 'Sign up' }
+  ],
+  console: ['[WARNING] Stub deprecation warning @ app.js:1']
+};
+
+const initialState = () => ({ url: null, viewport: { width: 1280, height: 720 }, clicked: [], console: [] });
+let state = initialState();
+
+const text = (value) => ({ content: [{ type: 'text', text: value }] });
+const error = (value) => ({ content: [{ type: 'text', text: value }], isError: true });
+
+function snapshot() {
+  if (!state.url) return 'No page open, call browser_navigate first';
+  return [
+    `- Page URL: ${state.url}`,
+    `- Page Title: ${PAGE.title}`,
+    `- Viewport: ${state.viewport.width}x${state.viewport.height}`,
+    '- Page Snapshot:',
+    ...PAGE.elements.map(element => `  - ${element.role} "${element.name}" [ref=${element.ref}]`)
+  ].join('\n');
+}
+
+// A flat image at the current viewport, scaled down to keep the payload small
+function screenshot() {
+  const png = new PNG({ width: Math.ceil(state.viewport.width / 10), height: Math.ceil(state.viewport.height / 10) });
+  png.data.fill(0xee);
+  return PNG.sync.write(png).toString('base64');
+}
+
+const server = new McpServer({ name: 'stub-browser', version: '1.0.0' });
+
+server.registerTool('browser_navigate', {
+  description: 'Navigate to a URL',
+  inputSchema: { url: z.string().describe('The URL to navigate to') }
+}, async ({ url }) => {
+  state.url = url;
+  state.clicked = [];
+  state.console.push(...PAGE.console);
+  return text(`Navigated to ${url}\n${snapshot()}`);
+});
+
+server.registerTool('browser_snapshot', {
+  description: 'Capture accessibility snapshot of the current page',
+  inputSchema: {}
+}, async () => state.url ? text(snapshot()) : error(snapshot()));
+
+server.registerTool('browser_click', {
+  description: 'Perform click on a web page',
+  inputSchema: {
+    element: z.string().describe('Human-readable element description'),
+    ref: z.string().describe('Exact target element reference from the page snapshot')
+  }
+}, async ({ element, ref }) => {
+  if (!state.url) return error(snapshot());
+  const target = PAGE.elements.find(entry => entry.ref === ref);
+  if (!target) return error(`Ref ${ref} not found in the current page snapshot (${element})`);
+  state.clicked.push(target.name);
+  return text(`Clicked ${target.role} "${target.name}"\n${snapshot()}`);
+});
+
+server.registerTool('browser_resize', {
+  description: 'Resize the browser window',
+  inputSchema: { width: z.number().describe('Width of the browser window'), height: z.number().describe('Height of the browser window') }
+}, async ({ width, height }) => {
+  state.viewport = { width, height };
+  return text(`Resized the browser window to ${width}x${height}`);
+});
+
+server.registerTool('browser_take_screenshot', {
+  description: 'Take a screenshot of the current page',
+  inputSchema: {}
+}, async () => {
+  if (!state.url) return error(snapshot());
+  return { content: [{ type: 'text', text: `Screenshot of ${state.url}` }, { type: 'image', data: screenshot(), mimeType: 'image/png' }] };
+});
+
+server.registerTool('browser_console_messages', {
+  description: 'Returns all console messages',
+  inputSchema: {}
+}, async () => text(state.console.join('\n')));
+
+server.registerTool('browser_close', {
+  description: 'Close the page',
+  inputSchema: {}
+}, async () => {
+  state = initialState();
+  return text('Browser closed');
+});
+
+await server.connect(new StdioServerTransport());
@@ -0,0 +1,262 @@
+// --- NETWORK LOG (every request, failures, mixed content, CORS, broken links, HAR) ---
+const MAX_ENTRIES = 500;
+const LINK_CHECK_LIMIT = Number(process.env.LINK_CHECK_LIMIT ?? 50);
+const LINK_CHECK_TIMEOUT = 10000;
+const LINK_CHECK_CONCURRENCY = 5;
+
+const CORS_PATTERN = /CORS policy|Access-Control-Allow-Origin|Cross-Origin Request Blocked/i;
+const MIXED_CONTENT_PATTERN = /Mixed Content/i;
+
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Attaches listeners to the page; call the returned function once the page has settled
+export function recordNetwork(page, pageUrl) {
+  const pageOrigin = originOf(pageUrl);
+  const entries = [];
+  const byRequest = new Map();
+  const flagged = [];
+  const pending = [];
+
+  page.on('request', request => {
+    if (entries.length >= MAX_ENTRIES) return;
+    const entry = {
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      startedDateTime: new Date().toISOString(),
+      thirdParty: originOf(request.url()) !== pageOrigin,
+      redirectedFrom: request.redirectedFrom()?.url() || null,
+      requestHeaders: request.headers(),
+      postData: request.postData(),
+      status: null,
+      statusText: '',
+      responseHeaders: {},
+      failure: null,
+      timing: null,
+      bytes: null
+    };
+    entries.push(entry);
+    byRequest.set(request, entry);
+  });
+
+  page.on('response', response => {
+    const entry = byRequest.get(response.request());
+    if (!entry) return;
+    entry.status = response.status();
+    entry.statusText = response.statusText();
+    entry.responseHeaders = response.headers();
+  });
+
+  page.on('requestfinished', request => {
+    const entry = byRequest.get(request);
+    if (!entry) return;
+    entry.timing = request.timing();
+    pending.push(request.sizes()
+      .then(sizes => { entry.bytes = sizes.responseBodySize + sizes.responseHeadersSize; })
+      .catch(() => {}));
+  });
+
+  page.on('requestfailed', request => {
+    const entry = byRequest.get(request);
+    if (!entry) return;
+    entry.timing = request.timing();
+    entry.failure = request.failure()?.errorText || 'failed';
+  });
+
+  // The browser only explains CORS and mixed-content blocks in the console
+  page.on('console', msg => {
+    const text = msg.text();
+    if (CORS_PATTERN.test(text)) flagged.push({ kind: 'cors', text });
+    else if (MIXED_CONTENT_PATTERN.test(text)) flagged.push({ kind: 'mixed', text });
+  });
+
+  return async ({ title } = {}) => {
+    await Promise.all(pending);
+
+    // Console messages quote the offending URL; the longest match avoids "https://a.com" matching "https://a.com/x.js"
+    const entryIn = (text) => entries
+      .filter(entry => text.includes(entry.url))
+      .sort((a, b) => b.url.length - a.url.length)[0] || null;
+
+    const corsErrors = flagged.filter(flag => flag.kind === 'cors').map(flag => {
+      const entry = entryIn(flag.text);
+      if (entry) entry.cors = true;
+      return { url: entry?.url || null, message: flag.text.substring(0, 300) };
+    });
+
+    const mixedContent = [];
+    if (pageUrl.startsWith('https:')) {
+      for (const entry of entries.filter(e => e.url.startsWith('http:'))) {
+        entry.mixedContent = true;
+        mixedContent.push({ url: entry.url, resourceType: entry.resourceType, blocked: !!entry.failure });
+      }
+    }
+    for (const flag of flagged.filter(f => f.kind === 'mixed')) {
+      if (!entryIn(flag.text)?.mixedContent) mixedContent.push({ url: null, resourceType: null, blocked: /blocked/i.test(flag.text), message: flag.text.substring(0, 300) });
+    }
+
+    const failed = entries.filter(entry => entry.failure || entry.status >= 400);
+    return {
+      summary: {
+        requests: entries.length,
+        failed: failed.length,
+        thirdPartyFailed: failed.filter(entry => entry.thirdParty).length,
+        redirects: entries.filter(entry => entry.status >= 300 && entry.status < 400).length,
+        mixedContent: mixedContent.length,
+        corsErrors: corsErrors.length,
+        truncated: entries.length >= MAX_ENTRIES
+      },
+      requests: entries.map(entry => ({
+        url: entry.url,
+        method: entry.method,
+        resourceType: entry.resourceType,
+        status: entry.status,
+        failure: entry.failure,
+        bytes: entry.bytes,
+        time: entry.timing && entry.timing.responseEnd >= 0 ? Math.round(entry.timing.responseEnd) : null,
+        thirdParty: entry.thirdParty,
+        redirectedFrom: entry.redirectedFrom,
+        mixedContent: !!entry.mixedContent,
+        cors: !!entry.cors
+      })),
+      mixed_content: mixedContent,
+      cors_errors: corsErrors,
+      har: toHar(entries, { pageUrl, title })
+    };
+  };
+}
+
+// Tests the page's anchors with the browser context's request API (shares cookies, skips the page's throttling)
+export async function checkLinks(page, { limit = LINK_CHECK_LIMIT } = {}) {
+  const anchors = await page.evaluate(() => Array.from(document.querySelectorAll('a[href]')).map(a => ({
+    url: a.href,
+    text: (a.innerText || a.getAttribute('aria-label') || '').trim().substring(0, 60)
+  })));
+
+  const unique = new Map();
+  for (const anchor of anchors) {
+    if (!/^https?:/.test(anchor.url)) continue; // mailto:, tel:, javascript:
+    const url = anchor.url.split('#')[0];
+    if (!unique.has(url)) unique.set(url, { ...anchor, url });
+  }
+  const links = [...unique.values()].slice(0, limit);
+
+  const check = async (link) => {
+    const options = { timeout: LINK_CHECK_TIMEOUT, maxRedirects: 5 };
+    try {
+      let response = await page.request.head(link.url, options);
+      // Plenty of servers reject HEAD; only trust a failure that GET confirms
+      if (response.status() >= 400) response = await page.request.get(link.url, options);
+      return { ...link, status: response.status(), ok: response.status() < 400 };
+    } catch (error) {
+      return { ...link, status: 0, ok: false, error: error.message.split('\n')[0] };
+    }
+  };
+
+  const results = [];
+  for (let i = 0; i < links.length; i += LINK_CHECK_CONCURRENCY) {
+    results.push(...await Promise.all(links.slice(i, i + LINK_CHECK_CONCURRENCY).map(check)));
+  }
+
+  return {
+    found: unique.size,
+    checked: results.length,
+    broken: results.filter(link => !link.ok)
+  };
+}
+
+// HAR files are downloadable artifacts: credentials, form bodies (login passwords) and token query parameters are masked
+const REDACTED_HEADERS = new Set(['authorization', 'proxy-authorization', 'cookie', 'set-cookie']);
+const REDACTED = '[redacted]';
+
+// Query parameters that carry credentials: ?token=, ?access_token=, ?api_key=, ?sig=...
+const SENSITIVE_PARAM = /token|secret|passw|pwd|api[-_]?key|^key$|^auth|^code$|signature|^sig$|session|^sid$|jwt/i;
+
+// Works on relative URLs too (a Location header may be "/home?token=...")
+const redactUrl = (url) => {
+  const text = String(url ?? '');
+  const query = text.indexOf('?');
+  if (query === -1) return text;
+  const hash = text.indexOf('#', query);
+  const end = hash === -1 ? text.length : hash;
+  const params = new URLSearchParams(text.slice(query + 1, end));
+  const sensitive = [...new Set(params.keys())].filter(name => SENSITIVE_PARAM.test(name));
+  if (sensitive.length === 0) return text;
+  for (const name of sensitive) params.set(name, REDACTED);
+  return `${text.slice(0, query)}?${params}${text.slice(end)}`;
+};
+
+const URL_HEADERS = new Set(['location', 'referer']);
+
+const harHeaders = (headers = {}) => Object.entries(headers).map(([name, value]) => {
+  const key = name.toLowerCase();
+  return { name, value: REDACTED_HEADERS.has(key) ? REDACTED : URL_HEADERS.has(key) ? redactUrl(value) : value };
+});
+
+// Playwright timings are ms offsets from startTime, -1 when the phase did not happen
+const harTimings = (timing) => {
+  if (!timing) return { send: 0, wait: -1, receive: -1 };
+  const span = (start, end) => start >= 0 && end >= 0 ? Math.max(0, end - start) : -1;
+  return {
+    blocked: -1,
+    dns: span(timing.domainLookupStart, timing.domainLookupEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.secureConnectionStart, timing.connectEnd),
+    send: 0,
+    wait: span(timing.requestStart, timing.responseStart),
+    receive: span(timing.responseStart, timing.responseEnd)
+  };
+};
+
+// HAR 1.2 without response bodies or request payloads, readable by browser devtools and HAR viewers
+export function toHar(entries, { pageUrl, title }) {
+  const startedDateTime = entries[0]?.startedDateTime || new Date().toISOString();
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'AgentSwarm QA', version: '1.0' },
+      pages: [{ id: 'page_1', startedDateTime, title: title || redactUrl(pageUrl), pageTimings: {} }],
+      entries: entries.map(entry => {
+        const timings = harTimings(entry.timing);
+        const url = redactUrl(entry.url);
+        const queryString = originOf(url) ? [...new URL(url).searchParams].map(([name, value]) => ({ name, value })) : [];
+        return {
+          pageref: 'page_1',
+          startedDateTime: entry.startedDateTime,
+          time: Object.values(timings).filter(t => t > 0).reduce((total, t) => total + t, 0),
+          request: {
+            method: entry.method,
+            url,
+            httpVersion: 'HTTP/1.1',
+            headers: harHeaders(entry.requestHeaders),
+            queryString,
+            cookies: [],
+            headersSize: -1,
+            bodySize: entry.postData ? entry.postData.length : 0,
+            ...(entry.postData ? { postData: { mimeType: entry.requestHeaders['content-type'] || '', text: REDACTED } } : {})
+          },
+          response: {
+            status: entry.status || 0,
+            statusText: entry.statusText,
+            httpVersion: 'HTTP/1.1',
+            headers: harHeaders(entry.responseHeaders),
+            cookies: [],
+            content: { size: entry.bytes ?? -1, mimeType: entry.responseHeaders['content-type'] || '' },
+            redirectURL: redactUrl(entry.responseHeaders.location || ''),
+            headersSize: -1,
+            bodySize: entry.bytes ?? -1,
+            ...(entry.failure ? { _error: entry.failure } : {})
+          },
+          cache: {},
+          timings
+        };
+      })
+    }
+  };
+}
@@ -0,0 +1,74 @@
+// --- WEBHOOK NOTIFICATIONS ---
+// Scheduled runs POST a summary when the verdict changes or new issues appear.
+// "json" webhooks get the payload below, "slack" webhooks a Slack incoming-webhook message.
+const PUBLIC_URL = process.env.PUBLIC_URL || '';
+const WEBHOOK_TIMEOUT = 10000;
+const MAX_LISTED_ISSUES = 10;
+
+export function buildPayload(schedule, mission, changes) {
+  const event = mission.status === 'failed' ? 'mission_failed'
+    : changes.status !== changes.previousStatus ? 'verdict_changed'
+    : changes.newIssues.length > 0 ? 'new_issues'
+    : 'mission_completed';
+
+  return {
+    event,
+    schedule: { id: schedule.id, name: schedule.name, cron: schedule.cron },
+    mission: {
+      id: mission.id,
+      url: mission.config?.url || null,
+      status: changes.status,
+      previous_status: changes.previousStatus,
+      error: mission.error || null,
+      started_at: mission.createdAt,
+      finished_at: mission.finishedAt,
+      report_url: PUBLIC_URL && mission.id ? `${PUBLIC_URL}/api/history/${mission.id}` : null
+    },
+    analysis: mission.result?.analysis || null,
+    new_issues: changes.newIssues,
+    resolved_issues: changes.resolvedIssues
+  };
+}
+
+const STATUS_EMOJI = { pass: ':white_check_mark:', warning: ':warning:', fail: ':x:', error: ':rotating_light:' };
+
+export function toSlackMessage(payload) {
+  const { schedule, mission } = payload;
+  const lines = [
+    `${STATUS_EMOJI[mission.status] || ''} *${schedule.name}*: ${String(mission.status).toUpperCase()}${mission.previous_status && mission.previous_status !== mission.status ? ` (was ${mission.previous_status.toUpperCase()})` : ''}`,
+    mission.url ? `<${mission.url}>` : null,
+    mission.error ? `Error: ${mission.error.split('\n')[0]}` : null,
+    payload.analysis
+  ];
+  if (payload.new_issues.length > 0) {
+    lines.push(`*${payload.new_issues.length} new issue(s):*`);
+    lines.push(...payload.new_issues.slice(0, MAX_LISTED_ISSUES).map(({ device, issue }) => `• [${device}] ${issue}`));
+    if (payload.new_issues.length > MAX_LISTED_ISSUES) lines.push(`…and ${payload.new_issues.length - MAX_LISTED_ISSUES} more`);
+  }
+  if (payload.resolved_issues > 0) lines.push(`${payload.resolved_issues} issue(s) resolved`);
+  if (mission.report_url) lines.push(`<${mission.report_url}|Full report>`);
+  return { text: lines.filter(Boolean).join('\n') };
+}
+
+// Delivers to every webhook; failures are reported per webhook, never thrown
+export async function notifyWebhooks(schedule, mission, changes) {
+  if (!schedule.webhooks?.length) return [];
+  const payload = buildPayload(schedule, mission, changes);
+
+  return Promise.all(schedule.webhooks.map(async ({ url, format }) => {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(format === 'slack' ? toSlackMessage(payload) : payload),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      console.log(`📣 [Notify] ${payload.event} sent to ${new URL(url).host}`);
+      return { url, format, ok: true };
+    } catch (error) {
+      console.error(`📣 [Notify] Webhook ${new URL(url).host} failed: ${error.message}`);
+      return { url, format, ok: false, error: error.message };
+    }
+  }));
+}
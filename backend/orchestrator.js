@@ -0,0 +1,1211 @@
+import { createProvider, DEFAULT_PROVIDER } from './providers/index.js';
+import { baselineStore, sessionStore } from './store.js';
+import { diffScreenshots, fitToViewport } from './visual.js';
+import { extractFigmaTokens, captureComputedStyles, compareTokens } from './tokens.js';
+import { computeVerdict } from './verdict.js';
+import { runAccessibilityAudit } from './accessibility.js';
+import { recordNetwork, checkLinks } from './network.js';
+import { resolveThrottling, applyThrottling, installVitalsObservers, trackTransfers, collectPerformance } from './performance.js';
+import { crawlSite, groupByTemplate } from './crawler.js';
+import { validateAuth, sessionKey, performLogin, SESSION_TTL_MINUTES } from './auth.js';
+import { resolveDeviceProfile, resolveDeviceList } from './devices.js';
+import { BROWSER_TYPES, DEFAULT_BROWSER, resolveBrowsers, launchOptions, contextOptions, resultKey } from './browsers.js';
+import { resolveExplore, capturePageState, detectLayoutBreaks, performAction } from './explorer.js';
+import { TestPlanSchema, ExploreActionSchema, DeviceReportSchema, CrossDeviceSummarySchema, SiteSummarySchema, extractJson, describeZodError, StructuredOutputError } from './schemas.js';
+
+// The mission pipeline (agents + orchestrator), shared by the HTTP server and the CLI
+
+// --- SHARED UTILITIES ---
+
+const MAX_JSON_REPAIRS = Number(process.env.LLM_JSON_REPAIRS ?? 2);
+
+// One provider per mission; agents can override it ("architect", "designer", "synthesis")
+// settings: { provider, model, baseUrl, agents: { architect: { provider, model, baseUrl }, ... } }
+export class AI_Provider {
+  constructor(settings = {}) {
+    this.settings = settings;
+    this.adapters = new Map();
+  }
+
+  adapterFor(agent) {
+    const { agents, ...defaults } = this.settings;
+    const override = (agent && agents?.[agent]) || {};
+    // Switching provider for one agent must not inherit the mission's model name
+    const options = override.provider && override.provider !== defaults.provider ? override : { ...defaults, ...override };
+
+    const cacheKey = JSON.stringify(options);
+    if (!this.adapters.has(cacheKey)) this.adapters.set(cacheKey, createProvider(options));
+    return this.adapters.get(cacheKey);
+  }
+
+  forAgent(agent) {
+    return {
+      generate: (prompt, imageParts, preferredModel) => this.generate(prompt, imageParts, preferredModel, agent),
+      generateJson: (prompt, imageParts, options) => this.generateJson(prompt, imageParts, { ...options, agent })
+    };
+  }
+
+  async generate(prompt, imageParts = [], preferredModel, agent) {
+    return this.adapterFor(agent).generate(prompt, imageParts, preferredModel);
+  }
+
+  // JSON mode + zod validation; a rejected answer goes back to the model with the validation error
+  async generateJson(prompt, imageParts = [], { schema, agent, retries = MAX_JSON_REPAIRS } = {}) {
+    let currentPrompt = prompt;
+    let lastError;
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      const rawText = await this.adapterFor(agent).generate(currentPrompt, imageParts, undefined, { json: true });
+      try {
+        const parsed = schema.safeParse(extractJson(rawText));
+        if (parsed.success) return parsed.data;
+        lastError = describeZodError(parsed.error);
+      } catch (e) {
+        lastError = `Invalid JSON: ${e.message}`;
+      }
+
+      console.warn(`⚠️ [AI] Attempt ${attempt} returned invalid JSON: ${lastError}`);
+      currentPrompt = `${prompt}
+      
+      YOUR PREVIOUS ANSWER WAS REJECTED.
+      Previous answer: ${String(rawText).substring(0, 4000)}
+      Validation error: ${lastError}
+      Return ONLY the corrected JSON object, without prose or code fences.
+    `;
+    }
+
+    throw new StructuredOutputError(`Model output failed validation after ${retries + 1} attempts: ${lastError}`, retries + 1);
+  }
+}
+
+// --- AGENT 1: THE ARCHITECT (Planner) ---
+// Analyzes the page and creates a Testing Strategy
+export class ArchitectAgent {
+  constructor(aiProvider) {
+    this.ai = aiProvider;
+  }
+
+  async createTestPlan(htmlSnippet, screenshotBase64, device, interactiveElements) {
+    console.log("📐 [Architect] Creating Test Plan...");
+    
+    const prompt = `
+      ROLE: Senior QA Architect.
+      CONTEXT: We are testing a web application on ${device.toUpperCase()}.
+      INPUT: Screenshot and HTML snippet.
+      
+      INTERACTIVE ELEMENTS (use these to build selectors):
+      ${JSON.stringify(interactiveElements || [])}
+      
+      TASK: Create a concise, EXECUTABLE Testing Plan (JSON).
+      Identify 4-6 critical user flows or visual elements that MUST be verified based on the UI visible.
+      Every step will be run by Playwright, so each one needs a "type" and a Playwright selector:
+      - "navigate": open "url" (absolute or relative to the page).
+      - "click": click "selector".
+      - "fill": type "value" into the input matching "selector".
+      - "assert_visible": "selector" must be visible.
+      - "assert_text": "selector" (or the whole page if omitted) must contain "value".
+      Prefer stable selectors (id, name, role=..., text=...). Only use elements that exist on the page.
+      
+      OUTPUT JSON FORMAT:
+      {
+        "test_plan": [
+          { "id": 1, "action": "Check Header", "expectation": "Logo and Nav visible", "type": "assert_visible", "selector": "header" },
+          { "id": 2, "action": "Interact with CTA", "expectation": "Signup form opens", "type": "click", "selector": "text=Sign up" },
+          { "id": 3, "action": "Fill email", "expectation": "Email is accepted", "type": "fill", "selector": "input[name=email]", "value": "qa@example.com" }
+        ]
+      }
+    `;
+
+    const imagePart = { inlineData: { data: screenshotBase64, mimeType: "image/png" } };
+    
+    try {
+      const { test_plan } = await this.ai.generateJson(prompt, [imagePart], { schema: TestPlanSchema });
+      return test_plan;
+    } catch (e) {
+      console.error("Architect failed:", e);
+      return [{ id: 0, action: "Fallback Plan", expectation: "Verify Page Load", type: "assert_visible", selector: "body" }];
+    }
+  }
+}
+
+// --- AGENT 2: THE EXECUTOR (Tester) ---
+// Runs the technical audit and the Architect's test plan using Playwright
+const STEP_TIMEOUT = 10000;
+
+export class ExecutorAgent {
+  // storageState: logged-in cookies/localStorage shared by every context this agent opens
+  // browser: engine every launch uses (see browsers.js)
+  constructor({ storageState, browser = DEFAULT_BROWSER } = {}) {
+    this.storageState = storageState || null;
+    this.browser = browser;
+  }
+
+  // Device name or profile (see devices.js) -> resolved profile with its browser context options
+  resolveDevice(device) {
+    return typeof device === 'object' && device.options ? device : resolveDeviceProfile(device);
+  }
+
+  async launch(device) {
+    const browser = await BROWSER_TYPES[this.browser].launch(launchOptions(this.browser));
+
+    // Device Setup
+    const { options } = this.resolveDevice(device);
+    const context = await browser.newContext({ ...contextOptions(this.browser, options), ...(this.storageState ? { storageState: this.storageState } : {}) });
+    const page = await context.newPage();
+    return { browser, page };
+  }
+
+  // options.throttling: profile name from THROTTLING_PROFILES (e.g. 'slow-4g'), applied before navigation
+  // options.linkCheck: false to skip the broken-link check, or { limit } anchors to test
+  async executeAudit(url, device, options = {}) {
+    console.log(`⚙️ [Executor] Running technical audit on ${url}...`);
+    
+    let browser;
+    const auditResults = {
+      consoleLogs: [],
+      networkStatus: 0,
+      failedRequests: [],
+      redirects: [],
+      network: null,
+      links: null,
+      screenshot: null,
+      title: "",
+      htmlSnippet: "",
+      interactiveElements: [],
+      computedStyles: [],
+      accessibility: null,
+      performance: null,
+      viewport: this.resolveDevice(device).options.viewport
+    };
+
+    try {
+      const session = await this.launch(device);
+      browser = session.browser;
+      const page = session.page;
+
+      // 1. Listeners (The "Execution" part)
+      page.on('console', msg => {
+        if (msg.type() === 'error' || msg.type() === 'warning') {
+          auditResults.consoleLogs.push(`[${msg.type()}] ${msg.text()}`);
+        }
+      });
+
+      const finishNetwork = recordNetwork(page, url);
+
+      // Performance probes must be in place before the first byte
+      await installVitalsObservers(page);
+      const finishTransfers = trackTransfers(page);
+      const throttling = await applyThrottling(page, options.throttling);
+
+      // 2. Navigation
+      const response = await page.goto(url, { waitUntil: 'networkidle', timeout: 45000 });
+      await page.waitForTimeout(2000); // Stability wait
+
+      // The main document status is the one after redirects; the hops are kept separately
+      auditResults.networkStatus = response?.status() || 0;
+      for (let request = response?.request().redirectedFrom(); request; request = request.redirectedFrom()) {
+        const hop = await request.response();
+        auditResults.redirects.unshift({ url: request.url(), status: hop?.status() || 0, location: hop?.headers().location || null });
+      }
+
+      // 3. Capture Data
+      auditResults.performance = await collectPerformance(page, finishTransfers, throttling);
+      auditResults.title = await page.title();
+      auditResults.network = await finishNetwork({ title: auditResults.title });
+      auditResults.failedRequests = auditResults.network.requests
+        .filter(entry => (entry.failure || entry.status >= 400) && entry.url !== response?.url())
+        .map(entry => ({ url: entry.url, status: entry.status || 0, error: entry.failure || undefined, resourceType: entry.resourceType, thirdParty: entry.thirdParty }));
+      // CSS pixels, so high-DPR profiles stay comparable with Figma renders and baselines
+      const buffer = await page.screenshot({ fullPage: false, scale: 'css' });
+      auditResults.screenshot = buffer.toString('base64');
+      auditResults.htmlSnippet = await page.evaluate(() => document.body.innerText.substring(0, 3000));
+      auditResults.interactiveElements = await this.collectInteractiveElements(page);
+      auditResults.computedStyles = await page.evaluate(captureComputedStyles, 300);
+
+      // 4. Accessibility pass (a broken axe run should not cost us the rest of the audit)
+      try {
+        auditResults.accessibility = await runAccessibilityAudit(page);
+      } catch (error) {
+        console.error("Accessibility audit failed:", error.message);
+        auditResults.accessibility = { error: error.message, violations: [], summary: null };
+      }
+
+      // 5. Broken links (HEAD/GET through the context, so it runs after the page work is done)
+      if (options.linkCheck !== false) {
+        try {
+          auditResults.links = await checkLinks(page, options.linkCheck || {});
+        } catch (error) {
+          console.error("Link check failed:", error.message);
+          auditResults.links = { error: error.message, found: 0, checked: 0, broken: [] };
+        }
+      }
+
+      await browser.close();
+      return auditResults;
+
+    } catch (error) {
+      if (browser) await browser.close();
+      throw new Error(`Executor Audit Failed: ${error.message}`);
+    }
+  }
+
+  // Crawl mode: loads a page in an existing session and returns the hrefs of its anchors
+  async discoverLinks(page, url) {
+    await page.goto(url, { waitUntil: 'load', timeout: 30000 });
+    await page.waitForTimeout(500); // Client-side rendered navigation
+    return page.evaluate(() => Array.from(document.querySelectorAll('a[href]')).map(a => a.href));
+  }
+
+  // Summarizes clickable/fillable elements so the Architect can write real selectors
+  async collectInteractiveElements(page) {
+    return page.evaluate(() => {
+      const nodes = document.querySelectorAll('a[href], button, input, select, textarea, [role="button"], [role="link"]');
+      return Array.from(nodes).slice(0, 60).map(el => ({
+        tag: el.tagName.toLowerCase(),
+        id: el.id || undefined,
+        name: el.getAttribute('name') || undefined,
+        type: el.getAttribute('type') || undefined,
+        role: el.getAttribute('role') || undefined,
+        text: (el.innerText || el.value || el.getAttribute('aria-label') || '').trim().substring(0, 60) || undefined,
+        href: el.getAttribute('href') || undefined
+      }));
+    });
+  }
+
+  async executeTestPlan(url, device, plan, onStep = () => {}) {
+    console.log(`⚙️ [Executor] Running ${plan.length} test plan steps on ${url}...`);
+
+    let browser;
+    try {
+      const session = await this.launch(device);
+      browser = session.browser;
+      const page = session.page;
+      page.setDefaultTimeout(STEP_TIMEOUT);
+
+      // Evidence per step: console errors raised while it ran (page-load errors belong to the audit)
+      let consoleErrors = [];
+      page.on('console', msg => { if (msg.type() === 'error') consoleErrors.push(msg.text()); });
+      page.on('pageerror', error => consoleErrors.push(`Uncaught ${error.message}`));
+
+      await page.goto(url, { waitUntil: 'networkidle', timeout: 45000 });
+      consoleErrors = [];
+
+      const results = [];
+      for (const step of plan) {
+        const startedAt = Date.now();
+        const result = await this.runStep(page, step, url);
+        result.duration_ms = Date.now() - startedAt;
+        result.url_after = page.url();
+        result.console_errors = consoleErrors;
+        consoleErrors = [];
+        onStep(result);
+        results.push(result);
+      }
+
+      await browser.close();
+      return results;
+
+    } catch (error) {
+      if (browser) await browser.close();
+      throw new Error(`Executor Test Plan Failed: ${error.message}`);
+    }
+  }
+
+  async runStep(page, step, baseUrl) {
+    const result = { ...step, status: 'pass', error: null, screenshot: null };
+
+    try {
+      switch (step.type) {
+        case 'navigate':
+          await page.goto(new URL(step.url || step.value || '', baseUrl).href, { waitUntil: 'load' });
+          break;
+        case 'click':
+          await page.locator(step.selector).first().click();
+          break;
+        case 'fill':
+          await page.locator(step.selector).first().fill(String(step.value ?? ''));
+          break;
+        case 'assert_visible':
+          await page.locator(step.selector).first().waitFor({ state: 'visible' });
+          break;
+        case 'assert_text': {
+          const target = page.locator(step.selector || 'body').first();
+          const text = await target.innerText();
+          if (!text.includes(String(step.value ?? ''))) {
+            throw new Error(`Expected text "${step.value}" not found in ${step.selector || 'page'}`);
+          }
+          break;
+        }
+        default:
+          result.status = 'skipped';
+          result.error = `Unsupported step type: ${step.type}`;
+      }
+    } catch (error) {
+      result.status = 'fail';
+      result.error = error.message.split('\n')[0];
+    }
+
+    console.log(`   ${result.status === 'pass' ? '✅' : result.status === 'fail' ? '❌' : '⏭️'} Step ${step.id}: ${step.action}`);
+
+    try {
+      const buffer = await page.screenshot({ fullPage: false, scale: 'css' });
+      result.screenshot = buffer.toString('base64');
+    } catch (e) {
+      // Page may have crashed or navigated away; keep the step result anyway
+    }
+
+    return result;
+  }
+
+  // Exploratory mode: the Explorer picks every action from the live page, the Executor performs it and
+  // records what broke along the way (crashes, dead ends, console errors, layout breaks)
+  async explore(url, device, settings, explorer, onStep = () => {}) {
+    console.log(`⚙️ [Executor] Exploring ${url} (${settings.maxSteps} steps, ${settings.timeBudget}s budget)...`);
+    const startedAt = Date.now();
+    const deadline = startedAt + settings.timeBudget * 1000;
+    const origin = new URL(url).origin;
+    const steps = [];
+    const findings = [];
+    const visited = new Set();
+    let stopped = 'max_steps';
+
+    let browser;
+    try {
+      const session = await this.launch(device);
+      browser = session.browser;
+      const page = session.page;
+      page.setDefaultTimeout(STEP_TIMEOUT);
+
+      // Findings are kept once per type and message, with the step that first hit them
+      const addFinding = (type, message, step) => {
+        if (findings.some(finding => finding.type === type && finding.message === message)) return;
+        findings.push({ type, message, step, url: page.url() });
+      };
+
+      let consoleErrors = [];
+      let documentResponse = null;
+      let crashed = false;
+      page.on('console', msg => { if (msg.type() === 'error') consoleErrors.push(msg.text()); });
+      page.on('pageerror', error => consoleErrors.push(`Uncaught ${error.message}`));
+      page.on('crash', () => { crashed = true; });
+      page.on('response', response => {
+        if (response.request().isNavigationRequest() && response.frame() === page.mainFrame()) documentResponse = response;
+      });
+
+      await page.goto(url, { waitUntil: 'load', timeout: 45000 });
+      consoleErrors = []; // load-time errors are already in the audit
+
+      let previous = null;
+      for (let index = 1; index <= settings.maxSteps; index++) {
+        if (Date.now() > deadline) {
+          stopped = 'time_budget';
+          break;
+        }
+
+        const state = await capturePageState(page);
+        visited.add(state.url);
+        if (previous) {
+          previous.screenshot = state.screenshot;
+          if ((previous.action === 'click' || previous.submit) && previous.status === 'pass' && state.signature === previous.signature) {
+            previous.no_effect = true;
+            addFinding('dead_end', `${previous.action === 'click' ? 'Clicking' : 'Submitting'} ${previous.target} had no visible effect`, previous.id);
+          }
+        }
+        if (state.elements.length === 0) addFinding('dead_end', `No interactive elements on ${state.url}`, index - 1);
+        for (const message of await detectLayoutBreaks(page)) addFinding('layout_break', message, index - 1);
+
+        let decision;
+        try {
+          decision = await explorer.decide(state, steps, { step: index, maxSteps: settings.maxSteps, secondsLeft: Math.round((deadline - Date.now()) / 1000) });
+        } catch (error) {
+          console.error('Explorer failed:', error.message);
+          stopped = 'agent_error';
+          break;
+        }
+        for (const issue of decision.issues) addFinding('observation', issue, index - 1);
+        if (decision.action === 'finish') {
+          stopped = 'finished';
+          break;
+        }
+
+        const element = state.elements.find(entry => entry.ref === decision.ref);
+        const step = {
+          id: index,
+          action: decision.action,
+          target: element ? `${element.tag} "${element.name || ''}"` : decision.ref || null,
+          text: decision.action === 'type' ? decision.text ?? '' : undefined,
+          submit: decision.action === 'type' ? decision.submit : undefined,
+          direction: decision.action === 'scroll' ? decision.direction || 'down' : undefined,
+          reason: decision.reason,
+          url: state.url,
+          status: 'pass',
+          error: null,
+          console_errors: [],
+          screenshot: null,
+          signature: state.signature
+        };
+        documentResponse = null;
+        try {
+          await performAction(page, decision, STEP_TIMEOUT);
+        } catch (error) {
+          step.status = 'fail';
+          step.error = error.message.split('\n')[0];
+        }
+        steps.push(step);
+
+        if (crashed) {
+          step.status = 'fail';
+          step.error = 'Page crashed';
+          addFinding('crash', `Page crashed after ${step.action} ${step.target || ''}`.trim(), index);
+          stopped = 'crash';
+          onStep(step);
+          break;
+        }
+
+        step.url_after = page.url();
+        step.console_errors = consoleErrors;
+        consoleErrors = [];
+        for (const message of step.console_errors) addFinding('console_error', message, index);
+        if (documentResponse && documentResponse.status() >= 400) {
+          addFinding('dead_end', `${documentResponse.url()} responded HTTP ${documentResponse.status()}`, index);
+        }
+        // Links off the site are noted, then the tour continues where it was
+        if (settings.sameOrigin && new URL(step.url_after).origin !== origin) {
+          step.left_site = true;
+          await page.goBack({ waitUntil: 'load' }).catch(() => page.goto(state.url, { waitUntil: 'load' }));
+        }
+
+        onStep(step);
+        previous = step;
+      }
+
+      if (previous && !previous.screenshot && !crashed) {
+        previous.screenshot = (await page.screenshot({ fullPage: false, scale: 'css' })).toString('base64');
+      }
+      await browser.close();
+    } catch (error) {
+      if (browser) await browser.close();
+      throw new Error(`Executor Exploration Failed: ${error.message}`);
+    }
+
+    const count = (type) => findings.filter(finding => finding.type === type).length;
+    return {
+      stopped,
+      steps: steps.map(({ signature, ...step }) => step),
+      findings,
+      pages_visited: [...visited],
+      summary: {
+        steps: steps.length,
+        duration_ms: Date.now() - startedAt,
+        pages: visited.size,
+        crashes: count('crash'),
+        dead_ends: count('dead_end'),
+        console_errors: count('console_error'),
+        layout_breaks: count('layout_break'),
+        observations: count('observation')
+      }
+    };
+  }
+}
+
+// --- AGENT 3: THE DESIGNER (Visual Validator) ---
+// Compares Live vs Figma
+export class DesignAgent {
+  constructor(aiProvider) {
+    this.ai = aiProvider;
+  }
+
+  async fetchFigmaImage(token, fileKey, nodeId, viewport) {
+    if (!token || !fileKey) return null;
+    if (nodeId) return this.fetchFigmaNode(token, fileKey, nodeId, viewport);
+    console.log(`🎨 [Design] Fetching Figma original...`);
+    
+    try {
+      const resp = await fetch(`https://api.figma.com/v1/files/${fileKey}`, {
+        headers: { 'X-Figma-Token': token }
+      });
+      const data = await resp.json();
+      // Figma API returns 'thumbnailUrl'
+      if (data.thumbnailUrl) {
+        const imgResp = await fetch(data.thumbnailUrl);
+        const buffer = await imgResp.arrayBuffer();
+        return Buffer.from(buffer).toString('base64');
+      }
+    } catch (e) {
+      console.error("Figma Fetch Error:", e.message);
+    }
+    return null;
+  }
+
+  // Renders one frame through the images endpoint, scaled so its width matches the viewport
+  async fetchFigmaNode(token, fileKey, nodeId, viewport) {
+    const id = String(nodeId).replace(/-/g, ':'); // Figma URLs use "1-24", the API wants "1:24"
+    console.log(`🎨 [Design] Fetching Figma node ${id}...`);
+    const headers = { 'X-Figma-Token': token };
+
+    try {
+      let scale = 1;
+      if (viewport) {
+        const nodeResp = await fetch(`https://api.figma.com/v1/files/${fileKey}/nodes?ids=${encodeURIComponent(id)}&depth=1`, { headers });
+        const nodeData = await nodeResp.json();
+        const frameWidth = nodeData.nodes?.[id]?.document?.absoluteBoundingBox?.width;
+        if (!frameWidth) throw new Error(nodeData.err || `Node ${id} not found`);
+        scale = Math.min(4, Math.max(0.01, viewport.width / frameWidth)); // Figma accepts 0.01-4
+      }
+
+      const imageResp = await fetch(`https://api.figma.com/v1/images/${fileKey}?ids=${encodeURIComponent(id)}&format=png&scale=${scale}`, { headers });
+      const imageData = await imageResp.json();
+      const imageUrl = imageData.images?.[id];
+      if (!imageUrl) throw new Error(imageData.err || `Figma could not render node ${id}`);
+
+      const imgResp = await fetch(imageUrl);
+      const image = Buffer.from(await imgResp.arrayBuffer()).toString('base64');
+      return viewport ? fitToViewport(image, viewport.width, viewport.height) : image;
+    } catch (e) {
+      console.error("Figma Fetch Error:", e.message);
+    }
+    return null;
+  }
+
+  // Colors, typography and spacing straight from the node tree, for exact token checks
+  async fetchFigmaTokens(token, fileKey, nodeId) {
+    if (!token || !fileKey || !nodeId) return null;
+    const id = String(nodeId).replace(/-/g, ':');
+    console.log(`🎨 [Design] Fetching Figma styles for node ${id}...`);
+
+    try {
+      const resp = await fetch(`https://api.figma.com/v1/files/${fileKey}/nodes?ids=${encodeURIComponent(id)}`, {
+        headers: { 'X-Figma-Token': token }
+      });
+      const data = await resp.json();
+      const document = data.nodes?.[id]?.document;
+      if (!document) throw new Error(data.err || `Node ${id} not found`);
+      return extractFigmaTokens(document);
+    } catch (e) {
+      console.error("Figma Styles Error:", e.message);
+    }
+    return null;
+  }
+
+  checkDesignTokens(figmaTokens, computedStyles) {
+    if (!figmaTokens) return null;
+    console.log("🎨 [Design] Checking design tokens against computed CSS...");
+    return compareTokens(figmaTokens, computedStyles);
+  }
+
+  async compare(liveScreenshot, figmaScreenshot) {
+    if (!figmaScreenshot) return "No Figma Design provided for comparison.";
+    
+    console.log("🎨 [Design] Comparing Live vs Design...");
+    const prompt = `
+      ROLE: Lead UI Designer.
+      TASK: Compare the 'Live Implementation' (Image 1) vs 'Figma Design' (Image 2).
+      OUTPUT: A short paragraph describing the visual discrepancies (colors, alignment, missing elements).
+      Be strict but concise.
+    `;
+
+    const parts = [
+      { inlineData: { data: liveScreenshot, mimeType: "image/png" } },
+      { inlineData: { data: figmaScreenshot, mimeType: "image/png" } }
+    ];
+
+    return await this.ai.generate(prompt, parts);
+  }
+
+  // Deterministic mode: pixel diff against the approved baseline, no AI call
+  compareWithBaseline(liveScreenshot, baseline, options = {}) {
+    if (!baseline) return null;
+
+    console.log("🎨 [Design] Pixel-diffing against approved baseline...");
+    const diff = diffScreenshots(baseline.screenshot, liveScreenshot, options);
+    // The baseline image goes along so the report shows exactly what was compared, even after a new approval
+    return {
+      status: diff.status,
+      mismatch_percentage: diff.mismatchPercentage,
+      mismatched_pixels: diff.mismatchedPixels,
+      max_mismatch: diff.maxMismatch,
+      threshold: diff.threshold,
+      size_changed: diff.sizeChanged,
+      diff_image: diff.diffImage,
+      baseline_image: baseline.screenshot,
+      baseline_approved_at: baseline.approvedAt
+    };
+  }
+}
+
+// --- AGENT 4: THE EXPLORER (Exploratory Tester) ---
+// Chooses the next action on the live page, one turn at a time
+export class ExplorerAgent {
+  constructor(aiProvider, { url, device }) {
+    this.ai = aiProvider;
+    this.url = url;
+    this.device = device;
+  }
+
+  async decide(state, steps, { step, maxSteps, secondsLeft }) {
+    const history = steps.map(entry => `${entry.id}. ${entry.action}${entry.target ? ` ${entry.target}` : ''}${entry.text ? ` "${entry.text}"` : ''} on ${entry.url} -> ${entry.status === 'pass' ? (entry.no_effect ? 'no visible effect' : entry.url_after) : `FAILED: ${entry.error}`}`);
+    const prompt = `
+      ROLE: Exploratory QA Tester.
+      CONTEXT: You are exploring ${this.url} on ${this.device.toUpperCase()}. Step ${step} of ${maxSteps}, ${secondsLeft}s left.
+      CURRENT PAGE: ${state.url} "${state.title}"
+      
+      ACCESSIBILITY TREE:
+      ${state.tree}
+      
+      INTERACTIVE ELEMENTS (target them by ref):
+      ${state.elements.map(el => `${el.ref}: ${el.tag}${el.role ? `[role=${el.role}]` : ''}${el.type ? `[type=${el.type}]` : ''} "${el.name || ''}"${el.href ? ` -> ${el.href}` : ''}`).join('\n') || '(none)'}
+      
+      ACTIONS SO FAR:
+      ${history.join('\n') || '(none)'}
+      
+      TASK: Choose the next action that is most likely to uncover a bug. Walk the main user flows, open menus and tabs,
+      try forms with realistic and with invalid input, and visit pages you have not seen yet. Do not repeat actions
+      that had no effect. Never submit payments, purchases or destructive actions (delete, unsubscribe, log out).
+      List in "issues" anything visibly broken on the CURRENT screenshot (overlaps, cut-off text, error messages, empty states).
+      Use "finish" when the page offers nothing new to explore.
+      
+      JSON OUTPUT:
+      { "action": "click" | "type" | "scroll" | "back" | "finish", "ref": "e3", "text": "text to type", "submit": false, "direction": "down", "reason": "What this action checks", "issues": [] }
+    `;
+
+    const imagePart = { inlineData: { data: state.screenshot, mimeType: "image/png" } };
+    return this.ai.generateJson(prompt, [imagePart], { schema: ExploreActionSchema });
+  }
+}
+
+// --- ORCHESTRATOR ---
+// Settings keyed by device (figmaNodes, throttling) apply to a profile by its name, then by its form factor
+export const perDevice = (setting, profile) => setting?.[profile.name] ?? setting?.[profile.formFactor];
+
+// Throttling profile of one device (a name for every device, or a map per device); throws on an unknown profile
+export const throttlingFor = (throttling, profile) => resolveThrottling(typeof throttling === 'string' ? throttling : perDevice(throttling, profile), profile.name);
+
+// Checked for every device before the mission starts, so a bad profile is a 400 instead of a failed device
+export function validateThrottling(throttling, profiles) {
+  if (throttling === undefined || throttling === null) return;
+  if (typeof throttling !== 'string' && (typeof throttling !== 'object' || Array.isArray(throttling))) {
+    throw new Error('throttling must be a profile name or a map of profile names per device');
+  }
+  for (const profile of profiles) throttlingFor(throttling, profile);
+}
+
+// How a result is labeled: the profile as the browser context got it
+export const profileSummary = (profile) => ({ label: profile.label, descriptor: profile.descriptor, formFactor: profile.formFactor, ...profile.options });
+
+// Suite pages come from a saved project: no discovery, but the same per-page report as a crawl
+const suitePages = (pages) => ({
+  pages: pages.map(page => ({ ...page, depth: 0, suite: true })),
+  skipped: [],
+  not_visited: 0,
+  robots_rules: 0,
+  options: null
+});
+
+// The mission's Figma frames describe the start page; suite pages map their own frames or skip Figma
+function pageFigma(page) {
+  if (page.suite) {
+    return page.figmaNode || page.figmaNodes ? { figmaNode: page.figmaNode, figmaNodes: page.figmaNodes } : { figmaFile: undefined };
+  }
+  return page.depth > 0 ? { figmaFile: undefined } : {};
+}
+
+const MAX_PARALLEL_DEVICES = Number(process.env.MAX_PARALLEL_DEVICES) || 2;
+const STATUS_RANK = { pass: 0, warning: 1, fail: 2, error: 3 };
+
+// Runs `worker` over `items` with at most `limit` in flight, keeping the input order in the output
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+// `llm` wins; the older `llmModel` field still selects a model on the default provider
+export const resolveLlmSettings = (config) => config.llm || { provider: DEFAULT_PROVIDER, model: config.llmModel };
+
+export const orchestrator = {
+  async startMission(config, onEvent = () => {}) {
+    const { figmaFile, concurrency } = config;
+    const ai = new AI_Provider(resolveLlmSettings(config));
+    const profiles = resolveDeviceList(config.devices);
+    const browsers = resolveBrowsers(config.browsers);
+    const multiBrowser = browsers.length > 1;
+    const emitter = (device, page, browser) => (agent, message, type = 'info') => onEvent({ agent, message, type, device, ...(page ? { page } : {}), ...(browser ? { browser } : {}), timestamp: new Date().toISOString() });
+    const emit = emitter(null);
+
+    // Log in once; every device and page of the mission reuses the session
+    const storageState = config.auth ? await this.authenticate(config.auth, emit) : null;
+    const sessionConfig = { ...config, storageState };
+
+    // A project suite lists its pages, crawl mode discovers them; otherwise the mission is the single `url`
+    const site = config.pages?.length > 0 ? suitePages(config.pages)
+      : config.crawl ? await this.discoverPages(sessionConfig, emit)
+      : null;
+    const pages = site ? site.pages : [{ url: config.url, depth: 0 }];
+    const jobs = pages.flatMap(page => profiles.flatMap(profile => browsers.map(browser => ({ page, profile, browser }))));
+
+    const limit = Math.max(1, Number(concurrency) || MAX_PARALLEL_DEVICES);
+    emit('System', `Deploying swarm on ${profiles.length} device(s)${multiBrowser ? ` x ${browsers.length} browsers` : ''}${site ? ` x ${pages.length} page(s)` : ''}, ${Math.min(limit, jobs.length)} at a time`, 'system');
+
+    const results = await runWithConcurrency(jobs, limit, async ({ page, profile, browser }) => {
+      const device = profile.name;
+      const emitDevice = emitter(device, site ? page.url : null, multiBrowser ? browser : null);
+      const pageConfig = { ...sessionConfig, url: page.url, ...pageFigma(page) };
+      emitDevice('System', `Initializing Multi-Agent Swarm for: ${device.toUpperCase()} (${profile.label})${multiBrowser || browser !== DEFAULT_BROWSER ? ` on ${browser}` : ''}${site ? ` on ${page.url}` : ''}`, 'system');
+      try {
+        const report = await this.runDevice(pageConfig, profile, ai, emitDevice, browser);
+        emitDevice('System', `Device Complete. Status: ${String(report.status).toUpperCase()}`, report.status === 'pass' ? 'success' : report.status === 'fail' ? 'error' : 'warning');
+        return { ...report, url: page.url };
+      } catch (error) {
+        console.error(`Mission [${device}/${browser}] Aborted:`, error);
+        emitDevice('System', `❌ Device Failed: ${error.message}`, 'error');
+        return { device, browser, profile: profileSummary(profile), url: page.url, status: 'error', analysis: error.message, issues: ['Agent Error'], test_plan: [], figma_status: pageConfig.figmaFile ? 'failed' : 'skipped' };
+      }
+    });
+
+    const status = worstStatus(results);
+    const summary = site
+      ? await this.summarizeSite(site, results, ai, emit)
+      : await this.summarizeDevices(results, ai, emit);
+
+    // Several engines: which findings only show up in one of them
+    const compatibility = multiBrowser ? buildCompatibilityMatrix(results, browsers) : null;
+    if (compatibility) {
+      emit('System', `Compatibility: ${compatibility.engine_specific.length} engine-specific finding(s) across ${browsers.join(', ')}`, compatibility.engine_specific.length ? 'warning' : 'success');
+    }
+
+    return {
+      status: status === 'error' ? 'fail' : status,
+      ...summary,
+      ...(compatibility ? { cross_device_issues: [...summary.cross_device_issues, ...compatibility.engine_specific], compatibility } : {}),
+      results,
+      figma_status: !figmaFile ? 'skipped' : results.every(r => r.figma_status !== 'failed') ? 'success' : 'failed'
+    };
+  },
+
+  // Uploaded storageState wins; a login recipe runs at most once per TTL for the same project and recipe
+  async authenticate(auth, emit) {
+    validateAuth(auth);
+    if (auth.storageState) {
+      emit('Auth', `Using the uploaded storage state (${auth.storageState.cookies.length} cookies)`);
+      return auth.storageState;
+    }
+
+    const key = sessionKey(auth);
+    const cached = !auth.refresh && await sessionStore.get(key, SESSION_TTL_MINUTES);
+    if (cached) {
+      emit('Auth', `Reusing the cached session${auth.project ? ` of ${auth.project}` : ''}`, 'success');
+      return cached;
+    }
+
+    emit('Auth', `Logging in at ${auth.login.url}...`);
+    const executor = new ExecutorAgent();
+    const { browser, page } = await executor.launch('desktop');
+    try {
+      const storageState = await performLogin(page, auth.login);
+      await sessionStore.save(key, storageState);
+      emit('Auth', `Logged in (${storageState.cookies.length} cookies), session cached for ${SESSION_TTL_MINUTES} min`, 'success');
+      return storageState;
+    } catch (error) {
+      throw new Error(`Login failed: ${error.message}`);
+    } finally {
+      await browser.close();
+    }
+  },
+
+  // One desktop session walks the site before the per-page audits start
+  async discoverPages(config, emit) {
+    emit('Crawler', `Crawling ${config.url}...`);
+    const executor = new ExecutorAgent({ storageState: config.storageState });
+    const { browser, page } = await executor.launch('desktop');
+    try {
+      const crawl = await crawlSite(config.url, config.crawl, url => executor.discoverLinks(page, url), (url, depth) => {
+        emit('Crawler', `Found ${url} (depth ${depth})`);
+      });
+      emit('Crawler', `Crawl done: ${crawl.pages.length} pages, ${crawl.skipped.length} links skipped, ${crawl.not_visited} not visited (page limit)`, 'success');
+      return crawl;
+    } finally {
+      await browser.close();
+    }
+  },
+
+  async runDevice(config, profile, ai, emit, browser = DEFAULT_BROWSER) {
+    const { url, figmaToken, figmaFile, figmaNode, figmaNodes } = config;
+    const device = profile.name;
+    const figmaAuth = figmaToken || process.env.FIGMA_ACCESS_TOKEN;
+
+    // Initialize Agents
+    const executor = new ExecutorAgent({ storageState: config.storageState, browser });
+    const architect = new ArchitectAgent(ai.forAgent('architect'));
+    const designer = new DesignAgent(ai.forAgent('designer'));
+
+    // Step 1: Executor gathers intelligence (Run Audit)
+    emit('Executor', `Navigating to ${url} via Playwright (${browser})...`);
+    let throttling = throttlingFor(config.throttling, profile);
+    if (throttling && browser !== 'chromium') {
+      emit('Executor', `Throttling needs the DevTools protocol, ${browser} runs unthrottled`, 'warning');
+      throttling = null;
+    }
+    if (throttling) emit('Executor', `Throttling network/CPU with the ${throttling} profile`);
+    const auditData = await executor.executeAudit(url, profile, { throttling, linkCheck: config.linkCheck });
+    emit('Executor', `Audit done: HTTP ${auditData.networkStatus}, ${auditData.consoleLogs.length} console errors/warnings`, auditData.consoleLogs.length ? 'warning' : 'success');
+    const net = auditData.network.summary;
+    emit('Executor', `Network: ${net.requests} requests, ${net.failed} failed (${net.thirdPartyFailed} third-party), ${net.mixedContent} mixed content, ${net.corsErrors} CORS errors`, net.failed + net.mixedContent + net.corsErrors ? 'warning' : 'success');
+    if (auditData.links) {
+      emit('Executor', `Links: ${auditData.links.broken.length} broken of ${auditData.links.checked} checked`, auditData.links.broken.length ? 'warning' : 'success');
+    }
+    const perf = auditData.performance;
+    emit('Executor', `Performance: LCP ${perf.vitals.lcp ?? 'n/a'}ms, CLS ${perf.vitals.cls ?? 'n/a'}, TBT ${perf.vitals.tbt ?? 'n/a'}ms, ${Math.round(perf.transfer.totalBytes / 1024)} KB in ${perf.transfer.requests} requests`);
+    const a11y = auditData.accessibility?.summary;
+    if (a11y) {
+      emit('Executor', `Accessibility: ${a11y.critical} critical, ${a11y.serious} serious, ${a11y.moderate} moderate, ${a11y.minor} minor WCAG violations`, a11y.critical + a11y.serious ? 'warning' : 'success');
+    }
+
+    // Step 2: Architect creates the plan based on what was found
+    emit('Architect', 'Analyzing page structure for test planning...');
+    const plan = await architect.createTestPlan(auditData.htmlSnippet, auditData.screenshot, device, auditData.interactiveElements);
+    emit('Architect', `Test plan ready: ${plan.length} steps`);
+
+    // Step 2b: Executor runs the plan step by step
+    const stepResults = await executor.executeTestPlan(url, profile, plan, step => {
+      emit('Executor', `Step ${step.id} ${step.status.toUpperCase()}: ${step.action}${step.error ? ` (${step.error})` : ''}`, step.status === 'pass' ? 'success' : step.status === 'fail' ? 'error' : 'warning');
+    });
+    const stepSummary = stepResults.map(({ screenshot, ...step }) => step);
+    const failedSteps = stepResults.filter(step => step.status === 'fail').length;
+
+    // Step 2c: Exploratory mode, the Explorer drives the live page for a step and time budget
+    const exploreSettings = resolveExplore(config.explore);
+    let exploration = null;
+    if (exploreSettings) {
+      emit('Explorer', `Exploring for up to ${exploreSettings.maxSteps} steps or ${exploreSettings.timeBudget}s...`);
+      const explorer = new ExplorerAgent(ai.forAgent('explorer'), { url, device });
+      try {
+        exploration = await executor.explore(url, profile, exploreSettings, explorer, step => {
+          emit('Explorer', `Step ${step.id} ${step.status.toUpperCase()}: ${step.action}${step.target ? ` ${step.target}` : ''}${step.error ? ` (${step.error})` : ''}${step.console_errors.length ? `, ${step.console_errors.length} console errors` : ''}`, step.status === 'pass' ? 'info' : 'warning');
+        });
+        const found = exploration.summary;
+        emit('Explorer', `Exploration ${exploration.stopped.replace('_', ' ')}: ${found.steps} steps on ${found.pages} pages, ${found.crashes} crashes, ${found.dead_ends} dead ends, ${found.console_errors} console errors, ${found.layout_breaks} layout breaks`, found.crashes + found.dead_ends + found.console_errors + found.layout_breaks ? 'warning' : 'success');
+      } catch (error) {
+        console.error(`Exploration failed [${device}]:`, error.message);
+        emit('Explorer', `Exploration failed: ${error.message}`, 'warning');
+      }
+    }
+
+    // Step 3: Designer validates visuals against the device's Figma frame (or the file thumbnail)
+    const nodeId = perDevice(figmaNodes, profile) || figmaNode;
+    if (figmaFile) emit('Designer', nodeId ? `Rendering Figma node ${nodeId} at ${auditData.viewport.width}px...` : 'Fetching Figma original for comparison...');
+    const figmaImage = await designer.fetchFigmaImage(figmaAuth, figmaFile, nodeId, auditData.viewport);
+    if (figmaFile && !figmaImage) emit('Designer', 'Figma design could not be fetched', 'warning');
+    if (figmaImage) emit('Designer', 'Comparing live page against Figma design...');
+    const designAnalysis = await designer.compare(auditData.screenshot, figmaImage);
+
+    // Step 3a: Exact token checks (colors, typography, spacing) for the same Figma node
+    const figmaTokens = await designer.fetchFigmaTokens(figmaAuth, figmaFile, nodeId);
+    const designTokens = designer.checkDesignTokens(figmaTokens, auditData.computedStyles);
+    if (designTokens) {
+      emit('Designer', `Design tokens: ${designTokens.mismatches.length} mismatches in ${designTokens.checked} matched elements`, designTokens.mismatches.length ? 'warning' : 'success');
+    }
+
+    // Step 3b: Pixel-level regression against the approved baseline (if any); each engine has its own
+    const baseline = await baselineStore.get(url, resultKey({ device, browser }));
+    const visualDiff = designer.compareWithBaseline(auditData.screenshot, baseline, config.visualDiff);
+    if (visualDiff) {
+      emit('Designer', `Visual diff vs baseline: ${visualDiff.mismatch_percentage}% pixels differ (max ${visualDiff.max_mismatch}%)`, visualDiff.status === 'pass' ? 'success' : 'error');
+    } else {
+      emit('Designer', 'No approved baseline for this device yet, skipping pixel diff');
+    }
+
+    // Step 4: Verdict from the facts (deterministic), then the AI writes the narrative
+    const verdict = computeVerdict({
+      networkStatus: auditData.networkStatus,
+      consoleLogs: auditData.consoleLogs,
+      failedRequests: auditData.failedRequests,
+      stepResults,
+      visualDiff,
+      designTokens,
+      accessibility: auditData.accessibility,
+      performance: perf,
+      network: auditData.network,
+      links: auditData.links,
+      exploration
+    }, config.thresholds);
+    emit('System', `Verdict: ${verdict.status.toUpperCase()} (${verdict.checks.filter(c => c.severity !== 'pass').length} checks over threshold)`, verdict.status === 'pass' ? 'success' : verdict.status === 'fail' ? 'error' : 'warning');
+
+    const finalReportPrompt = `
+      ROLE: QA Lead.
+      
+      INPUTS:
+      1. Test Plan Results: ${JSON.stringify(stepSummary)}
+      2. Automated Execution Logs: Console Errors: ${auditData.consoleLogs.length}, Network Status: ${auditData.networkStatus}, Failed Requests: ${auditData.failedRequests.length}, Failed Steps: ${failedSteps}/${stepResults.length}
+      3. Design Analysis: ${designAnalysis}
+      4. Design Token Mismatches: ${designTokens ? JSON.stringify(designTokens.mismatches.slice(0, 20).map(m => m.message)) : 'Not checked'}
+      5. Accessibility (WCAG violations): ${a11y ? JSON.stringify(auditData.accessibility.violations.map(v => `${v.impact}: ${v.help} (${v.nodeCount} elements)`)) : 'Not checked'}
+      6. Visual Regression: ${visualDiff ? `${visualDiff.mismatch_percentage}% pixels differ from the approved baseline (max ${visualDiff.max_mismatch}%)` : 'No baseline'}
+      7. Network: ${JSON.stringify({ redirects: auditData.redirects, failed_requests: auditData.failedRequests.slice(0, 20), mixed_content: auditData.network.mixed_content.slice(0, 10), cors_errors: auditData.network.cors_errors.slice(0, 10), broken_links: (auditData.links?.broken || []).slice(0, 20) })}
+      8. Performance (${perf.throttling} throttling): ${JSON.stringify({ ...perf.navigation, ...perf.vitals, transferKb: Math.round(perf.transfer.totalBytes / 1024) })}
+      9. Exploration: ${exploration ? JSON.stringify({ stopped: exploration.stopped, steps: exploration.summary.steps, findings: exploration.findings.slice(0, 30).map(f => `${f.type} at step ${f.step}: ${f.message}`) }) : 'Not run'}
+      
+      10. Verdict (already decided by rules, do not change it): ${verdict.status.toUpperCase()}
+         Checks: ${JSON.stringify(verdict.checks.map(check => `${check.severity.toUpperCase()} ${check.message}`))}
+      
+      TASK: Generate a Final QA Report JSON that explains the verdict.
+      
+      JSON OUTPUT:
+      {
+        "analysis": "Summary of the mission.",
+        "issues": ["List technical or visual issues"]
+      }
+    `;
+
+    emit('System', 'Synthesizing device report...');
+    const parts = [{ inlineData: { data: auditData.screenshot, mimeType: "image/png" } }];
+    let finalJson;
+    try {
+      finalJson = await ai.generateJson(finalReportPrompt, parts, { schema: DeviceReportSchema, agent: 'synthesis' });
+    } catch (error) {
+      console.error(`Synthesis failed [${device}]:`, error.message);
+      emit('System', `AI synthesis failed, using the fallback report: ${error.message}`, 'warning');
+      finalJson = buildFallbackReport(auditData, stepResults, exploration, error);
+    }
+
+    return {
+      ...finalJson,
+      status: verdict.status,
+      verdict,
+      device,
+      browser,
+      profile: profileSummary(profile),
+      visual_diff: visualDiff,
+      design_tokens: designTokens,
+      figma_analysis: figmaImage ? designAnalysis : 'Not compared',
+      figma_status: figmaImage ? 'success' : (figmaFile ? 'failed' : 'skipped'),
+      figma_node: nodeId || null,
+      figma_image: figmaImage || null,
+      test_plan: stepResults,
+      design_analysis: designAnalysis,
+      title: auditData.title,
+      network_status: auditData.networkStatus,
+      failed_requests: auditData.failedRequests,
+      redirects: auditData.redirects,
+      network: { summary: net, requests: auditData.network.requests, mixed_content: auditData.network.mixed_content, cors_errors: auditData.network.cors_errors },
+      links: auditData.links,
+      har: auditData.network.har,
+      accessibility: auditData.accessibility,
+      performance: perf,
+      exploration,
+      console_logs: auditData.consoleLogs,
+      screenshot: auditData.screenshot
+    };
+  },
+
+  // Cross-device synthesis: what only breaks on some viewports
+  async summarizeDevices(results, ai, emit) {
+    const deviceOnly = findDeviceOnlyFailures(results);
+    if (results.length < 2) {
+      return { analysis: results[0]?.analysis || '', cross_device_issues: deviceOnly };
+    }
+
+    emit('System', 'Comparing results across devices...');
+    const digest = results.map(r => ({
+      device: resultKey(r),
+      status: r.status,
+      issues: r.issues || [],
+      failed_steps: (r.test_plan || []).filter(step => step.status === 'fail').map(step => `${step.action}: ${step.error}`)
+    }));
+
+    const prompt = `
+      ROLE: QA Lead.
+      INPUT: Per-device QA results for the same page: ${JSON.stringify(digest)}
+      Known device-specific step failures: ${JSON.stringify(deviceOnly)}
+      
+      TASK: Summarize the mission across devices. Call out issues that only happen on some devices
+      (e.g. "CTA hidden on mobile only") and issues shared by every device.
+      
+      JSON OUTPUT:
+      {
+        "analysis": "Cross-device summary of the mission.",
+        "cross_device_issues": ["Issue - affected devices"]
+      }
+    `;
+
+    try {
+      return await ai.generateJson(prompt, [], { schema: CrossDeviceSummarySchema, agent: 'synthesis' });
+    } catch (e) {
+      console.error("Cross-device summary failed:", e.message);
+      return {
+        analysis: results.map(r => `${resultKey(r).toUpperCase()}: ${r.analysis}`).join(' '),
+        cross_device_issues: deviceOnly
+      };
+    }
+  },
+
+  // Site-level report: results grouped by page and by template, then one AI summary of the whole site
+  async summarizeSite(crawl, results, ai, emit) {
+    const pages = crawl.pages.map(({ url, depth, name }) => {
+      const pageResults = results.filter(r => r.url === url);
+      return {
+        url,
+        ...(name ? { name } : {}),
+        depth,
+        status: worstStatus(pageResults),
+        devices: Object.fromEntries(pageResults.map(r => [resultKey(r), r.status])),
+        issues: [...new Set(pageResults.flatMap(r => r.issues || []))],
+        cross_device_issues: findDeviceOnlyFailures(pageResults)
+      };
+    });
+
+    // Issues every page of a template shares are most likely in the template itself
+    const templates = [...groupByTemplate(pages.map(page => page.url))].map(([template, urls]) => {
+      const templatePages = pages.filter(page => urls.includes(page.url));
+      return {
+        template,
+        pages: urls,
+        status: worstStatus(templatePages),
+        shared_issues: templatePages[0].issues.filter(issue => templatePages.every(page => page.issues.includes(issue)))
+      };
+    });
+
+    const site = { pages, templates, crawl: crawl.options ? { skipped: crawl.skipped, not_visited: crawl.not_visited, robots_rules: crawl.robots_rules, options: crawl.options } : null };
+    const crossDevice = pages.flatMap(page => page.cross_device_issues.map(issue => `${new URL(page.url).pathname}: ${issue}`));
+
+    emit('System', `Summarizing ${pages.length} pages in ${templates.length} templates...`);
+    const digest = templates.map(template => ({
+      template: template.template,
+      shared_issues: template.shared_issues,
+      pages: pages.filter(page => template.pages.includes(page.url)).map(page => ({ url: page.url, status: page.status, issues: page.issues.slice(0, 10) }))
+    }));
+
+    const prompt = `
+      ROLE: QA Lead.
+      INPUT: Site crawl QA results grouped by page template: ${JSON.stringify(digest)}
+      Device-specific failures: ${JSON.stringify(crossDevice)}
+      
+      TASK: Summarize the QA state of the whole site. Call out issues shared by a template (fix once, fixes many pages),
+      pages that are much worse than the rest, and site-wide issues.
+      
+      JSON OUTPUT:
+      {
+        "analysis": "Site-level summary of the mission.",
+        "site_issues": ["Issue - affected template or pages"]
+      }
+    `;
+
+    try {
+      const summary = await ai.generateJson(prompt, [], { schema: SiteSummarySchema, agent: 'synthesis' });
+      return { ...summary, cross_device_issues: crossDevice, site };
+    } catch (e) {
+      console.error("Site summary failed:", e.message);
+      return {
+        analysis: `${pages.length} pages audited, ${pages.filter(page => page.status === 'pass').length} passed.`,
+        site_issues: templates.flatMap(template => template.shared_issues.map(issue => `${template.template}: ${issue}`)),
+        cross_device_issues: crossDevice,
+        site
+      };
+    }
+  }
+};
+
+// Worst status of a set of results ('error' ranks above 'fail')
+export function worstStatus(results) {
+  return results
+    .map(r => r.status in STATUS_RANK ? r.status : 'error')
+    .reduce((worst, current) => STATUS_RANK[current] > STATUS_RANK[worst] ? current : worst, 'pass');
+}
+
+// Report built from the collected facts alone, used when the model never returns a valid report
+export function buildFallbackReport(auditData, stepResults, exploration, error) {
+  const failed = stepResults.filter(step => step.status === 'fail');
+  const issues = [
+    ...(auditData.networkStatus >= 400 ? [`Page responded with HTTP ${auditData.networkStatus}`] : []),
+    ...failed.map(step => `Step ${step.id} failed: ${step.action} (${step.error})`),
+    ...(exploration?.findings || []).filter(finding => finding.type !== 'observation').map(finding => `Exploration ${finding.type.replace('_', ' ')}: ${finding.message}`),
+    ...(auditData.links?.broken || []).map(link => `Broken link ${link.url} (${link.status || link.error})`),
+    ...auditData.consoleLogs.slice(0, 10)
+  ];
+
+  const report = DeviceReportSchema.parse({
+    analysis: `AI synthesis unavailable (${error.message}). Facts: HTTP ${auditData.networkStatus}, ${auditData.consoleLogs.length} console errors/warnings, ${failed.length}/${stepResults.length} failed steps.`,
+    issues
+  });
+  return { ...report, synthesis_fallback: true };
+}
+
+// Steps with the same action that fail on some devices but pass on others, compared within each browser
+// (engine differences are the compatibility matrix's job)
+function findDeviceOnlyFailures(results) {
+  const browsers = [...new Set(results.map(r => r.browser || DEFAULT_BROWSER))];
+  return browsers.flatMap(browser => {
+    const byAction = new Map();
+    for (const r of results.filter(r => (r.browser || DEFAULT_BROWSER) === browser)) {
+      for (const step of r.test_plan || []) {
+        const key = String(step.action || '').trim().toLowerCase();
+        if (!key) continue;
+        if (!byAction.has(key)) byAction.set(key, { action: step.action, failed: new Set(), passed: new Set() });
+        const entry = byAction.get(key);
+        if (step.status === 'fail') entry.failed.add(r.device);
+        if (step.status === 'pass') entry.passed.add(r.device);
+      }
+    }
+
+    return Array.from(byAction.values())
+      .filter(entry => entry.failed.size > 0 && entry.passed.size > 0)
+      .map(entry => `"${entry.action}" fails on ${[...entry.failed].join(', ')} only (passes on ${[...entry.passed].join(', ')})${browsers.length > 1 ? ` in ${browser}` : ''}`);
+  });
+}
+
+// Deterministic findings of one result that can be compared across engines (the AI issues are worded differently every run)
+function compatibilityFindings(result) {
+  if (result.status === 'error') return [`run failed: ${result.analysis}`];
+  return [
+    ...(result.test_plan || []).filter(step => step.status === 'fail').map(step => `step failed: ${step.action}`),
+    ...(result.verdict?.checks || []).filter(check => check.severity !== 'pass').map(check => `${check.severity}: ${check.label}`),
+    ...(result.console_logs || []).filter(log => log.startsWith('[error]')).map(log => `console: ${log.slice('[error] '.length)}`),
+    ...(result.failed_requests || []).map(request => `failed request: ${request.url.split('?')[0]}`),
+    ...(result.links?.broken || []).map(link => `broken link: ${link.url}`),
+    ...(result.accessibility?.violations || []).map(violation => `a11y: ${violation.help}`)
+  ];
+}
+
+// Finding x browser matrix over every device (and page); a finding seen in exactly one engine is engine-specific
+function buildCompatibilityMatrix(results, browsers) {
+  const multiPage = new Set(results.map(r => r.url)).size > 1;
+  const rows = new Map();
+  for (const r of results) {
+    const browser = r.browser || DEFAULT_BROWSER;
+    const prefix = multiPage ? `${new URL(r.url).pathname} ` : '';
+    for (const text of new Set(compatibilityFindings(r))) {
+      const finding = `${prefix}${text}`;
+      if (!rows.has(finding)) rows.set(finding, { finding, browsers: Object.fromEntries(browsers.map(name => [name, []])) });
+      rows.get(finding).browsers[browser].push(r.device);
+    }
+  }
+
+  const matrix = [...rows.values()].map(row => {
+    const seenIn = browsers.filter(name => row.browsers[name].length > 0);
+    return { ...row, only_in: seenIn.length === 1 ? seenIn[0] : null };
+  }).sort((a, b) => Number(Boolean(b.only_in)) - Number(Boolean(a.only_in)));
+
+  // Worst status per device and engine (over every page of a suite or crawl)
+  const devices = [...new Set(results.map(r => r.device))];
+  const status = Object.fromEntries(devices.map(device => [device, Object.fromEntries(browsers.map(browser => [
+    browser,
+    worstStatus(results.filter(r => r.device === device && (r.browser || DEFAULT_BROWSER) === browser))
+  ]))]));
+
+  return {
+    browsers,
+    status,
+    rows: matrix,
+    engine_specific: matrix.filter(row => row.only_in).map(row => `${row.finding} - ${row.only_in} only (${[...new Set(row.browsers[row.only_in])].join(', ')})`)
+  };
+}
+
+// Mission options accepted from API clients and CLI config files
+export const MISSION_OPTIONS = ['url', 'devices', 'browsers', 'figmaToken', 'figmaFile', 'figmaNode', 'figmaNodes', 'llm', 'llmModel', 'concurrency', 'visualDiff', 'thresholds', 'throttling', 'linkCheck', 'crawl', 'auth', 'pages', 'project', 'engine', 'mcp', 'explore'];
+export const pickMissionConfig = (body = {}) => Object.fromEntries(MISSION_OPTIONS.filter(key => body[key] !== undefined).map(key => [key, body[key]]));
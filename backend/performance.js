@@ -0,0 +1,114 @@
+// --- PERFORMANCE (Navigation timing, Core Web Vitals, transfer size) ---
+
+// Lighthouse-style presets; throughput in Kbps, latency in ms, cpu = slowdown multiplier
+export const THROTTLING_PROFILES = {
+  'slow-4g': { latency: 150, downloadKbps: 1638, uploadKbps: 750, cpu: 4 },
+  'fast-3g': { latency: 563, downloadKbps: 1475, uploadKbps: 675, cpu: 4 },
+  'cpu-4x': { latency: 0, downloadKbps: 0, uploadKbps: 0, cpu: 4 }
+};
+
+// `throttling` is a profile name for every device, or a map per device: { mobile: 'slow-4g' }
+export function resolveThrottling(throttling, deviceName) {
+  const name = typeof throttling === 'string' ? throttling : throttling?.[deviceName];
+  if (!name || name === 'none') return null;
+  if (!THROTTLING_PROFILES[name]) throw new Error(`Unknown throttling profile: ${name} (available: ${Object.keys(THROTTLING_PROFILES).join(', ')})`);
+  return name;
+}
+
+// Network/CPU emulation goes through the DevTools protocol, so it only applies to Chromium
+export async function applyThrottling(page, profileName) {
+  if (!profileName) return null;
+  const profile = THROTTLING_PROFILES[profileName];
+
+  let cdp;
+  try {
+    cdp = await page.context().newCDPSession(page);
+  } catch (e) {
+    console.warn(`⚠️ [Executor] Throttling "${profileName}" needs Chromium, running unthrottled.`);
+    return null;
+  }
+
+  if (profile.downloadKbps || profile.latency) {
+    await cdp.send('Network.enable');
+    await cdp.send('Network.emulateNetworkConditions', {
+      offline: false,
+      latency: profile.latency,
+      downloadThroughput: profile.downloadKbps * 1024 / 8,
+      uploadThroughput: profile.uploadKbps * 1024 / 8
+    });
+  }
+  if (profile.cpu > 1) await cdp.send('Emulation.setCPUThrottlingRate', { rate: profile.cpu });
+  return profileName;
+}
+
+// Registers PerformanceObservers before any page script runs (buffered entries are kept by the browser)
+export async function installVitalsObservers(page) {
+  await page.addInitScript(() => {
+    // CLS and TBT only start at 0 once their observer is registered; Firefox and WebKit have neither,
+    // and an unmeasured metric must stay null so the verdict leaves it out instead of passing it
+    const vitals = { fcp: null, lcp: null, cls: null, tbt: null, inp: null };
+    window.__qaVitals = vitals;
+
+    // Engines ignore unknown entry types with a console warning, so check support first
+    const observe = (type, callback, options = {}) => {
+      if (!(PerformanceObserver.supportedEntryTypes || []).includes(type)) return false;
+      try {
+        new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...options });
+        return true;
+      } catch (e) {
+        return false; // the metric stays null
+      }
+    };
+
+    observe('paint', entry => { if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime; });
+    observe('largest-contentful-paint', entry => { vitals.lcp = entry.startTime; });
+    if (observe('layout-shift', entry => { if (!entry.hadRecentInput) vitals.cls += entry.value; })) vitals.cls ??= 0;
+    // TBT proxy: main-thread time beyond 50ms in every long task
+    if (observe('longtask', entry => { vitals.tbt += Math.max(0, entry.duration - 50); })) vitals.tbt ??= 0;
+    // INP proxy: slowest interaction seen (only when the page was interacted with)
+    observe('event', entry => { if (entry.interactionId) vitals.inp = Math.max(vitals.inp || 0, entry.duration); }, { durationThreshold: 16 });
+  });
+}
+
+// Sums real transfer sizes as requests finish (resource timing hides cross-origin sizes)
+export function trackTransfers(page) {
+  const pending = [];
+  page.on('requestfinished', request => {
+    pending.push(request.sizes()
+      .then(sizes => ({ url: request.url(), type: request.resourceType(), bytes: sizes.responseBodySize + sizes.responseHeadersSize }))
+      .catch(() => null));
+  });
+
+  return async () => {
+    const transfers = (await Promise.all(pending)).filter(Boolean);
+    return {
+      requests: transfers.length,
+      totalBytes: transfers.reduce((total, t) => total + Math.max(0, t.bytes), 0),
+      heaviest: [...transfers].sort((a, b) => b.bytes - a.bytes).slice(0, 10)
+    };
+  };
+}
+
+export async function collectPerformance(page, finishTransfers, throttling) {
+  const timing = await page.evaluate(() => {
+    const nav = performance.getEntriesByType('navigation')[0];
+    const round = value => value == null ? null : Math.round(value * 1000) / 1000;
+    const vitals = window.__qaVitals || {};
+    return {
+      navigation: nav ? {
+        ttfb: Math.round(nav.responseStart),
+        domContentLoaded: Math.round(nav.domContentLoadedEventEnd),
+        load: Math.round(nav.loadEventEnd)
+      } : null,
+      vitals: {
+        fcp: vitals.fcp == null ? null : Math.round(vitals.fcp),
+        lcp: vitals.lcp == null ? null : Math.round(vitals.lcp),
+        cls: round(vitals.cls),
+        tbt: vitals.tbt == null ? null : Math.round(vitals.tbt),
+        inp: vitals.inp
+      }
+    };
+  });
+
+  return { throttling: throttling || 'none', ...timing, transfer: await finishTransfers() };
+}
@@ -0,0 +1,72 @@
+import { pickMissionConfig, validateThrottling } from './orchestrator.js';
+import { validateAuth } from './auth.js';
+import { resolveDeviceList } from './devices.js';
+import { resolveExplore } from './explorer.js';
+import { resolveBrowsers } from './browsers.js';
+import { validateLlmSettings } from './providers/index.js';
+import { validateThresholds } from './verdict.js';
+
+// --- PROJECTS (saved suites) ---
+// A project keeps everything a mission needs except secrets:
+//   { name, baseUrl, pages: [{ name, path, figmaNode, figmaNodes }], devices, figmaFile, llm, thresholds, ... }
+// Running it audits every page in one mission, reported by page like a crawl.
+const PROJECT_OPTIONS = ['devices', 'browsers', 'figmaFile', 'llm', 'concurrency', 'visualDiff', 'thresholds', 'throttling', 'linkCheck', 'auth', 'explore'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Returns the normalized project or throws with a message fit for a 400
+export function validateProject(input = {}) {
+  const name = String(input.name || '').trim();
+  if (!name) throw new Error('name is required');
+
+  let baseUrl;
+  try {
+    baseUrl = new URL(input.baseUrl);
+  } catch (e) {
+    throw new Error('baseUrl must be an absolute URL');
+  }
+  if (!['http:', 'https:'].includes(baseUrl.protocol)) throw new Error('baseUrl must be http(s)');
+
+  const pages = (input.pages?.length ? input.pages : [{ name: 'Home', path: '/' }]).map(page => {
+    if (!isObject(page) || !page.path) throw new Error('Every page needs a path');
+    const figmaNodes = isObject(page.figmaNodes) ? Object.fromEntries(Object.entries(page.figmaNodes).filter(([, node]) => node)) : {};
+    return {
+      name: String(page.name || page.path).trim(),
+      path: String(page.path).trim(),
+      ...(page.figmaNode ? { figmaNode: String(page.figmaNode) } : {}),
+      ...(Object.keys(figmaNodes).length ? { figmaNodes } : {})
+    };
+  });
+  const urls = pages.map(page => new URL(page.path, baseUrl).href);
+  const duplicate = urls.find((url, index) => urls.indexOf(url) !== index);
+  if (duplicate) throw new Error(`Page ${duplicate} is listed twice`);
+
+  if (input.devices !== undefined && (!Array.isArray(input.devices) || input.devices.length === 0)) {
+    throw new Error('devices must be a non-empty list');
+  }
+  validateThrottling(input.throttling, resolveDeviceList(input.devices));
+  resolveBrowsers(input.browsers);
+  validateLlmSettings(input.llm);
+  validateThresholds(input.thresholds);
+  resolveExplore(input.explore);
+  if (input.auth) {
+    validateAuth(input.auth);
+    // Uploaded sessions are live cookies: they are sent per run, never saved
+    if (input.auth.storageState) throw new Error('Projects keep login recipes only; send a storageState with each run');
+  }
+
+  const options = Object.fromEntries(PROJECT_OPTIONS.filter(key => input[key] !== undefined && input[key] !== null).map(key => [key, input[key]]));
+  return { name, baseUrl: baseUrl.href, pages, ...options };
+}
+
+// Mission config for one run; `overrides` are per-run options (figmaToken, an uploaded storageState, devices)
+export function projectMission(project, overrides = {}) {
+  const { id, name, baseUrl, pages, createdAt, updatedAt, ...options } = project;
+  return pickMissionConfig({
+    ...options,
+    ...pickMissionConfig(overrides),
+    url: baseUrl,
+    pages: pages.map(({ path, ...page }) => ({ ...page, url: new URL(path, baseUrl).href })),
+    project: { id, name }
+  });
+}
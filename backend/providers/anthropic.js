@@ -0,0 +1,41 @@
+// Anthropic Messages API
+export class AnthropicProvider {
+  constructor({ apiKey, model, baseUrl } = {}) {
+    this.name = 'anthropic';
+    this.apiKey = apiKey || process.env.ANTHROPIC_API_KEY || '';
+    this.model = model || process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+    this.baseUrl = (baseUrl || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/$/, '');
+  }
+
+  async generate(prompt, imageParts = [], preferredModel, { json = false } = {}) {
+    const model = preferredModel || this.model;
+    console.log(`🧠 [AI] Trying model: ${model}...`);
+
+    const content = [
+      ...imageParts.map(part => ({
+        type: 'image',
+        source: { type: 'base64', media_type: part.inlineData.mimeType, data: part.inlineData.data }
+      })),
+      { type: 'text', text: prompt }
+    ];
+
+    // No JSON mode in the Messages API: prefilling the answer with "{" keeps the model on JSON
+    const messages = [{ role: 'user', content }];
+    if (json) messages.push({ role: 'assistant', content: '{' });
+
+    const resp = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({ model, max_tokens: 4096, messages })
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(`Anthropic API error ${resp.status}: ${data.error?.message || resp.statusText}`);
+
+    const text = (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+    return json ? `{${text}` : text;
+  }
+}
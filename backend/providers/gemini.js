@@ -0,0 +1,38 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+// Google Gemini, with a fallback chain in case the preferred model is unavailable
+export const GEMINI_FALLBACK_MODELS = [
+  "gemini-2.5-flash",
+  "gemini-2.0-flash-exp",
+  "gemini-1.5-pro",
+  "gemini-1.5-flash"
+];
+
+export class GeminiProvider {
+  constructor({ apiKey, model } = {}) {
+    this.name = 'gemini';
+    this.model = model;
+    this.genAI = new GoogleGenerativeAI(apiKey || process.env.GOOGLE_API_KEY || "");
+  }
+
+  async generate(prompt, imageParts = [], preferredModel, { json = false } = {}) {
+    const modelsToTry = [...new Set([
+      preferredModel || this.model,
+      ...GEMINI_FALLBACK_MODELS
+    ].filter(Boolean))]; // Filter out undefined if no model was requested
+
+    for (const modelName of modelsToTry) {
+      try {
+        console.log(`🧠 [AI] Trying model: ${modelName}...`);
+        const generationConfig = json ? { responseMimeType: 'application/json' } : undefined;
+        const model = this.genAI.getGenerativeModel({ model: modelName, generationConfig });
+        const result = await model.generateContent([prompt, ...imageParts]);
+        const response = await result.response;
+        return response.text();
+      } catch (error) {
+        console.warn(`⚠️ [AI] Model ${modelName} failed.`);
+      }
+    }
+    throw new Error("All AI agents failed to respond.");
+  }
+}
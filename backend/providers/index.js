@@ -0,0 +1,58 @@
+import { GeminiProvider } from './gemini.js';
+import { OpenAIProvider } from './openai.js';
+import { AnthropicProvider } from './anthropic.js';
+import { MockProvider, RecordingProvider } from './mock.js';
+
+// --- LLM PROVIDERS ---
+// Every adapter exposes the same shape: generate(prompt, imageParts, preferredModel, { json }) -> text
+// imageParts use the Gemini inlineData format: { inlineData: { data: base64, mimeType } }
+// `json: true` asks for the provider's JSON mode where it has one
+export const PROVIDERS = {
+  gemini: (options) => new GeminiProvider(options),
+  openai: (options) => new OpenAIProvider(options),
+  ollama: (options) => new OpenAIProvider({
+    ...options,
+    baseUrl: options.baseUrl || process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+    model: options.model || process.env.OLLAMA_MODEL || 'llava'
+  }),
+  lmstudio: (options) => new OpenAIProvider({
+    ...options,
+    baseUrl: options.baseUrl || process.env.LMSTUDIO_BASE_URL || 'http://localhost:1234/v1',
+    jsonMode: false
+  }),
+  anthropic: (options) => new AnthropicProvider(options),
+  mock: (options) => new MockProvider(options)
+};
+
+export const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+
+// Adapters send the backend's API keys to their baseUrl, so a caller may only pick endpoints the operator listed
+const BASE_URL_ALLOWLIST = (process.env.LLM_BASE_URL_ALLOWLIST || '').split(',').map(url => url.trim().replace(/\/$/, '')).filter(Boolean);
+
+// Validates a mission's llm settings, including per-agent overrides; throws with a message fit for a 400
+export function validateLlmSettings(llm) {
+  if (llm === undefined || llm === null) return;
+  if (typeof llm !== 'object' || Array.isArray(llm)) throw new Error('llm must be an object { provider, model, baseUrl, agents }');
+  const check = (settings, where) => {
+    if (settings.provider !== undefined && !PROVIDERS[settings.provider]) {
+      throw new Error(`Unknown LLM provider${where}: ${settings.provider} (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (settings.baseUrl !== undefined && !BASE_URL_ALLOWLIST.includes(String(settings.baseUrl).replace(/\/$/, ''))) {
+      throw new Error(`LLM baseUrl${where} is not allowed: ${settings.baseUrl} (the backend accepts the endpoints in LLM_BASE_URL_ALLOWLIST)`);
+    }
+  };
+  check(llm, '');
+  for (const [agent, settings] of Object.entries(llm.agents || {})) check(settings || {}, ` for ${agent}`);
+}
+
+export function createProvider({ provider = DEFAULT_PROVIDER, ...options } = {}) {
+  const factory = PROVIDERS[provider];
+  if (!factory) throw new Error(`Unknown LLM provider: ${provider} (available: ${Object.keys(PROVIDERS).join(', ')})`);
+
+  const adapter = factory(options);
+  // LLM_RECORD_FILE captures real responses so a mission can later be replayed with the mock provider
+  if (process.env.LLM_RECORD_FILE && provider !== 'mock') {
+    return new RecordingProvider(adapter, process.env.LLM_RECORD_FILE);
+  }
+  return adapter;
+}
@@ -0,0 +1,72 @@
+import { promises as fs, readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// --- MOCK / RECORDING PROVIDERS ---
+// Recordings are JSON files: { "responses": [{ "key", "match", "response" }] }
+//   key   -> sha256 of the normalized prompt (exact replay)
+//   match -> text the prompt must contain (hand-written fixtures, or when the prompt has dynamic data)
+const DEFAULT_RECORDINGS = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'mock-responses.json');
+
+// Prompts are template literals full of indentation; compare them line by line
+const normalizePrompt = (prompt) => String(prompt).split('\n').map(line => line.trim()).filter(Boolean).join('\n');
+const promptKey = (prompt) => createHash('sha256').update(normalizePrompt(prompt)).digest('hex');
+
+export class MockProvider {
+  constructor({ recordings } = {}) {
+    this.name = 'mock';
+    this.file = recordings || process.env.LLM_MOCK_FILE || DEFAULT_RECORDINGS;
+    this.responses = JSON.parse(readFileSync(this.file, 'utf8')).responses || [];
+    this.uses = new Map(); // entry -> times replayed, so repeated prompts walk through their recordings in order
+  }
+
+  async generate(prompt) {
+    const normalized = normalizePrompt(prompt);
+    const key = promptKey(prompt);
+
+    const candidates = this.responses.filter(entry => entry.key === key);
+    const pool = candidates.length ? candidates : this.responses.filter(entry => entry.match && normalized.includes(normalizePrompt(entry.match)));
+    if (pool.length === 0) {
+      throw new Error(`Mock LLM has no recorded response for prompt: ${normalized.split('\n')[0]}`);
+    }
+
+    const entry = pool.reduce((least, current) => (this.uses.get(current) || 0) < (this.uses.get(least) || 0) ? current : least);
+    this.uses.set(entry, (this.uses.get(entry) || 0) + 1);
+    console.log(`🧠 [AI] Replaying recorded response (${entry.key === key ? 'exact' : `match "${entry.match}"`})`);
+    return entry.response;
+  }
+}
+
+// Wraps a real provider and appends every response to a recordings file for later offline replay
+let writeQueue = Promise.resolve();
+
+export class RecordingProvider {
+  constructor(inner, file) {
+    this.name = inner.name;
+    this.inner = inner;
+    this.file = file;
+  }
+
+  async generate(prompt, imageParts, preferredModel, options) {
+    const response = await this.inner.generate(prompt, imageParts, preferredModel, options);
+    const entry = {
+      key: promptKey(prompt),
+      match: normalizePrompt(prompt).split('\n').slice(0, 2).join('\n'),
+      response
+    };
+
+    writeQueue = writeQueue.then(async () => {
+      let recordings = { responses: [] };
+      try {
+        recordings = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      recordings.responses.push(entry);
+      await fs.writeFile(this.file, JSON.stringify(recordings, null, 2));
+    }).catch(e => console.error("LLM recording failed:", e.message));
+
+    return response;
+  }
+}
@@ -0,0 +1,41 @@
+// OpenAI Chat Completions API and anything that speaks it: Ollama (http://localhost:11434/v1),
+// LM Studio (http://localhost:1234/v1), vLLM, OpenRouter...
+export class OpenAIProvider {
+  constructor({ apiKey, model, baseUrl, jsonMode = true } = {}) {
+    this.name = 'openai';
+    this.jsonMode = jsonMode; // Some local servers reject response_format
+    this.apiKey = apiKey || process.env.OPENAI_API_KEY || '';
+    this.model = model || process.env.OPENAI_MODEL || 'gpt-4o';
+    this.baseUrl = (baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  }
+
+  async generate(prompt, imageParts = [], preferredModel, { json = false } = {}) {
+    const model = preferredModel || this.model;
+    console.log(`🧠 [AI] Trying model: ${model} (${this.baseUrl})...`);
+
+    const content = [
+      { type: 'text', text: prompt },
+      ...imageParts.map(part => ({
+        type: 'image_url',
+        image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` }
+      }))
+    ];
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`; // Local servers need no key
+
+    const resp = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content }],
+        ...(json && this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+      })
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(`OpenAI-compatible API error ${resp.status}: ${data.error?.message || resp.statusText}`);
+
+    return data.choices?.[0]?.message?.content || '';
+  }
+}
@@ -0,0 +1,159 @@
+import { resultKey } from './browsers.js';
+
+// --- CI REPORTS (JUnit XML, JSON, HTML) ---
+// A CLI run is a list of missions: [{ url, status, result, error, startedAt, finishedAt }]
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+  .replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[char]));
+
+const seconds = (start, end) => ((new Date(end) - new Date(start)) / 1000 || 0).toFixed(3);
+
+// One <testsuite> per page and device: a testcase per verdict check and per executed step
+export function toJUnit(runs) {
+  const suites = [];
+
+  for (const run of runs) {
+    if (run.error) {
+      suites.push({ name: run.url, time: seconds(run.startedAt, run.finishedAt), cases: [{ classname: 'mission', name: 'Mission', error: run.error }] });
+      continue;
+    }
+
+    for (const device of run.result.results) {
+      const name = `${device.url || run.url} [${resultKey(device)}]`;
+      if (device.status === 'error') {
+        suites.push({ name, time: 0, cases: [{ classname: 'mission', name: 'Device run', error: device.analysis }] });
+        continue;
+      }
+
+      const cases = [
+        ...(device.verdict?.checks || []).map(check => ({
+          classname: 'verdict',
+          name: check.label,
+          failure: check.severity === 'fail' ? check.message : null,
+          output: check.severity === 'warning' ? `WARNING ${check.message}` : check.message
+        })),
+        ...(device.test_plan || []).map(step => ({
+          classname: 'test_plan',
+          name: `${step.id}. ${step.action}`,
+          failure: step.status === 'fail' ? step.error : null,
+          skipped: step.status === 'skipped' ? step.error : null,
+          output: step.expectation
+        }))
+      ];
+      suites.push({ name, time: seconds(run.startedAt, run.finishedAt), cases });
+    }
+  }
+
+  const count = (predicate) => suites.reduce((total, suite) => total + suite.cases.filter(predicate).length, 0);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="AgentSwarm QA" tests="${count(() => true)}" failures="${count(c => c.failure)}" errors="${count(c => c.error)}" skipped="${count(c => c.skipped)}">`
+  ];
+  for (const suite of suites) {
+    lines.push(`  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" failures="${suite.cases.filter(c => c.failure).length}" errors="${suite.cases.filter(c => c.error).length}" skipped="${suite.cases.filter(c => c.skipped).length}" time="${suite.time}">`);
+    for (const testCase of suite.cases) {
+      lines.push(`    <testcase classname="${escapeXml(testCase.classname)}" name="${escapeXml(testCase.name)}">`);
+      if (testCase.error) lines.push(`      <error message="${escapeXml(testCase.error)}"/>`);
+      if (testCase.failure) lines.push(`      <failure message="${escapeXml(testCase.failure)}"/>`);
+      if (testCase.skipped) lines.push(`      <skipped message="${escapeXml(testCase.skipped)}"/>`);
+      if (testCase.output) lines.push(`      <system-out>${escapeXml(testCase.output)}</system-out>`);
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+// Full reports minus the base64 payloads (screenshots, diff images, HAR logs)
+export function toJsonReport(runs, status) {
+  const strip = (device) => ({
+    ...device,
+    screenshot: undefined,
+    figma_image: undefined,
+    har: undefined,
+    visual_diff: device.visual_diff ? { ...device.visual_diff, diff_image: undefined, baseline_image: undefined } : device.visual_diff,
+    test_plan: (device.test_plan || []).map(({ screenshot, ...step }) => step),
+    exploration: device.exploration ? { ...device.exploration, steps: (device.exploration.steps || []).map(({ screenshot, ...step }) => step) } : device.exploration
+  });
+
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    status,
+    runs: runs.map(run => ({
+      ...run,
+      result: run.result ? { ...run.result, results: run.result.results.map(strip) } : null
+    }))
+  }, null, 2);
+}
+
+const STATUS_COLORS = { pass: '#10b981', warning: '#f59e0b', fail: '#ef4444', error: '#ef4444' };
+
+const badge = (status) => `<span class="badge" style="background:${STATUS_COLORS[status] || '#64748b'}">${escapeXml(String(status).toUpperCase())}</span>`;
+
+// Self-contained page (inline CSS, embedded screenshots) that CI can keep as an artifact
+export function toHtml(runs, status) {
+  const sections = runs.map(run => {
+    if (run.error) return `<section><h2>${escapeXml(run.url)} ${badge('error')}</h2><p>${escapeXml(run.error)}</p></section>`;
+
+    const devices = run.result.results.map(device => {
+      const checks = (device.verdict?.checks || []).filter(check => check.severity !== 'pass')
+        .map(check => `<li>${badge(check.severity)} ${escapeXml(check.message)}</li>`).join('');
+      const issues = (device.issues || []).map(issue => `<li>${escapeXml(issue)}</li>`).join('');
+      const steps = (device.test_plan || [])
+        .map(step => `<tr><td>${badge(step.status)}</td><td>${escapeXml(`${step.id}. ${step.action}`)}</td><td>${escapeXml(step.error || step.expectation || '')}</td></tr>`).join('');
+
+      return `
+        <article>
+          <h3>${escapeXml(device.device)}${device.browser ? ` <small>${escapeXml(device.browser)}</small>` : ''}${device.profile ? ` <small>${escapeXml(device.profile.label)}</small>` : ''}${device.url && device.url !== run.url ? ` &middot; ${escapeXml(new URL(device.url).pathname)}` : ''} ${badge(device.status)}</h3>
+          <p>${escapeXml(device.analysis)}</p>
+          ${checks ? `<h4>Checks over threshold</h4><ul>${checks}</ul>` : ''}
+          ${issues ? `<h4>Issues</h4><ul>${issues}</ul>` : ''}
+          ${steps ? `<h4>Test plan</h4><table>${steps}</table>` : ''}
+          ${device.screenshot ? `<img alt="${escapeXml(device.device)} screenshot" src="data:${device.screenshot_mime_type || 'image/png'};base64,${device.screenshot}">` : ''}
+        </article>`;
+    }).join('');
+
+    // Engine-specific findings first; a cell lists the devices that hit the finding on that engine
+    const compatibility = run.result.compatibility;
+    const matrix = compatibility?.rows.length ? `
+        <h3>Browser compatibility</h3>
+        <table>
+          <tr><td></td>${compatibility.browsers.map(browser => `<td><strong>${escapeXml(browser)}</strong></td>`).join('')}</tr>
+          ${compatibility.rows.map(row => `<tr><td>${row.only_in ? badge(`${row.only_in} only`) : ''} ${escapeXml(row.finding)}</td>${compatibility.browsers.map(browser => `<td>${escapeXml(row.browsers[browser].join(', ') || '-')}</td>`).join('')}</tr>`).join('')}
+        </table>` : '';
+
+    return `
+      <section>
+        <h2>${escapeXml(run.url)} ${badge(run.status)}</h2>
+        <p>${escapeXml(run.result.analysis)}</p>
+        ${matrix}
+        ${devices}
+      </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>AgentSwarm QA Report</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #0f172a; color: #e2e8f0; margin: 2rem; }
+  section { border: 1px solid #1e293b; border-radius: 8px; padding: 1rem 1.5rem; margin-bottom: 1.5rem; }
+  article { border-top: 1px solid #1e293b; padding-top: 0.5rem; }
+  .badge { color: #fff; font-size: 0.7rem; padding: 2px 6px; border-radius: 4px; vertical-align: middle; }
+  table { border-collapse: collapse; font-size: 0.85rem; }
+  td { padding: 2px 8px; border-bottom: 1px solid #1e293b; }
+  img { max-width: 480px; border: 1px solid #1e293b; border-radius: 4px; margin-top: 0.5rem; }
+  h4 { margin-bottom: 0.25rem; color: #94a3b8; }
+</style>
+</head>
+<body>
+<h1>AgentSwarm QA Report ${badge(status)}</h1>
+<p>Generated ${escapeXml(new Date().toISOString())}</p>
+${sections}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,237 @@
+import { historyStore, projectStore, scheduleStore } from './store.js';
+import { projectMission } from './projects.js';
+import { pickMissionConfig } from './orchestrator.js';
+import { notifyWebhooks } from './notify.js';
+
+// --- SCHEDULER (cron-style recurring missions) ---
+// A schedule runs a saved project suite or replays an archived mission:
+//   { name, cron: "0 2 * * *", target: { projectId } | { missionId }, webhooks: [{ url, format }], notifyOn, enabled }
+// Cron expressions use the server's local time (set TZ); runs missed while the server is down are not caught up.
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+const CRON_MACROS = { '@hourly': '0 * * * *', '@daily': '0 0 * * *', '@nightly': '0 2 * * *', '@weekly': '0 0 * * 0', '@monthly': '0 0 1 * *' };
+const WEBHOOK_FORMATS = ['json', 'slack'];
+
+// "*/15", "1-5", "0,30" -> Set of values
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name}: ${part}`);
+    const start = match[1] === '*' ? min : Number(match[2]);
+    const end = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : match[4] ? max : start;
+    const step = Number(match[4] || 1);
+    if (start < min || end > max || start > end || step < 1) throw new Error(`Invalid cron ${name}: ${part} (allowed ${min}-${max})`);
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+export function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const fields = (CRON_MACROS[text] || text).split(/\s+/);
+  if (fields.length !== 5) throw new Error(`Invalid cron expression "${text}": expected 5 fields (minute hour day month weekday)`);
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+  // Like cron: when both day fields are restricted, either one matching is enough
+  return { minute, hour, dayOfMonth, month, dayOfWeek, anyDayOfMonth: fields[2] === '*', anyDayOfWeek: fields[4] === '*' };
+}
+
+function matchesDay(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return dom && dow;
+  return dom || dow;
+}
+
+export function cronMatches(cron, date) {
+  return cron.minute.has(date.getMinutes()) && cron.hour.has(date.getHours()) && cron.month.has(date.getMonth() + 1) && matchesDay(cron, date);
+}
+
+// Next matching minute after `from`, skipping whole months/days/hours that cannot match
+export function nextRun(cron, from = new Date()) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setFullYear(limit.getFullYear() + 5);
+  while (date < limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+// Returns the normalized schedule or throws with a message fit for a 400
+export async function validateSchedule(input = {}) {
+  const name = String(input.name || '').trim();
+  if (!name) throw new Error('name is required');
+  parseCron(input.cron);
+
+  const { projectId, missionId } = input.target || {};
+  if (!projectId === !missionId) throw new Error('target needs either a projectId or a missionId');
+  if (projectId && !await projectStore.get(projectId)) throw new Error(`Project ${projectId} not found`);
+  if (missionId) {
+    const mission = await historyStore.get(missionId);
+    if (!mission) throw new Error(`Mission ${missionId} not found`);
+    if (mission.config.auth?.storageState) throw new Error('This mission used an uploaded storageState, which is not archived; schedule a project with a login recipe instead');
+  }
+
+  if (input.webhooks !== undefined && input.webhooks !== null && !Array.isArray(input.webhooks)) {
+    throw new Error('webhooks must be a list of URLs or { url, format } objects');
+  }
+  const webhooks = (input.webhooks || []).map(webhook => {
+    if (typeof webhook !== 'string' && (typeof webhook !== 'object' || webhook === null)) throw new Error(`Invalid webhook: ${JSON.stringify(webhook)}`);
+    const { url, format = 'json' } = typeof webhook === 'string' ? { url: webhook } : webhook;
+    if (!isHttpUrl(url)) throw new Error(`Invalid webhook url: ${url}`);
+    if (!WEBHOOK_FORMATS.includes(format)) throw new Error(`Webhook format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+    return { url, format };
+  });
+  const notifyOn = input.notifyOn || 'change';
+  if (!['change', 'always'].includes(notifyOn)) throw new Error('notifyOn must be "change" or "always"');
+
+  return {
+    name,
+    cron: String(input.cron).trim(),
+    target: projectId ? { projectId } : { missionId },
+    webhooks,
+    notifyOn,
+    enabled: input.enabled !== false
+  };
+}
+
+// Mission config of the target, resolved at run time so project edits apply to the next run
+async function scheduleMission(schedule) {
+  if (schedule.target.projectId) {
+    const project = await projectStore.get(schedule.target.projectId);
+    if (!project) throw new Error(`Project ${schedule.target.projectId} no longer exists`);
+    return projectMission(project);
+  }
+  const mission = await historyStore.get(schedule.target.missionId);
+  if (!mission) throw new Error(`Mission ${schedule.target.missionId} no longer exists in the history`);
+  return pickMissionConfig(mission.config);
+}
+
+// Verdict of a finished mission record: pass/warning/fail, or error when the run itself failed
+const verdictOf = (mission) => mission.status === 'failed' ? 'error' : mission.result?.status || 'error';
+
+// What changed since the schedule's previous run: the verdict and the findings per device
+async function detectChanges(previous, mission) {
+  const status = verdictOf(mission);
+  const changes = { status, previousStatus: previous?.status || null, newIssues: [], resolvedIssues: 0 };
+  if (!previous?.missionId || mission.status === 'failed') return changes;
+
+  try {
+    const comparison = await historyStore.compare(previous.missionId, mission.id);
+    for (const device of comparison?.devices || []) {
+      changes.newIssues.push(...device.newIssues.map(issue => ({ device: device.device, issue })));
+      changes.resolvedIssues += device.resolvedIssues.length;
+    }
+  } catch (error) {
+    // A target whose URL changed cannot be diffed; the verdict change still notifies
+    console.warn(`⚠️ [Scheduler] Could not compare with the previous run: ${error.message}`);
+  }
+  return changes;
+}
+
+export const scheduler = {
+  timer: null,
+  launch: null,
+  running: new Set(),
+
+  // launch(config) -> Promise of the finished mission record ({ id, status, result, ... })
+  start(launch) {
+    this.launch = launch;
+    this.scheduleTick();
+    console.log('⏰ [Scheduler] Started');
+  },
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  },
+
+  // Wake up at the start of every minute
+  scheduleTick() {
+    const delay = 60000 - (Date.now() % 60000) + 50;
+    this.timer = setTimeout(() => {
+      this.tick(new Date()).catch(error => console.error('Scheduler tick failed:', error));
+      this.scheduleTick();
+    }, delay);
+    this.timer.unref?.();
+  },
+
+  async tick(now) {
+    const schedules = await scheduleStore.list();
+    for (const schedule of schedules) {
+      if (!schedule.enabled) continue;
+      let cron;
+      try {
+        cron = parseCron(schedule.cron);
+      } catch (error) {
+        continue;
+      }
+      if (cronMatches(cron, now)) this.run(schedule, 'cron').catch(error => console.error(`Schedule ${schedule.id} failed:`, error));
+    }
+  },
+
+  // Runs one schedule to the end and notifies; a schedule never overlaps with itself
+  async run(schedule, trigger = 'manual') {
+    if (this.running.has(schedule.id)) {
+      console.warn(`⚠️ [Scheduler] ${schedule.name} is still running, skipping this ${trigger} run`);
+      return null;
+    }
+    this.running.add(schedule.id);
+    console.log(`⏰ [Scheduler] Running ${schedule.name} (${trigger})`);
+
+    try {
+      let mission;
+      try {
+        const config = await scheduleMission(schedule);
+        mission = await this.launch({ ...config, schedule: { id: schedule.id, name: schedule.name } });
+      } catch (error) {
+        mission = { id: null, status: 'failed', error: error.message, config: {}, createdAt: new Date().toISOString(), finishedAt: new Date().toISOString() };
+      }
+
+      const changes = await detectChanges(schedule.lastRun, mission);
+      const changed = changes.status !== changes.previousStatus || changes.newIssues.length > 0;
+      const notifications = changed || schedule.notifyOn === 'always'
+        ? await notifyWebhooks(schedule, mission, changes)
+        : [];
+
+      const lastRun = { missionId: mission.id, status: changes.status, error: mission.error || null, trigger, at: mission.finishedAt, changed, notifications };
+      // Re-read so edits made while the mission ran are kept
+      const current = await scheduleStore.get(schedule.id);
+      if (current) await scheduleStore.save({ ...current, lastRun });
+      return lastRun;
+    } finally {
+      this.running.delete(schedule.id);
+    }
+  }
+};
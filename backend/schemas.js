@@ -0,0 +1,105 @@
+import { z } from 'zod';
+
+// --- LLM OUTPUT SCHEMAS ---
+// Every JSON answer from a model is validated against one of these before the pipeline uses it.
+
+export const TestStepSchema = z.object({
+  id: z.coerce.number(),
+  action: z.string().min(1),
+  expectation: z.string().default(''),
+  type: z.enum(['navigate', 'click', 'fill', 'assert_visible', 'assert_text']),
+  selector: z.string().optional().nullable(),
+  value: z.union([z.string(), z.number()]).optional().nullable(),
+  url: z.string().optional().nullable()
+}).superRefine((step, ctx) => {
+  const needsSelector = ['click', 'fill', 'assert_visible'].includes(step.type);
+  if (needsSelector && !step.selector) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `"${step.type}" steps need a selector`, path: ['selector'] });
+  }
+  if (step.type === 'navigate' && !step.url && !step.value) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: '"navigate" steps need a url', path: ['url'] });
+  }
+});
+
+export const TestPlanSchema = z.object({
+  test_plan: z.array(TestStepSchema).min(1)
+});
+
+// The status is decided by the verdict engine, the model only writes the narrative
+export const DeviceReportSchema = z.object({
+  analysis: z.string(),
+  issues: z.array(z.string()).default([])
+});
+
+export const CrossDeviceSummarySchema = z.object({
+  analysis: z.string(),
+  cross_device_issues: z.array(z.string()).default([])
+});
+
+export const SiteSummarySchema = z.object({
+  analysis: z.string(),
+  site_issues: z.array(z.string()).default([])
+});
+
+// Exploratory mode: the next action on the current page, plus anything broken the model sees on it
+export const ExploreActionSchema = z.object({
+  action: z.enum(['click', 'type', 'scroll', 'back', 'finish']),
+  ref: z.string().optional().nullable(),
+  text: z.string().optional().nullable(),
+  submit: z.boolean().default(false),
+  direction: z.enum(['up', 'down']).optional().nullable(),
+  reason: z.string().default(''),
+  issues: z.array(z.string()).default([])
+}).superRefine((decision, ctx) => {
+  if (['click', 'type'].includes(decision.action) && !decision.ref) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `"${decision.action}" needs the ref of an element`, path: ['ref'] });
+  }
+});
+
+// MCP engine: each turn the model either calls one tool or finishes with its findings
+export const McpFinishSchema = z.object({
+  action: z.literal('finish'),
+  analysis: z.string(),
+  issues: z.array(z.string()).default([]),
+  checks: z.array(z.object({
+    description: z.string().min(1),
+    passed: z.boolean(),
+    evidence: z.string().default('')
+  })).default([])
+});
+
+export const McpDecisionSchema = z.discriminatedUnion('action', [
+  z.object({
+    action: z.literal('call'),
+    tool: z.string().min(1),
+    arguments: z.record(z.any()).default({}),
+    reason: z.string().default('')
+  }),
+  McpFinishSchema
+]);
+
+// Pulls the JSON object out of a model answer (code fences, leading prose, trailing notes)
+export function extractJson(rawText) {
+  const text = String(rawText || '').replace(/```json/gi, '').replace(/```/g, '').trim();
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) throw e;
+    return JSON.parse(text.slice(start, end + 1));
+  }
+}
+
+// Readable zod error for the repair prompt: "test_plan.2.selector: "click" steps need a selector"
+export function describeZodError(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`).join('; ');
+}
+
+export class StructuredOutputError extends Error {
+  constructor(message, attempts) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.attempts = attempts;
+  }
+}
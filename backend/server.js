@@ -1,250 +1,103 @@
 import express from 'express';
 import cors from 'cors';
-import { chromium, devices } from 'playwright';
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import { EventEmitter } from 'events';
+import { PROVIDERS, DEFAULT_PROVIDER, validateLlmSettings } from './providers/index.js';
+import { historyStore, baselineStore, projectStore, scheduleStore } from './store.js';
+import { pickMissionConfig, validateThrottling } from './orchestrator.js';
+import { engineFor } from './engines.js';
+import { loadServerConfig } from './mcp/host.js';
+import { createQaServer } from './mcp/server.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { resolveDeviceProfile, resolveDeviceList, deviceName, DEVICE_PRESETS, DEVICE_DESCRIPTORS } from './devices.js';
+import { toPlaywrightSpec, specFileName } from './export.js';
+import { validateAuth, redactAuth } from './auth.js';
+import { validateProject, projectMission } from './projects.js';
+import { resolveExplore } from './explorer.js';
+import { resolveCrawlOptions } from './crawler.js';
+import { validateThresholds } from './verdict.js';
+import { resolveBrowsers, resultKey, DEFAULT_BROWSER, BROWSERS } from './browsers.js';
+import { scheduler, validateSchedule, parseCron, nextRun } from './scheduler.js';
 
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 
-// --- SHARED UTILITIES ---
-
-class AI_Provider {
-  constructor() {
-    const apiKey = process.env.GOOGLE_API_KEY || "";
-    this.genAI = new GoogleGenerativeAI(apiKey);
-  }
+// --- MISSION JOBS ---
+// Missions run in the background; clients poll the status or stream events over SSE
+const MAX_MISSIONS = 50;
+const missions = new Map();
+
+const missionJobs = {
+  create(config) {
+    const { figmaToken, ...publicConfig } = config;
+    const mission = {
+      id: randomUUID(),
+      status: 'queued',
+      config: { ...publicConfig, ...(config.auth ? { auth: redactAuth(config.auth) } : {}) },
+      events: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      emitter: new EventEmitter()
+    };
+    missions.set(mission.id, mission);
 
-  async generate(prompt, imageParts, preferredModel) {
-    const modelsToTry = [
-      preferredModel,
-      "gemini-2.5-flash",
-      "gemini-2.0-flash-exp",
-      "gemini-1.5-pro",
-      "gemini-1.5-flash"
-    ].filter(Boolean); // Filter out undefined if preferredModel is null
-
-    for (const modelName of modelsToTry) {
-      try {
-        console.log(`🧠 [AI] Trying model: ${modelName}...`);
-        const model = this.genAI.getGenerativeModel({ model: modelName });
-        const result = await model.generateContent([prompt, ...imageParts]);
-        const response = await result.response;
-        return response.text();
-      } catch (error) {
-        console.warn(`⚠️ [AI] Model ${modelName} failed.`);
-      }
+    // Drop the oldest finished missions so memory stays bounded
+    for (const [id, old] of missions) {
+      if (missions.size <= MAX_MISSIONS) break;
+      if (old.status === 'completed' || old.status === 'failed') missions.delete(id);
     }
-    throw new Error("All AI agents failed to respond.");
-  }
-}
 
-// --- AGENT 1: THE ARCHITECT (Planner) ---
-// Analyzes the page and creates a Testing Strategy
-class ArchitectAgent {
-  constructor(aiProvider) {
-    this.ai = aiProvider;
-  }
+    this.run(mission, config);
+    return mission;
+  },
 
-  async createTestPlan(htmlSnippet, screenshotBase64, device) {
-    console.log("📐 [Architect] Creating Test Plan...");
-    
-    const prompt = `
-      ROLE: Senior QA Architect.
-      CONTEXT: We are testing a web application on ${device.toUpperCase()}.
-      INPUT: Screenshot and HTML snippet.
-      
-      TASK: Create a concise Testing Plan (JSON).
-      Identify 4-6 critical user flows or visual elements that MUST be verified based on the UI visible.
-      
-      OUTPUT JSON FORMAT:
-      {
-        "test_plan": [
-          { "id": 1, "action": "Check Header", "expectation": "Logo and Nav visible" },
-          { "id": 2, "action": "Interact with CTA", "expectation": "Button should be clickable" }
-        ]
-      }
-    `;
-
-    const imagePart = { inlineData: { data: screenshotBase64, mimeType: "image/png" } };
-    
-    try {
-      const rawText = await this.ai.generate(prompt, [imagePart]);
-      const cleanJson = rawText.replace(/```json/g, '').replace(/```/g, '').trim();
-      return JSON.parse(cleanJson).test_plan;
-    } catch (e) {
-      console.error("Architect failed:", e);
-      return [{ id: 0, action: "Fallback Plan", expectation: "Verify Page Load" }];
-    }
-  }
-}
+  get(id) {
+    return missions.get(id);
+  },
 
-// --- AGENT 2: THE EXECUTOR (Tester) ---
-// Runs the technical audit using Playwright
-class ExecutorAgent {
-  async executeAudit(url, deviceName) {
-    console.log(`⚙️ [Executor] Running technical audit on ${url}...`);
-    
-    let browser;
-    const auditResults = {
-      consoleLogs: [],
-      networkStatus: 0,
-      screenshot: null,
-      title: "",
-      htmlSnippet: ""
-    };
+  push(mission, event) {
+    const entry = { id: mission.events.length, ...event };
+    mission.events.push(entry);
+    mission.emitter.emit('event', entry);
+  },
 
-    try {
-      browser = await chromium.launch({ headless: true, args: ['--no-sandbox'] });
-      
-      // Device Setup
-      let viewport = { width: 1920, height: 1080 };
-      let isMobile = false;
-      if (deviceName === 'mobile') {
-        viewport = devices['iPhone 12'].viewport;
-        isMobile = true;
-      } else if (deviceName === 'tablet') {
-        viewport = devices['iPad Pro 11'].viewport;
-        isMobile = true;
-      }
-
-      const context = await browser.newContext({ viewport, isMobile });
-      const page = await context.newPage();
-
-      // 1. Listeners (The "Execution" part)
-      page.on('console', msg => {
-        if (msg.type() === 'error' || msg.type() === 'warning') {
-          auditResults.consoleLogs.push(`[${msg.type()}] ${msg.text()}`);
-        }
-      });
-
-      page.on('response', response => {
-        if (response.url() === url) auditResults.networkStatus = response.status();
-      });
-
-      // 2. Navigation
-      await page.goto(url, { waitUntil: 'networkidle', timeout: 45000 });
-      await page.waitForTimeout(2000); // Stability wait
-
-      // 3. Capture Data
-      auditResults.title = await page.title();
-      const buffer = await page.screenshot({ fullPage: false });
-      auditResults.screenshot = buffer.toString('base64');
-      auditResults.htmlSnippet = await page.evaluate(() => document.body.innerText.substring(0, 3000));
-
-      await browser.close();
-      return auditResults;
+  async run(mission, config) {
+    const onEvent = event => this.push(mission, event);
+
+    mission.status = 'running';
+    console.log(`🚀 Mission ${mission.id} Start: ${config.url} [${(config.devices || ['desktop']).map(deviceName).join(', ')}]`);
 
+    try {
+      mission.result = await engineFor(config).startMission(config, onEvent);
+      mission.status = 'completed';
+      onEvent({ agent: 'System', message: `Mission Complete. Status: ${mission.result.status.toUpperCase()}`, type: mission.result.status === 'fail' ? 'error' : 'success', device: null, timestamp: new Date().toISOString() });
     } catch (error) {
-      if (browser) await browser.close();
-      throw new Error(`Executor Audit Failed: ${error.message}`);
+      console.error(`Mission ${mission.id} Aborted:`, error);
+      mission.error = error.message;
+      mission.status = 'failed';
+      onEvent({ agent: 'System', message: `❌ Mission Failed: ${error.message}`, type: 'error', device: null, timestamp: new Date().toISOString() });
     }
-  }
-}
 
-// --- AGENT 3: THE DESIGNER (Visual Validator) ---
-// Compares Live vs Figma
-class DesignAgent {
-  constructor(aiProvider) {
-    this.ai = aiProvider;
-  }
+    mission.finishedAt = new Date().toISOString();
 
-  async fetchFigmaImage(token, fileKey) {
-    if (!token || !fileKey) return null;
-    console.log(`🎨 [Design] Fetching Figma original...`);
-    
+    // Once archived, the job serves file names instead of base64 images (see /api/history/:id/artifacts)
     try {
-      const resp = await fetch(`https://api.figma.com/v1/files/${fileKey}`, {
-        headers: { 'X-Figma-Token': token }
-      });
-      const data = await resp.json();
-      // Figma API returns 'thumbnailUrl'
-      if (data.thumbnailUrl) {
-        const imgResp = await fetch(data.thumbnailUrl);
-        const buffer = await imgResp.arrayBuffer();
-        return Buffer.from(buffer).toString('base64');
-      }
-    } catch (e) {
-      console.error("Figma Fetch Error:", e.message);
+      const archived = await historyStore.save({ ...this.serialize(mission), config });
+      mission.result = archived.result;
+    } catch (error) {
+      console.error(`Mission ${mission.id} could not be archived:`, error);
     }
-    return null;
-  }
 
-  async compare(liveScreenshot, figmaScreenshot) {
-    if (!figmaScreenshot) return "No Figma Design provided for comparison.";
-    
-    console.log("🎨 [Design] Comparing Live vs Design...");
-    const prompt = `
-      ROLE: Lead UI Designer.
-      TASK: Compare the 'Live Implementation' (Image 1) vs 'Figma Design' (Image 2).
-      OUTPUT: A short paragraph describing the visual discrepancies (colors, alignment, missing elements).
-      Be strict but concise.
-    `;
-
-    const parts = [
-      { inlineData: { data: liveScreenshot, mimeType: "image/png" } },
-      { inlineData: { data: figmaScreenshot, mimeType: "image/png" } }
-    ];
-
-    return await this.ai.generate(prompt, parts);
-  }
-}
-
-// --- ORCHESTRATOR ---
-const orchestrator = {
-  ai: new AI_Provider(),
-  
-  async startMission(config) {
-    const { url, device, figmaToken, figmaFile, llmModel } = config;
-    const figmaAuth = figmaToken || process.env.FIGMA_ACCESS_TOKEN;
-
-    // Initialize Agents
-    const executor = new ExecutorAgent();
-    const architect = new ArchitectAgent(this.ai);
-    const designer = new DesignAgent(this.ai);
-
-    // Step 1: Executor gathers intelligence (Run Audit)
-    const auditData = await executor.executeAudit(url, device);
-
-    // Step 2: Architect creates the plan based on what was found
-    const plan = await architect.createTestPlan(auditData.htmlSnippet, auditData.screenshot, device);
-
-    // Step 3: Designer validates visuals (Parallelizable)
-    const figmaImage = await designer.fetchFigmaImage(figmaAuth, figmaFile);
-    const designAnalysis = await designer.compare(auditData.screenshot, figmaImage);
-
-    // Step 4: Final Synthesis (The Report)
-    // We ask the AI to synthesize the audit data + plan + design analysis into one final JSON
-    const finalReportPrompt = `
-      ROLE: QA Lead.
-      
-      INPUTS:
-      1. Test Plan Generated: ${JSON.stringify(plan)}
-      2. Automated Execution Logs: Console Errors: ${auditData.consoleLogs.length}, Network Status: ${auditData.networkStatus}
-      3. Design Analysis: ${designAnalysis}
-      
-      TASK: Generate a Final QA Report JSON.
-      Determine 'status' based on: Status 200? Any Console Errors? Design matches?
-      
-      JSON OUTPUT:
-      {
-        "status": "pass" | "fail" | "warning",
-        "analysis": "Summary of the mission.",
-        "issues": ["List technical or visual issues"],
-        "test_plan": ${JSON.stringify(plan)}, 
-        "figma_analysis": "${designAnalysis ? designAnalysis.replace(/"/g, "'") : 'Not compared'}"
-      }
-    `;
-
-    const parts = [{ inlineData: { data: auditData.screenshot, mimeType: "image/png" } }];
-    const finalJsonRaw = await this.ai.generate(finalReportPrompt, parts, llmModel);
-    const finalJson = JSON.parse(finalJsonRaw.replace(/```json/g, '').replace(/```/g, '').trim());
-
-    return {
-      ...finalJson,
-      screenshot_preview: auditData.screenshot.substring(0, 50) + "...",
-      figma_status: figmaImage ? 'success' : (figmaFile ? 'failed' : 'skipped')
-    };
+    mission.emitter.emit('end');
+  },
+
+  serialize(mission) {
+    const { emitter, ...data } = mission;
+    return data;
   }
 };
 
@@ -252,25 +105,397 @@ const orchestrator = {
 
 app.post('/api/start-test', async (req, res) => {
   try {
-    const { url, devices, figmaToken, figmaFile, llmModel } = req.body;
-    const deviceToTest = devices && devices.length > 0 ? devices[0] : 'desktop';
+    const config = pickMissionConfig(req.body);
+    const createdAt = new Date().toISOString();
     
-    console.log(`🚀 Mission Start: ${url} [${deviceToTest}]`);
-    const result = await orchestrator.startMission({ 
-      url, 
-      device: deviceToTest, 
-      figmaToken, 
-      figmaFile, 
-      llmModel 
-    });
+    console.log(`🚀 Mission Start: ${config.url} [${(config.devices || ['desktop']).map(deviceName).join(', ')}]`);
+    const result = await engineFor(config).startMission(config);
     
-    res.json({ success: true, data: result });
+    const archived = await historyStore.save({ id: randomUUID(), status: 'completed', config, result, error: null, createdAt, finishedAt: new Date().toISOString() });
+    res.json({ success: true, data: { ...result, mission_id: archived.id } });
   } catch (error) {
     console.error("Mission Aborted:", error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+app.post('/api/missions', (req, res) => {
+  if (!req.body || !req.body.url) {
+    return res.status(400).json({ success: false, error: 'url is required' });
+  }
+  try {
+    if (req.body.auth) validateAuth(req.body.auth);
+    validateLlmSettings(req.body.llm);
+    validateThresholds(req.body.thresholds);
+    validateThrottling(req.body.throttling, resolveDeviceList(req.body.devices));
+    resolveBrowsers(req.body.browsers);
+    resolveExplore(req.body.explore);
+    if (req.body.crawl) resolveCrawlOptions(req.body.crawl);
+    engineFor(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  const mission = missionJobs.create(pickMissionConfig(req.body));
+  res.status(202).json({ success: true, data: { id: mission.id, status: mission.status } });
+});
+
+app.get('/api/missions/:id', (req, res) => {
+  const mission = missionJobs.get(req.params.id);
+  if (!mission) return res.status(404).json({ success: false, error: 'Mission not found' });
+  res.json({ success: true, data: missionJobs.serialize(mission) });
+});
+
+app.get('/api/missions/:id/events', (req, res) => {
+  const mission = missionJobs.get(req.params.id);
+  if (!mission) return res.status(404).json({ success: false, error: 'Mission not found' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = event => res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+  const end = () => {
+    res.write(`event: end\ndata: ${JSON.stringify({ status: mission.status })}\n\n`);
+    res.end();
+  };
+
+  // Replay what the client missed (everything on first connect, the tail on reconnect)
+  const lastEventId = Number(req.get('Last-Event-ID'));
+  const from = Number.isInteger(lastEventId) ? lastEventId + 1 : 0;
+  mission.events.slice(from).forEach(send);
+
+  if (mission.status === 'completed' || mission.status === 'failed') return end();
+
+  mission.emitter.on('event', send);
+  mission.emitter.once('end', end);
+  req.on('close', () => {
+    mission.emitter.off('event', send);
+    mission.emitter.off('end', end);
+  });
+});
+
+// --- VISUAL BASELINES ---
+
+app.get('/api/baselines', async (req, res) => {
+  try {
+    res.json({ success: true, data: await baselineStore.list({ url: req.query.url }) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Approves the page screenshot of an archived mission as the baseline for its URL + device (+ browser)
+app.post('/api/baselines', async (req, res) => {
+  try {
+    const { missionId, device, browser = DEFAULT_BROWSER } = req.body || {};
+    const mission = missionId && await historyStore.get(missionId);
+    if (!mission) return res.status(404).json({ success: false, error: 'Mission not found' });
+
+    // Crawl missions hold several pages per device; `url` picks one (default: the start page)
+    const url = req.body.url || mission.config.url;
+    const deviceResult = (mission.result?.results || []).find(r => r.device === device && (r.browser || DEFAULT_BROWSER) === browser && (r.url || mission.config.url) === url);
+    const file = deviceResult?.screenshot && await historyStore.filePath(missionId, deviceResult.screenshot);
+    if (!file) return res.status(404).json({ success: false, error: `No screenshot for device ${device} on ${browser} in this mission` });
+    if (!file.endsWith('.png')) return res.status(400).json({ success: false, error: 'Only PNG screenshots can be approved as baselines' });
+
+    const screenshot = (await fs.readFile(file)).toString('base64');
+    const baseline = await baselineStore.save({ url, device: resultKey(deviceResult), screenshot, missionId });
+    res.json({ success: true, data: baseline });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/baselines', async (req, res) => {
+  try {
+    const { url, device } = req.query;
+    if (!url || !device) return res.status(400).json({ success: false, error: 'url and device are required' });
+    const removed = await baselineStore.remove(url, device);
+    if (!removed) return res.status(404).json({ success: false, error: 'Baseline not found' });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// --- MISSION HISTORY ---
+
+app.get('/api/history', async (req, res) => {
+  try {
+    const missions = await historyStore.list({ url: req.query.url, project: req.query.project });
+    res.json({ success: true, data: missions });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/history/:id', async (req, res) => {
+  try {
+    const mission = await historyStore.get(req.params.id);
+    if (!mission) return res.status(404).json({ success: false, error: 'Mission not found' });
+    res.json({ success: true, data: mission });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Screenshots, Figma frames, baselines, diffs and HAR logs of a mission, with the URL that serves each
+app.get('/api/history/:id/artifacts', async (req, res) => {
+  try {
+    const artifacts = await historyStore.artifacts(req.params.id);
+    if (!artifacts) return res.status(404).json({ success: false, error: 'Mission not found' });
+    res.json({ success: true, data: artifacts.map(artifact => ({ ...artifact, href: `/api/history/${req.params.id}/files/${artifact.name}` })) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/history/:id/files/:name', async (req, res) => {
+  try {
+    const file = await historyStore.filePath(req.params.id, req.params.name);
+    if (!file) return res.status(404).json({ success: false, error: 'File not found' });
+    if (file.endsWith('.har')) return res.download(file);
+    res.sendFile(file);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/history/:id', async (req, res) => {
+  try {
+    const removed = await historyStore.remove(req.params.id);
+    if (!removed) return res.status(404).json({ success: false, error: 'Mission not found' });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Playwright test file from the steps the Executor ran (?device=mobile for a single device)
+app.get('/api/history/:id/export/playwright', async (req, res) => {
+  try {
+    const mission = await historyStore.get(req.params.id);
+    if (!mission) return res.status(404).json({ success: false, error: 'Mission not found' });
+
+    const spec = toPlaywrightSpec(mission, { resolveDevice: device => resolveDeviceProfile(device).options, device: req.query.device, browser: req.query.browser });
+    if (!spec) return res.status(404).json({ success: false, error: 'This mission has no executed test plan to export' });
+
+    res.attachment(specFileName(mission)).type('text/plain').send(spec);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/history/:id/compare/:otherId', async (req, res) => {
+  try {
+    const comparison = await historyStore.compare(req.params.id, req.params.otherId);
+    if (!comparison) return res.status(404).json({ success: false, error: 'Mission not found' });
+    res.json({ success: true, data: comparison });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// --- PROJECTS ---
+
+app.get('/api/projects', async (req, res) => {
+  try {
+    res.json({ success: true, data: await projectStore.list() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/projects', async (req, res) => {
+  let project;
+  try {
+    project = validateProject(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  try {
+    const saved = await projectStore.save({ id: randomUUID(), ...project, createdAt: new Date().toISOString() });
+    res.status(201).json({ success: true, data: saved });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/projects/:id', async (req, res) => {
+  try {
+    const project = await projectStore.get(req.params.id);
+    if (!project) return res.status(404).json({ success: false, error: 'Project not found' });
+    res.json({ success: true, data: project });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/projects/:id', async (req, res) => {
+  try {
+    const existing = await projectStore.get(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, error: 'Project not found' });
+    const project = validateProject(req.body);
+    res.json({ success: true, data: await projectStore.save({ id: existing.id, ...project, createdAt: existing.createdAt }) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/projects/:id', async (req, res) => {
+  try {
+    const removed = await projectStore.remove(req.params.id);
+    if (!removed) return res.status(404).json({ success: false, error: 'Project not found' });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Runs every page of the project as one mission; the body only carries per-run options
+app.post('/api/projects/:id/run', async (req, res) => {
+  try {
+    const project = await projectStore.get(req.params.id);
+    if (!project) return res.status(404).json({ success: false, error: 'Project not found' });
+    const { figmaToken, auth, devices } = req.body || {};
+    if (auth) validateAuth(auth);
+    if (devices) validateThrottling(project.throttling, resolveDeviceList(devices));
+    const mission = missionJobs.create(projectMission(project, { figmaToken, auth, devices }));
+    res.status(202).json({ success: true, data: { id: mission.id, status: mission.status } });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// --- SCHEDULES ---
+
+// Scheduled runs are ordinary mission jobs: they stream, show up in the UI and get archived
+scheduler.start(config => new Promise(resolve => {
+  const mission = missionJobs.create(config);
+  mission.emitter.once('end', () => resolve(missionJobs.serialize(mission)));
+}));
+
+const withNextRun = (schedule) => ({ ...schedule, nextRunAt: schedule.enabled ? nextRun(parseCron(schedule.cron))?.toISOString() || null : null });
+
+app.get('/api/schedules', async (req, res) => {
+  try {
+    res.json({ success: true, data: (await scheduleStore.list()).map(withNextRun) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/schedules', async (req, res) => {
+  let schedule;
+  try {
+    schedule = await validateSchedule(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  try {
+    const saved = await scheduleStore.save({ id: randomUUID(), ...schedule, lastRun: null, createdAt: new Date().toISOString() });
+    res.status(201).json({ success: true, data: withNextRun(saved) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/schedules/:id', async (req, res) => {
+  try {
+    const schedule = await scheduleStore.get(req.params.id);
+    if (!schedule) return res.status(404).json({ success: false, error: 'Schedule not found' });
+    res.json({ success: true, data: withNextRun(schedule) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/schedules/:id', async (req, res) => {
+  try {
+    const existing = await scheduleStore.get(req.params.id);
+    if (!existing) return res.status(404).json({ success: false, error: 'Schedule not found' });
+    const schedule = await validateSchedule(req.body);
+    const saved = await scheduleStore.save({ id: existing.id, ...schedule, lastRun: existing.lastRun, createdAt: existing.createdAt });
+    res.json({ success: true, data: withNextRun(saved) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    const removed = await scheduleStore.remove(req.params.id);
+    if (!removed) return res.status(404).json({ success: false, error: 'Schedule not found' });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Runs a schedule now, with the same change detection and notifications as a cron run
+app.post('/api/schedules/:id/run', async (req, res) => {
+  try {
+    const schedule = await scheduleStore.get(req.params.id);
+    if (!schedule) return res.status(404).json({ success: false, error: 'Schedule not found' });
+    if (scheduler.running.has(schedule.id)) return res.status(409).json({ success: false, error: 'This schedule is already running' });
+    scheduler.run(schedule, 'manual').catch(error => console.error(`Schedule ${schedule.id} failed:`, error));
+    res.status(202).json({ success: true, data: { id: schedule.id, status: 'running' } });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Presets, Playwright device names and browser engines for the device picker
+app.get('/api/devices', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      presets: Object.entries(DEVICE_PRESETS).map(([name]) => resolveDeviceProfile(name)),
+      descriptors: DEVICE_DESCRIPTORS,
+      browsers: BROWSERS
+    }
+  });
+});
+
+// MCP tool servers a mission can pick with engine: "mcp" (names only, the commands stay on the server)
+app.get('/api/mcp/servers', async (req, res) => {
+  try {
+    res.json({ success: true, data: Object.keys(await loadServerConfig()) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// --- MCP SERVER (Streamable HTTP) ---
+// The agents as MCP tools (see mcp/server.js). Stateless: every request gets its own server and transport.
+app.post('/mcp', async (req, res) => {
+  const server = createQaServer();
+  const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+  res.on('close', () => {
+    transport.close();
+    server.close();
+  });
+  try {
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    console.error('MCP request failed:', error);
+    if (!res.headersSent) res.status(500).json({ jsonrpc: '2.0', error: { code: -32603, message: error.message }, id: null });
+  }
+});
+
+// No sessions, so no server-initiated stream to GET and nothing to DELETE
+app.all('/mcp', (req, res) => {
+  res.status(405).set('Allow', 'POST').json({ jsonrpc: '2.0', error: { code: -32000, message: 'Method not allowed' }, id: null });
+});
+
+app.get('/api/providers', (req, res) => {
+  res.json({ success: true, data: { default: DEFAULT_PROVIDER, available: Object.keys(PROVIDERS) } });
+});
+
 app.get('/health', (req, res) => res.send('Multi-Agent System Online 🤖'));
 
 app.listen(3000, () => console.log('Backend listening on port 3000'));
\ No newline at end of file
@@ -0,0 +1,407 @@
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { redactAuth } from './auth.js';
+import { resultKey } from './browsers.js';
+
+// --- MISSION HISTORY (File-based store) ---
+// Every finished mission is archived under DATA_DIR/missions/<id>/:
+//   mission.json  -> config, status and full report (screenshots replaced by file names)
+//   *.png         -> page, Figma, baseline, diff and step screenshots (listed by historyStore.artifacts);
+//                    an MCP page screenshot keeps the format the tool server sent (.jpg, .webp)
+//   *.har         -> network logs
+const DATA_DIR = process.env.DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+const MISSIONS_DIR = path.join(DATA_DIR, 'missions');
+const BASELINES_DIR = path.join(DATA_DIR, 'baselines');
+const ID_PATTERN = /^[\w-]+$/;
+
+const safeName = (value) => String(value).replace(/[^\w-]/g, '_');
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+const ARTIFACT_PATTERN = /^[\w.-]+\.(png|jpg|webp|har)$/;
+
+const missionDir = (id) => {
+  if (!ID_PATTERN.test(id)) throw new Error(`Invalid mission id: ${id}`);
+  return path.join(MISSIONS_DIR, id);
+};
+
+const PERFORMANCE_CHECKS = ['lcp', 'cls', 'tbt', 'ttfb', 'transferKb'];
+
+// Flattens a device result into comparable findings: "<category>: <text>"
+function collectFindings(deviceResult) {
+  const findings = new Set();
+  for (const issue of deviceResult.issues || []) findings.add(`issue: ${String(issue).trim()}`);
+  for (const step of deviceResult.test_plan || []) {
+    if (step.status === 'fail') findings.add(`failed step: ${step.action}`);
+  }
+  for (const log of deviceResult.console_logs || []) findings.add(`console: ${log}`);
+  for (const violation of deviceResult.accessibility?.violations || []) findings.add(`a11y: ${violation.help}`);
+  for (const link of deviceResult.links?.broken || []) findings.add(`broken link: ${link.url}`);
+  for (const request of deviceResult.failed_requests || []) findings.add(`failed request: ${request.url.split('?')[0]}`);
+  // Budget name only, so a metric that moves but stays over budget keeps persisting
+  for (const check of deviceResult.verdict?.checks || []) {
+    if (PERFORMANCE_CHECKS.includes(check.id) && check.severity !== 'pass') findings.add(`over budget: ${check.label}`);
+  }
+  return findings;
+}
+
+export const historyStore = {
+  async save(record) {
+    const dir = missionDir(record.id);
+    await fs.mkdir(dir, { recursive: true });
+
+    const result = record.result ? JSON.parse(JSON.stringify(record.result)) : null;
+    const results = result?.results || [];
+    for (const [resultIndex, deviceResult] of results.entries()) {
+      // Crawl missions have one result per page and device, so the file prefix needs the page too
+      const key = resultKey(deviceResult);
+      const repeated = results.filter(r => resultKey(r) === key).length > 1;
+      const device = safeName(repeated ? `${resultIndex + 1}-${key}` : key);
+
+      // Replaces a base64 image field with the name of the file it is written to (PNG unless told otherwise)
+      const saveImage = async (owner, field, name, mimeType) => {
+        if (!owner?.[field]) return;
+        const file = `${name}.${IMAGE_EXTENSIONS[mimeType] || 'png'}`;
+        await fs.writeFile(path.join(dir, file), Buffer.from(owner[field], 'base64'));
+        owner[field] = file;
+      };
+
+      await saveImage(deviceResult, 'screenshot', `${device}-page`, deviceResult.screenshot_mime_type);
+      await saveImage(deviceResult, 'figma_image', `${device}-figma`);
+      await saveImage(deviceResult.visual_diff, 'baseline_image', `${device}-baseline`);
+      await saveImage(deviceResult.visual_diff, 'diff_image', `${device}-diff`);
+      if (deviceResult.har) {
+        const file = `${device}-network.har`;
+        await fs.writeFile(path.join(dir, file), JSON.stringify(deviceResult.har));
+        deviceResult.har = file;
+      }
+      for (const [index, step] of (deviceResult.test_plan || []).entries()) {
+        await saveImage(step, 'screenshot', `${device}-step-${index + 1}`);
+      }
+      for (const [index, step] of (deviceResult.exploration?.steps || []).entries()) {
+        await saveImage(step, 'screenshot', `${device}-explore-${index + 1}`);
+      }
+    }
+
+    const { figmaToken, ...config } = record.config || {};
+    if (config.auth) config.auth = redactAuth(config.auth);
+    const stored = { ...record, config, result };
+    await fs.writeFile(path.join(dir, 'mission.json'), JSON.stringify(stored, null, 2));
+    console.log(`🗄️ [History] Archived mission ${record.id}`);
+    return stored;
+  },
+
+  async list({ url, project } = {}) {
+    let ids = [];
+    try {
+      ids = await fs.readdir(MISSIONS_DIR);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+
+    const summaries = [];
+    for (const id of ids) {
+      const mission = await this.get(id);
+      if (!mission || (url && mission.config.url !== url) || (project && mission.config.project?.id !== project)) continue;
+      const deviceResults = mission.result?.results || [];
+      summaries.push({
+        id: mission.id,
+        url: mission.config.url,
+        project: mission.config.project || null,
+        devices: deviceResults.map(r => r.device),
+        status: mission.result?.status || mission.status,
+        issueCount: deviceResults.reduce((total, r) => total + (r.issues || []).length, 0),
+        createdAt: mission.createdAt,
+        finishedAt: mission.finishedAt
+      });
+    }
+    return summaries.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  },
+
+  async get(id) {
+    try {
+      const raw = await fs.readFile(path.join(missionDir(id), 'mission.json'), 'utf8');
+      return JSON.parse(raw);
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  },
+
+  // Absolute path of an archived file (screenshots, HAR logs), or null when it does not exist
+  async filePath(id, name) {
+    if (!ARTIFACT_PATTERN.test(name)) return null;
+    const file = path.join(missionDir(id), name);
+    try {
+      await fs.access(file);
+      return file;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  // Every archived file of a mission with the result it belongs to, or null when the mission is unknown
+  // [{ name, kind: page|figma|baseline|diff|har|step|explore, device, browser, url, step, action, status }]
+  async artifacts(id) {
+    const mission = await this.get(id);
+    if (!mission) return null;
+
+    const artifacts = [];
+    for (const r of mission.result?.results || []) {
+      const owner = { device: r.device, browser: r.browser || null, url: r.url || mission.config.url };
+      const add = (name, kind, extra = {}) => {
+        if (typeof name === 'string' && ARTIFACT_PATTERN.test(name)) artifacts.push({ name, kind, ...owner, ...extra });
+      };
+      add(r.screenshot, 'page');
+      add(r.figma_image, 'figma');
+      add(r.visual_diff?.baseline_image, 'baseline');
+      add(r.visual_diff?.diff_image, 'diff');
+      add(r.har, 'har');
+      for (const step of r.test_plan || []) add(step.screenshot, 'step', { step: step.id, action: step.action, status: step.status });
+      for (const step of r.exploration?.steps || []) add(step.screenshot, 'explore', { step: step.id, action: step.action, status: step.status });
+    }
+    return artifacts;
+  },
+
+  async remove(id) {
+    const dir = missionDir(id);
+    const exists = await this.get(id);
+    if (!exists) return false;
+    await fs.rm(dir, { recursive: true, force: true });
+    return true;
+  },
+
+  // Diff two runs of the same URL: which findings are new, resolved or still there, per device
+  async compare(baseId, targetId) {
+    const [base, target] = await Promise.all([this.get(baseId), this.get(targetId)]);
+    if (!base || !target) return null;
+    if (base.config.url !== target.config.url) {
+      throw new Error('Only runs of the same URL can be compared');
+    }
+
+    // Crawled pages other than the start page are compared as "<device> <path>", other engines as "<device>-<browser>"
+    const keyOf = (r) => r.url && r.url !== base.config.url ? `${resultKey(r)} ${new URL(r.url).pathname}` : resultKey(r);
+    const byDevice = (mission) => new Map((mission.result?.results || []).map(r => [keyOf(r), r]));
+    const baseDevices = byDevice(base);
+    const targetDevices = byDevice(target);
+    const devices = [...new Set([...baseDevices.keys(), ...targetDevices.keys()])];
+
+    return {
+      url: base.config.url,
+      base: { id: base.id, createdAt: base.createdAt, status: base.result?.status || base.status },
+      target: { id: target.id, createdAt: target.createdAt, status: target.result?.status || target.status },
+      devices: devices.map(device => {
+        const before = collectFindings(baseDevices.get(device) || {});
+        const after = collectFindings(targetDevices.get(device) || {});
+        return {
+          device,
+          statusBefore: baseDevices.get(device)?.status || null,
+          statusAfter: targetDevices.get(device)?.status || null,
+          newIssues: [...after].filter(f => !before.has(f)),
+          resolvedIssues: [...before].filter(f => !after.has(f)),
+          persistingIssues: [...after].filter(f => before.has(f))
+        };
+      })
+    };
+  }
+};
+
+// --- VISUAL BASELINES ---
+// One approved screenshot per URL and device under DATA_DIR/baselines/<url hash>/<device>.png (+ .json metadata);
+// Firefox and WebKit render differently, so their baselines are keyed "<device>-<browser>" (see resultKey)
+const baselineDir = (url) => path.join(BASELINES_DIR, createHash('sha1').update(url).digest('hex').slice(0, 16));
+
+export const baselineStore = {
+  async get(url, device) {
+    const dir = baselineDir(url);
+    try {
+      const meta = JSON.parse(await fs.readFile(path.join(dir, `${safeName(device)}.json`), 'utf8'));
+      const image = await fs.readFile(path.join(dir, `${safeName(device)}.png`));
+      return { ...meta, screenshot: image.toString('base64') };
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  },
+
+  async save({ url, device, screenshot, missionId }) {
+    const dir = baselineDir(url);
+    await fs.mkdir(dir, { recursive: true });
+    const meta = { url, device, missionId: missionId || null, approvedAt: new Date().toISOString() };
+    await fs.writeFile(path.join(dir, `${safeName(device)}.png`), Buffer.from(screenshot, 'base64'));
+    await fs.writeFile(path.join(dir, `${safeName(device)}.json`), JSON.stringify(meta, null, 2));
+    console.log(`🖼️ [Baseline] Approved ${device} baseline for ${url}`);
+    return meta;
+  },
+
+  async list({ url } = {}) {
+    let dirs = [];
+    try {
+      dirs = url ? [path.basename(baselineDir(url))] : await fs.readdir(BASELINES_DIR);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+
+    const baselines = [];
+    for (const dir of dirs) {
+      let files = [];
+      try {
+        files = await fs.readdir(path.join(BASELINES_DIR, dir));
+      } catch (e) {
+        if (e.code === 'ENOENT') continue;
+        throw e;
+      }
+      for (const file of files.filter(f => f.endsWith('.json'))) {
+        baselines.push(JSON.parse(await fs.readFile(path.join(BASELINES_DIR, dir, file), 'utf8')));
+      }
+    }
+    return baselines;
+  },
+
+  async remove(url, device) {
+    const dir = baselineDir(url);
+    const meta = path.join(dir, `${safeName(device)}.json`);
+    try {
+      await fs.access(meta);
+    } catch (e) {
+      return false;
+    }
+    await fs.rm(meta, { force: true });
+    await fs.rm(path.join(dir, `${safeName(device)}.png`), { force: true });
+    return true;
+  }
+};
+
+// --- AUTH SESSIONS ---
+// Cached Playwright storageState per project/login recipe under DATA_DIR/sessions/<key>.json
+const SESSIONS_DIR = path.join(DATA_DIR, 'sessions');
+const sessionFile = (key) => {
+  if (!ID_PATTERN.test(key)) throw new Error(`Invalid session key: ${key}`);
+  return path.join(SESSIONS_DIR, `${key}.json`);
+};
+
+export const sessionStore = {
+  // null when missing or older than maxAgeMinutes
+  async get(key, maxAgeMinutes) {
+    try {
+      const session = JSON.parse(await fs.readFile(sessionFile(key), 'utf8'));
+      if (Date.now() - new Date(session.savedAt).getTime() > maxAgeMinutes * 60000) return null;
+      return session.storageState;
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  },
+
+  async save(key, storageState) {
+    await fs.mkdir(SESSIONS_DIR, { recursive: true });
+    // Session cookies are credentials: owner-only file
+    await fs.writeFile(sessionFile(key), JSON.stringify({ savedAt: new Date().toISOString(), storageState }), { mode: 0o600 });
+    console.log(`🔐 [Auth] Cached session ${key}`);
+  },
+
+  async remove(key) {
+    await fs.rm(sessionFile(key), { force: true });
+  }
+};
+
+// --- PROJECTS ---
+// Saved suites under DATA_DIR/projects/<id>.json
+const PROJECTS_DIR = path.join(DATA_DIR, 'projects');
+const projectFile = (id) => {
+  if (!ID_PATTERN.test(id)) throw new Error(`Invalid project id: ${id}`);
+  return path.join(PROJECTS_DIR, `${id}.json`);
+};
+
+export const projectStore = {
+  async list() {
+    let files = [];
+    try {
+      files = await fs.readdir(PROJECTS_DIR);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+
+    const projects = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      projects.push(JSON.parse(await fs.readFile(path.join(PROJECTS_DIR, file), 'utf8')));
+    }
+    return projects.sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(projectFile(id), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  },
+
+  async save(project) {
+    await fs.mkdir(PROJECTS_DIR, { recursive: true });
+    const stored = { ...project, updatedAt: new Date().toISOString() };
+    await fs.writeFile(projectFile(project.id), JSON.stringify(stored, null, 2));
+    console.log(`🗂️ [Projects] Saved ${project.name}`);
+    return stored;
+  },
+
+  async remove(id) {
+    const exists = await this.get(id);
+    if (!exists) return false;
+    await fs.rm(projectFile(id), { force: true });
+    return true;
+  }
+};
+
+// --- SCHEDULES ---
+// Recurring missions under DATA_DIR/schedules/<id>.json, with the outcome of their last run
+const SCHEDULES_DIR = path.join(DATA_DIR, 'schedules');
+const scheduleFile = (id) => {
+  if (!ID_PATTERN.test(id)) throw new Error(`Invalid schedule id: ${id}`);
+  return path.join(SCHEDULES_DIR, `${id}.json`);
+};
+
+export const scheduleStore = {
+  async list() {
+    let files = [];
+    try {
+      files = await fs.readdir(SCHEDULES_DIR);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+
+    const schedules = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      schedules.push(JSON.parse(await fs.readFile(path.join(SCHEDULES_DIR, file), 'utf8')));
+    }
+    return schedules.sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(scheduleFile(id), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  },
+
+  async save(schedule) {
+    await fs.mkdir(SCHEDULES_DIR, { recursive: true });
+    const stored = { ...schedule, updatedAt: new Date().toISOString() };
+    await fs.writeFile(scheduleFile(schedule.id), JSON.stringify(stored, null, 2));
+    return stored;
+  },
+
+  async remove(id) {
+    const exists = await this.get(id);
+    if (!exists) return false;
+    await fs.rm(scheduleFile(id), { force: true });
+    return true;
+  }
+};
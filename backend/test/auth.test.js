@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAuth } from '../auth.js';
+
+const recipe = (fields) => ({ login: { url: 'https://app.example.com/login', fields, submit: 'button[type=submit]' } });
+
+test('validateAuth accepts env: and secret: references', () => {
+  assert.doesNotThrow(() => validateAuth(recipe([
+    { selector: '#email', value: 'env:QA_AUTH_USERNAME' },
+    { selector: '#password', value: 'secret:qa_password' }
+  ])));
+});
+
+test('validateAuth rejects literal credentials, which would be saved with the mission', () => {
+  assert.throws(() => validateAuth(recipe([{ selector: '#pw', value: 'hunter2' }])), /#pw must be an env:NAME or secret:NAME reference/);
+  assert.throws(() => validateAuth(recipe([{ selector: '#pw' }])), /must be an env:NAME or secret:NAME reference/);
+});
+
+test('validateAuth only lets login recipes read QA_AUTH_* variables', () => {
+  assert.throws(() => validateAuth(recipe([{ selector: '#pw', value: 'env:OPENAI_API_KEY' }])), /OPENAI_API_KEY is not allowed/);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRobots, isAllowedByRobots, crawlSite, resolveCrawlOptions } from '../crawler.js';
+
+test('parseRobots picks our group, else the "*" group', () => {
+  const robots = [
+    'User-agent: *',
+    'Disallow: /private',
+    '',
+    'User-agent: AgentSwarmQA',
+    'Disallow: /admin'
+  ].join('\n');
+  assert.deepEqual(parseRobots(robots), [{ allow: false, path: '/admin' }]);
+  assert.deepEqual(parseRobots('User-agent: *\nDisallow: /private'), [{ allow: false, path: '/private' }]);
+  assert.deepEqual(parseRobots('User-agent: googlebot\nDisallow: /'), []);
+});
+
+test('parseRobots matches the agent token exactly, ignoring case', () => {
+  // "a" and "agent" are substrings of our token but name other crawlers
+  const robots = 'User-agent: a\nUser-agent: agent\nDisallow: /\n\nUser-agent: *\nDisallow: /tmp';
+  assert.deepEqual(parseRobots(robots), [{ allow: false, path: '/tmp' }]);
+  assert.deepEqual(parseRobots('User-agent: AGENTSWARMQA\nDisallow: /x'), [{ allow: false, path: '/x' }]);
+  // Consecutive User-agent lines share one group
+  assert.deepEqual(parseRobots('User-agent: other\nUser-agent: agentswarmqa\nAllow: /docs\nDisallow: /'), [{ allow: true, path: '/docs' }, { allow: false, path: '/' }]);
+});
+
+test('the longest robots rule wins and Allow wins a tie', () => {
+  const rules = [{ allow: false, path: '/' }, { allow: true, path: '/docs' }, { allow: false, path: '/docs/internal' }, { allow: false, path: '/*.pdf$' }];
+  assert.equal(isAllowedByRobots(rules, '/pricing'), false);
+  assert.equal(isAllowedByRobots(rules, '/docs/intro'), true);
+  assert.equal(isAllowedByRobots(rules, '/docs/internal/x'), false);
+  assert.equal(isAllowedByRobots([{ allow: false, path: '/a' }, { allow: true, path: '/a' }], '/a'), true);
+  assert.equal(isAllowedByRobots([{ allow: true, path: '/' }, { allow: false, path: '/*.pdf$' }], '/guide.pdf'), false);
+  assert.equal(isAllowedByRobots([], '/anything'), true);
+});
+
+const site = {
+  'https://example.com/': ['/blog/a', '/blog/b?page=2', 'https://other.example.com/', 'http://example.com/insecure', '/logo.png', '/admin', '#top', 'mailto:qa@example.com'],
+  'https://example.com/blog/a': ['/', '/blog/c']
+};
+const collectLinks = async (url) => site[url] || [];
+
+test('crawlSite stays on the start origin and applies include/exclude', async () => {
+  const crawl = await crawlSite('https://example.com/', { respectRobots: false, exclude: ['/admin*', '*?page=*'] }, collectLinks);
+  assert.deepEqual(crawl.pages.map(page => page.url), ['https://example.com/', 'https://example.com/blog/a', 'https://example.com/blog/c']);
+  assert.deepEqual(crawl.skipped.map(entry => [entry.url, entry.reason]), [
+    ['https://example.com/blog/b?page=2', 'excluded'],
+    ['https://example.com/logo.png', 'not a page'],
+    ['https://example.com/admin', 'excluded']
+  ]);
+
+  const blogOnly = await crawlSite('https://example.com/', { respectRobots: false, include: ['/blog/*'], maxDepth: 1 }, collectLinks);
+  assert.deepEqual(blogOnly.pages.map(page => page.url), ['https://example.com/', 'https://example.com/blog/a', 'https://example.com/blog/b?page=2']);
+});
+
+test('crawlSite skips pages robots.txt disallows for our agent', async (t) => {
+  t.mock.method(globalThis, 'fetch', async () => new Response('User-agent: AgentSwarmQA\nDisallow: /blog/\nAllow: /blog/a'));
+  const crawl = await crawlSite('https://example.com/', { maxDepth: 1 }, collectLinks);
+  assert.deepEqual(crawl.pages.map(page => page.url), ['https://example.com/', 'https://example.com/blog/a', 'https://example.com/admin']);
+  assert.ok(crawl.skipped.some(entry => entry.url === 'https://example.com/blog/b?page=2' && entry.reason === 'robots.txt'));
+});
+
+test('resolveCrawlOptions rejects malformed patterns', () => {
+  assert.equal(resolveCrawlOptions(true).maxPages, 10);
+  assert.throws(() => resolveCrawlOptions({ include: '/blog/*' }), /crawl.include must be a list/);
+  assert.throws(() => resolveCrawlOptions('yes'), /crawl must be true or an object/);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toPlaywrightSpec } from '../export.js';
+
+const INJECTED = "require('child_process').execSync('touch /tmp/pwned');";
+
+const mission = {
+  id: 'm1',
+  createdAt: '2026-01-01T00:00:00.000Z',
+  config: { url: `https://example.com/\n${INJECTED}` },
+  result: {
+    results: [{
+      device: 'mobile',
+      status: 'fail',
+      url: 'https://example.com/',
+      profile: { label: `Phone\n${INJECTED}`, viewport: { width: 390, height: 844 }, isMobile: true },
+      test_plan: [
+        { id: 1, action: 'Open menu', type: 'click', selector: '#menu', status: 'fail', error: `Timeout\n${INJECTED}` },
+        { id: 2, action: `Hover menu\n${INJECTED}`, type: 'hover', selector: '#menu', status: 'skipped' }
+      ]
+    }]
+  }
+};
+
+test('text from the mission stays inside its comment in the exported spec', () => {
+  const spec = toPlaywrightSpec(mission, { resolveDevice: () => ({ viewport: { width: 390, height: 844 } }) });
+  const code = spec.split('\n').filter(line => !line.trim().startsWith('//'));
+  assert.ok(code.every(line => !line.trim().startsWith('require(')), spec);
+  assert.match(spec, /^ {4}\/\/ Phone require\(/m);
+  assert.match(spec, /\/\/ Step 2 "Hover menu require\(.*skipped: unsupported type "hover"/);
+  assert.match(spec, /\/\/ Failed during the mission: Timeout require\(/);
+  assert.match(spec, /^\/\/ Target: https:\/\/example\.com\/ require\(/m);
+});
@@ -0,0 +1,61 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mcpEngine, resolveMcpSettings } from '../mcp/engine.js';
+import { engineFor } from '../engines.js';
+
+// The agents log to stdout, which the Node 20 test runner shares with its own reporting channel
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+// Full MCP tool loop offline: the stub-browser tool server with the mock provider's recorded decisions
+test('the MCP engine audits every device through the stub browser', async () => {
+  const events = [];
+  const report = await mcpEngine.startMission({
+    url: 'https://example.com/',
+    devices: ['desktop', 'mobile'],
+    llm: { provider: 'mock' },
+    mcp: { servers: ['stub-browser'] }
+  }, event => events.push(event));
+
+  assert.equal(report.engine, 'mcp');
+  assert.equal(report.status, 'pass');
+  assert.equal(typeof report.analysis, 'string');
+  assert.ok(Array.isArray(report.cross_device_issues));
+  assert.deepEqual(report.results.map(result => result.device), ['desktop', 'mobile']);
+
+  for (const result of report.results) {
+    assert.equal(result.engine, 'mcp');
+    assert.equal(result.url, 'https://example.com/');
+    assert.equal(result.status, 'pass');
+    assert.deepEqual(result.mcp.servers, ['stub-browser']);
+    assert.equal(result.mcp.budget_exhausted, false);
+    assert.equal(result.figma_status, 'skipped');
+
+    // browser_resize, the two recorded calls, then the console and screenshot the engine collects itself
+    const tools = result.test_plan.filter(step => step.type === 'mcp_tool').map(step => step.tool);
+    assert.deepEqual(tools, ['browser_resize', 'browser_navigate', 'browser_click', 'browser_console_messages', 'browser_take_screenshot'].map(tool => `stub-browser__${tool}`));
+    assert.ok(result.test_plan.every(step => step.status === 'pass'));
+    assert.ok(result.test_plan.some(step => step.type === 'mcp_check'));
+
+    assert.deepEqual(result.console_logs, ['[warning] Stub deprecation warning @ app.js:1']);
+    assert.equal(result.verdict.checks.find(check => check.id === 'consoleWarnings').actual, 1);
+    assert.equal(typeof result.screenshot, 'string');
+    assert.equal(result.screenshot_mime_type, 'image/png');
+  }
+  assert.ok(events.some(event => event.agent === 'MCP' && event.device === 'mobile'));
+});
+
+test('a missing or null mcp block falls back to the defaults', () => {
+  const defaults = resolveMcpSettings(undefined);
+  assert.deepEqual(resolveMcpSettings(null), defaults);
+  assert.deepEqual(resolveMcpSettings({}), defaults);
+  assert.equal(engineFor({ engine: 'mcp', mcp: null }), mcpEngine);
+  assert.deepEqual(resolveMcpSettings({ servers: ['stub-browser'], maxSteps: 3 }), { servers: ['stub-browser'], maxSteps: 3 });
+});
+
+test('an mcp block that is not an object is rejected', () => {
+  for (const mcp of ['stub-browser', ['stub-browser'], 3]) {
+    assert.throws(() => engineFor({ engine: 'mcp', mcp }), /mcp must be an object/);
+  }
+  assert.throws(() => resolveMcpSettings({ maxSteps: 0 }), /mcp.maxSteps must be an integer/);
+});
@@ -0,0 +1,109 @@
+import { test, mock, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { AI_Provider, buildFallbackReport } from '../orchestrator.js';
+import { DeviceReportSchema, StructuredOutputError } from '../schemas.js';
+import { computeVerdict } from '../verdict.js';
+import { validateLlmSettings } from '../providers/index.js';
+
+// The agents log to stdout, which the Node 20 test runner shares with its own reporting channel
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+// Offline smoke test of the LLM layer: the mock provider replays hand-written recordings
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+const writeRecordings = async (responses) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'qa-mock-'));
+  tempDirs.push(dir);
+  const file = path.join(dir, 'responses.json');
+  await fs.writeFile(file, JSON.stringify({ responses }));
+  return file;
+};
+
+const auditData = {
+  networkStatus: 500,
+  consoleLogs: ['[error] Uncaught TypeError: x is undefined'],
+  failedRequests: [],
+  links: { broken: [{ url: 'https://example.com/missing', status: 404 }] }
+};
+
+test('generateJson returns the first answer that passes the schema', async () => {
+  const recordings = await writeRecordings([
+    { match: 'ROLE: QA Lead.', response: '```json\n{ "analysis": "All good", "issues": [] }\n```' }
+  ]);
+  const ai = new AI_Provider({ provider: 'mock', recordings });
+  assert.deepEqual(await ai.generateJson('ROLE: QA Lead.', [], { schema: DeviceReportSchema }), { analysis: 'All good', issues: [] });
+});
+
+test('generateJson sends a rejected answer back for repair', async () => {
+  const recordings = await writeRecordings([
+    { match: 'ROLE: QA Lead.', response: '{ "issues": "not a list" }' },
+    { match: 'YOUR PREVIOUS ANSWER WAS REJECTED.', response: '{ "analysis": "Repaired", "issues": ["Broken footer"] }' }
+  ]);
+  const ai = new AI_Provider({ provider: 'mock', recordings });
+  const report = await ai.generateJson('ROLE: QA Lead.', [], { schema: DeviceReportSchema });
+  assert.deepEqual(report, { analysis: 'Repaired', issues: ['Broken footer'] });
+});
+
+test('generateJson gives up after the repair attempts and the fallback report takes over', async () => {
+  const recordings = await writeRecordings([{ match: 'ROLE: QA Lead.', response: 'Sorry, I cannot help with that.' }]);
+  const ai = new AI_Provider({ provider: 'mock', recordings });
+  const error = await ai.generateJson('ROLE: QA Lead.', [], { schema: DeviceReportSchema, retries: 1 }).then(() => null, e => e);
+  assert.ok(error instanceof StructuredOutputError);
+  assert.equal(error.attempts, 2);
+
+  const steps = [{ id: 1, action: 'Open menu', status: 'fail', error: 'Timeout' }, { id: 2, action: 'Check header', status: 'pass' }];
+  const report = buildFallbackReport(auditData, steps, null, error);
+  assert.equal(report.synthesis_fallback, true);
+  assert.match(report.analysis, /AI synthesis unavailable/);
+  assert.deepEqual(report.issues, [
+    'Page responded with HTTP 500',
+    'Step 1 failed: Open menu (Timeout)',
+    'Broken link https://example.com/missing (404)',
+    '[error] Uncaught TypeError: x is undefined'
+  ]);
+  assert.ok(DeviceReportSchema.safeParse(report).success);
+});
+
+test('per-agent overrides pick their own provider', async () => {
+  const recordings = await writeRecordings([{ match: 'ROLE: QA Lead.', response: '{ "analysis": "From the synthesis agent" }' }]);
+  const ai = new AI_Provider({ provider: 'gemini', agents: { synthesis: { provider: 'mock', recordings } } });
+  const report = await ai.forAgent('synthesis').generateJson('ROLE: QA Lead.', [], { schema: DeviceReportSchema });
+  assert.equal(report.analysis, 'From the synthesis agent');
+});
+
+test('validateLlmSettings rejects unknown providers, per agent too', () => {
+  assert.doesNotThrow(() => validateLlmSettings({ provider: 'mock', agents: { synthesis: { provider: 'openai', model: 'gpt-4o' } } }));
+  assert.throws(() => validateLlmSettings({ provider: 'bogus' }), /Unknown LLM provider: bogus/);
+  assert.throws(() => validateLlmSettings({ agents: { architect: { provider: 'bogus' } } }), /Unknown LLM provider for architect: bogus/);
+});
+
+test('validateLlmSettings rejects a baseUrl the backend did not allowlist', () => {
+  assert.throws(() => validateLlmSettings({ provider: 'openai', baseUrl: 'https://attacker.example/v1' }), /baseUrl is not allowed/);
+  assert.throws(() => validateLlmSettings({ provider: 'mock', agents: { synthesis: { provider: 'anthropic', baseUrl: 'https://attacker.example' } } }), /baseUrl for synthesis is not allowed/);
+});
+
+test('computeVerdict decides the status from the facts', () => {
+  const facts = {
+    networkStatus: 200,
+    consoleLogs: [],
+    failedRequests: [],
+    stepResults: [{ id: 1, status: 'pass' }]
+  };
+  assert.equal(computeVerdict(facts).status, 'pass');
+  assert.equal(computeVerdict({ ...facts, consoleLogs: ['[error] boom'] }).status, 'warning');
+  assert.equal(computeVerdict({ ...facts, stepResults: [{ id: 1, status: 'fail' }] }).status, 'fail');
+  assert.equal(computeVerdict({ ...facts, networkStatus: 503 }).status, 'fail');
+
+  // Thresholds are per project: six console errors fail by default, pass when the budget allows them
+  const noisy = { ...facts, consoleLogs: Array(6).fill('[error] boom') };
+  assert.equal(computeVerdict(noisy).status, 'fail');
+  assert.equal(computeVerdict(noisy, { consoleErrors: { warn: null, fail: 10 } }).status, 'pass');
+
+  const check = computeVerdict(noisy).checks.find(c => c.id === 'consoleErrors');
+  assert.deepEqual({ actual: check.actual, limit: check.limit, severity: check.severity }, { actual: 6, limit: 5, severity: 'fail' });
+});
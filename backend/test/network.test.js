@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toHar } from '../network.js';
+
+const entry = {
+  url: 'https://api.example.com/login?access_token=abc123&lang=en&sig=deadbeef',
+  method: 'POST',
+  resourceType: 'fetch',
+  startedDateTime: '2026-01-01T00:00:00.000Z',
+  requestHeaders: { Authorization: 'Bearer abc123', cookie: 'session=s3cr3t', 'content-type': 'application/json' },
+  postData: '{"password":"hunter2"}',
+  status: 302,
+  statusText: 'Found',
+  responseHeaders: { 'Set-Cookie': 'session=new', location: 'https://example.com/home?token=xyz', 'content-type': 'text/html' },
+  failure: null,
+  timing: null,
+  bytes: 120
+};
+
+test('HAR logs mask credential headers and request payloads', () => {
+  const [harEntry] = toHar([entry], { pageUrl: 'https://example.com/', title: 'Home' }).log.entries;
+  const header = (headers, name) => headers.find(h => h.name.toLowerCase() === name).value;
+
+  assert.equal(header(harEntry.request.headers, 'authorization'), '[redacted]');
+  assert.equal(header(harEntry.request.headers, 'cookie'), '[redacted]');
+  assert.equal(header(harEntry.request.headers, 'content-type'), 'application/json');
+  assert.equal(header(harEntry.response.headers, 'set-cookie'), '[redacted]');
+  assert.deepEqual(harEntry.request.postData, { mimeType: 'application/json', text: '[redacted]' });
+  assert.equal(harEntry.request.bodySize, entry.postData.length);
+  assert.ok(!JSON.stringify(harEntry).includes('hunter2'));
+});
+
+test('HAR logs mask credential query parameters', () => {
+  const [harEntry] = toHar([entry], { pageUrl: 'https://example.com/?token=page' }).log.entries;
+  assert.deepEqual(harEntry.request.queryString, [
+    { name: 'access_token', value: '[redacted]' },
+    { name: 'lang', value: 'en' },
+    { name: 'sig', value: '[redacted]' }
+  ]);
+  assert.equal(new URL(harEntry.request.url).searchParams.get('lang'), 'en');
+  assert.equal(new URL(harEntry.response.redirectURL).searchParams.get('token'), '[redacted]');
+
+  const relative = toHar([{ ...entry, responseHeaders: { location: '/home?token=xyz#top' } }], { pageUrl: 'https://example.com/' }).log.entries[0];
+  assert.equal(relative.response.redirectURL, '/home?token=%5Bredacted%5D#top');
+
+  const har = JSON.stringify(toHar([entry], { pageUrl: 'https://example.com/?token=page' }));
+  for (const secret of ['abc123', 'deadbeef', 'xyz', 'token=page', 's3cr3t']) assert.ok(!har.includes(secret), secret);
+});
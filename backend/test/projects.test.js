@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateProject } from '../projects.js';
+
+const project = (auth) => ({ name: 'Acme', baseUrl: 'https://acme.example.com', auth });
+const login = (value) => ({ login: { url: 'https://acme.example.com/login', fields: [{ selector: '#password', value }] } });
+
+test('projects keep login recipes with references only', () => {
+  assert.deepEqual(validateProject(project(login('secret:acme_password'))).auth, login('secret:acme_password'));
+  assert.throws(() => validateProject(project(login('hunter2'))), /must be an env:NAME or secret:NAME reference/);
+});
+
+test('projects never keep an uploaded storage state', () => {
+  assert.throws(() => validateProject(project({ storageState: { cookies: [], origins: [] } })), /login recipes only/);
+});
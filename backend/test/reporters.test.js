@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toJsonReport } from '../reporters.js';
+
+const IMAGE = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+test('toJsonReport strips every base64 screenshot', () => {
+  const runs = [{
+    id: 'm1',
+    status: 'warning',
+    result: {
+      results: [{
+        device: 'desktop',
+        status: 'warning',
+        screenshot: IMAGE,
+        test_plan: [{ id: 1, action: 'Open menu', status: 'pass', screenshot: IMAGE }],
+        exploration: {
+          stopped: 'max_steps',
+          steps: [
+            { id: 1, action: 'click "Pricing"', status: 'ok', screenshot: IMAGE },
+            { id: 2, action: 'click "Sign up"', status: 'console_error', screenshot: IMAGE }
+          ],
+          findings: [{ type: 'console_error', step: 2, message: 'boom' }]
+        }
+      }]
+    }
+  }];
+
+  const text = toJsonReport(runs, 'warning');
+  assert.ok(!text.includes(IMAGE));
+
+  const device = JSON.parse(text).runs[0].result.results[0];
+  assert.deepEqual(device.test_plan, [{ id: 1, action: 'Open menu', status: 'pass' }]);
+  assert.deepEqual(device.exploration.steps.map(step => step.action), ['click "Pricing"', 'click "Sign up"']);
+  assert.equal(device.exploration.findings.length, 1);
+});
+
+test('toJsonReport keeps results without exploration', () => {
+  const runs = [{ id: 'm2', status: 'pass', result: { results: [{ device: 'mobile', status: 'pass', screenshot: IMAGE }] } }];
+  const device = JSON.parse(toJsonReport(runs, 'pass')).runs[0].result.results[0];
+  assert.equal(device.screenshot, undefined);
+  assert.equal(device.exploration, undefined);
+});
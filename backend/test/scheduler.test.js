@@ -0,0 +1,74 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The stores read DATA_DIR when they are imported
+process.env.DATA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'qa-scheduler-'));
+after(() => fs.rm(process.env.DATA_DIR, { recursive: true, force: true }));
+const { parseCron, cronMatches, nextRun, validateSchedule } = await import('../scheduler.js');
+const { projectStore } = await import('../store.js');
+
+// Local time, like the scheduler: Thursday 1 January 2026, 10:00
+const at = (month, day, hour = 0, minute = 0) => new Date(2026, month - 1, day, hour, minute);
+
+test('parseCron expands steps, ranges and lists', () => {
+  const cron = parseCron('*/15 9-17/4 1,15 * 1-5');
+  assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hour], [9, 13, 17]);
+  assert.deepEqual([...cron.dayOfMonth], [1, 15]);
+  assert.equal(cron.month.size, 12);
+  assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+  assert.deepEqual(parseCron('@nightly'), parseCron('0 2 * * *'));
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /expected 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid cron minute: 60/);
+  assert.throws(() => parseCron('* * * * 8'), /Invalid cron day of week/);
+  assert.throws(() => parseCron('5-1 * * * *'), /Invalid cron minute/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid cron minute/);
+  assert.throws(() => parseCron('every day'), /expected 5 fields/);
+});
+
+test('Sunday is both 0 and 7', () => {
+  const sunday = at(1, 4, 8);
+  assert.equal(sunday.getDay(), 0);
+  assert.ok(cronMatches(parseCron('0 8 * * 0'), sunday));
+  assert.ok(cronMatches(parseCron('0 8 * * 7'), sunday));
+  assert.deepEqual(nextRun(parseCron('0 8 * * 7'), at(1, 1, 10)), sunday);
+});
+
+test('nextRun finds the next matching minute', () => {
+  assert.deepEqual(nextRun(parseCron('*/15 * * * *'), at(1, 1, 10, 7)), at(1, 1, 10, 15));
+  assert.deepEqual(nextRun(parseCron('0 2 * * *'), at(1, 1, 10)), at(1, 2, 2));
+  // Strictly after `from`
+  assert.deepEqual(nextRun(parseCron('0 10 * * *'), at(1, 1, 10)), at(1, 2, 10));
+  assert.deepEqual(nextRun(parseCron('30 6 29 2 *'), at(1, 1)), new Date(2028, 1, 29, 6, 30));
+  // Both day fields restricted: either one matching is enough (the 13th, or the next Friday)
+  assert.deepEqual(nextRun(parseCron('0 0 13 * 5'), at(1, 1, 10)), at(1, 2));
+});
+
+test('nextRun returns null for dates that never happen', () => {
+  assert.equal(nextRun(parseCron('0 2 31 2 *'), at(1, 1)), null);
+  assert.equal(nextRun(parseCron('0 0 31 4,6,9,11 *'), at(1, 1)), null);
+});
+
+test('validateSchedule only accepts a list of http(s) webhooks', async () => {
+  mock.method(console, 'log', () => {});
+  const project = await projectStore.save({ id: 'acme', name: 'Acme', baseUrl: 'https://acme.example.com/', pages: [{ name: 'Home', path: '/' }] });
+  const schedule = (webhooks) => validateSchedule({ name: 'Nightly', cron: '@nightly', target: { projectId: project.id }, webhooks });
+
+  assert.deepEqual((await schedule(['https://hooks.example.com/a', { url: 'http://ci.local/hook', format: 'slack' }])).webhooks, [
+    { url: 'https://hooks.example.com/a', format: 'json' },
+    { url: 'http://ci.local/hook', format: 'slack' }
+  ]);
+  await assert.rejects(schedule('https://hooks.example.com/a'), /webhooks must be a list/);
+  await assert.rejects(schedule({ url: 'https://hooks.example.com/a' }), /webhooks must be a list/);
+  await assert.rejects(schedule(['ftp://hooks.example.com/a']), /Invalid webhook url/);
+  await assert.rejects(schedule(['https://']), /Invalid webhook url/);
+  await assert.rejects(schedule([null]), /Invalid webhook/);
+  await assert.rejects(schedule([{ url: 'https://hooks.example.com/a', format: 'teams' }]), /Webhook format must be one of/);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateThresholds, resolveThresholds, computeVerdict } from '../verdict.js';
+
+test('validateThresholds accepts rule overrides with numeric or null limits', () => {
+  assert.doesNotThrow(() => validateThresholds(undefined));
+  assert.doesNotThrow(() => validateThresholds(null));
+  assert.doesNotThrow(() => validateThresholds({ lcp: { warn: 2000, fail: 3000 }, cls: { fail: 0.2 }, consoleErrors: { warn: null } }));
+});
+
+test('validateThresholds rejects malformed overrides', () => {
+  assert.throws(() => validateThresholds('strict'), /thresholds must be an object/);
+  assert.throws(() => validateThresholds([]), /thresholds must be an object/);
+  assert.throws(() => validateThresholds({ speed: { fail: 1 } }), /Unknown threshold rule: speed/);
+  assert.throws(() => validateThresholds({ lcp: 2500 }), /thresholds.lcp must be an object/);
+  assert.throws(() => validateThresholds({ lcp: { max: 2500 } }), /only takes warn and fail/);
+  assert.throws(() => validateThresholds({ lcp: { fail: '2500' } }), /thresholds.lcp.fail must be a non-negative number/);
+  assert.throws(() => validateThresholds({ tbt: { warn: -1 } }), /thresholds.tbt.warn must be a non-negative number/);
+});
+
+test('null overrides fall back to the defaults', () => {
+  assert.deepEqual(resolveThresholds(null), resolveThresholds({}));
+  assert.equal(computeVerdict({ networkStatus: 200, stepResults: [] }, null).status, 'pass');
+});
+
+test('a metric the engine could not measure gets no verdict check', () => {
+  // Firefox and WebKit have no layout-shift or longtask observers
+  const performance = { vitals: { lcp: null, cls: null, tbt: null }, navigation: { ttfb: 120 }, transfer: { totalBytes: 2048 } };
+  const ids = computeVerdict({ networkStatus: 200, stepResults: [], performance }).checks.map(check => check.id);
+  assert.ok(!ids.includes('lcp') && !ids.includes('cls') && !ids.includes('tbt'));
+  assert.ok(ids.includes('ttfb') && ids.includes('transferKb'));
+
+  const measured = computeVerdict({ networkStatus: 200, stepResults: [], performance: { ...performance, vitals: { lcp: 900, cls: 0, tbt: 0 } } });
+  assert.deepEqual(measured.checks.filter(check => ['lcp', 'cls', 'tbt'].includes(check.id)).map(check => check.severity), ['pass', 'pass', 'pass']);
+});
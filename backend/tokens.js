@@ -0,0 +1,177 @@
+// --- DESIGN TOKENS (Figma styles vs computed CSS) ---
+// Figma nodes and DOM elements are matched by their visible text, then colors,
+// typography and spacing are compared property by property.
+
+const COLOR_TOLERANCE = 3;   // per RGB channel, absorbs color-profile rounding
+const SIZE_TOLERANCE = 0.5;  // px
+
+const normalizeText = (text) => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+const toHex = ({ r, g, b }) => '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('').toUpperCase();
+
+// Figma colors are 0-1 floats, CSS computed colors are "rgb(a)(r, g, b[, a])"
+const figmaColor = (paints) => {
+  const paint = (paints || []).find(p => p.type === 'SOLID' && p.visible !== false);
+  if (!paint) return null;
+  const alpha = (paint.opacity ?? 1) * (paint.color.a ?? 1);
+  if (alpha === 0) return null;
+  return { r: paint.color.r * 255, g: paint.color.g * 255, b: paint.color.b * 255 };
+};
+
+const cssColor = (value) => {
+  const match = /rgba?\(([^)]+)\)/.exec(value || '');
+  if (!match) return null;
+  const [r, g, b, a = 1] = match[1].split(/[,\s/]+/).filter(Boolean).map(Number);
+  if (a === 0) return null;
+  return { r, g, b };
+};
+
+const sameColor = (a, b) => Math.abs(a.r - b.r) <= COLOR_TOLERANCE && Math.abs(a.g - b.g) <= COLOR_TOLERANCE && Math.abs(a.b - b.b) <= COLOR_TOLERANCE;
+
+const px = (value) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+// Walks a Figma node tree and returns text styles plus "boxes" (filled containers wrapping one text, e.g. buttons)
+export function extractFigmaTokens(document) {
+  const tokens = [];
+
+  const textsIn = (node, depth = 0) => {
+    if (node.visible === false || depth > 3) return [];
+    if (node.type === 'TEXT') return [node];
+    return (node.children || []).flatMap(child => textsIn(child, depth + 1));
+  };
+
+  const walk = (node) => {
+    if (!node || node.visible === false) return;
+
+    if (node.type === 'TEXT' && normalizeText(node.characters)) {
+      tokens.push({
+        kind: 'text',
+        text: node.characters.trim(),
+        color: figmaColor(node.fills),
+        fontFamily: node.style?.fontFamily || null,
+        fontSize: node.style?.fontSize ?? null,
+        fontWeight: node.style?.fontWeight ?? null,
+        lineHeight: node.style?.lineHeightPx ?? null
+      });
+    } else if (node.children) {
+      const texts = textsIn(node);
+      const background = figmaColor(node.fills);
+      if (texts.length === 1 && background && normalizeText(texts[0].characters)) {
+        tokens.push({
+          kind: 'box',
+          text: texts[0].characters.trim(),
+          background,
+          borderRadius: node.cornerRadius ?? null,
+          padding: node.layoutMode ? [node.paddingTop, node.paddingRight, node.paddingBottom, node.paddingLeft].map(v => v ?? 0) : null
+        });
+      }
+      node.children.forEach(walk);
+    }
+  };
+
+  walk(document);
+  return tokens;
+}
+
+// Computed styles of text-bearing elements; runs inside the page (passed to page.evaluate)
+export function captureComputedStyles(limit) {
+  const describe = (el) => {
+    const id = el.id ? `#${el.id}` : '';
+    return `${el.tagName.toLowerCase()}${id}`;
+  };
+
+  const results = [];
+  const candidates = document.querySelectorAll('body *');
+  for (const el of candidates) {
+    if (results.length >= limit) break;
+    const hasOwnText = Array.from(el.childNodes).some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
+    if (!hasOwnText) continue;
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) continue;
+
+    // Buttons and links often carry the box styles one level above the text
+    const box = el.closest('button, a, [role="button"], li, label') || el;
+    const style = getComputedStyle(el);
+    const boxStyle = getComputedStyle(box);
+    results.push({
+      element: describe(el),
+      text: el.innerText.trim().substring(0, 120),
+      color: style.color,
+      fontFamily: style.fontFamily,
+      fontSize: style.fontSize,
+      fontWeight: style.fontWeight,
+      lineHeight: style.lineHeight,
+      box: describe(box),
+      background: boxStyle.backgroundColor,
+      borderRadius: boxStyle.borderTopLeftRadius,
+      padding: [boxStyle.paddingTop, boxStyle.paddingRight, boxStyle.paddingBottom, boxStyle.paddingLeft]
+    });
+  }
+  return results;
+}
+
+export function compareTokens(figmaTokens, domStyles) {
+  const byText = new Map();
+  for (const style of domStyles) {
+    const key = normalizeText(style.text);
+    if (key && !byText.has(key)) byText.set(key, style);
+  }
+
+  const mismatches = [];
+  let checked = 0;
+  let unmatched = 0;
+
+  const report = (label, property, actual, expected) => {
+    mismatches.push({ element: label, property, actual, expected, message: `${label} ${property} ${actual} expected ${expected}` });
+  };
+
+  for (const token of figmaTokens) {
+    const dom = byText.get(normalizeText(token.text));
+    if (!dom) {
+      unmatched++;
+      continue;
+    }
+    checked++;
+    const label = `${token.kind === 'box' ? dom.box : dom.element} "${token.text.substring(0, 40)}"`;
+
+    if (token.kind === 'text') {
+      const actualColor = cssColor(dom.color);
+      if (token.color && actualColor && !sameColor(token.color, actualColor)) {
+        report(label, 'color', toHex(actualColor), toHex(token.color));
+      }
+      if (token.fontSize != null && Math.abs(px(dom.fontSize) - token.fontSize) > SIZE_TOLERANCE) {
+        report(label, 'font-size', dom.fontSize, `${token.fontSize}px`);
+      }
+      if (token.fontWeight != null && Number(dom.fontWeight) !== Number(token.fontWeight)) {
+        report(label, 'font-weight', dom.fontWeight, String(token.fontWeight));
+      }
+      const family = dom.fontFamily.split(',')[0].replace(/["']/g, '').trim();
+      if (token.fontFamily && family.toLowerCase() !== token.fontFamily.toLowerCase()) {
+        report(label, 'font-family', family, token.fontFamily);
+      }
+      const lineHeight = px(dom.lineHeight); // "normal" has no px value, skip it
+      if (token.lineHeight != null && lineHeight != null && Math.abs(lineHeight - token.lineHeight) > 1) {
+        report(label, 'line-height', dom.lineHeight, `${Math.round(token.lineHeight * 10) / 10}px`);
+      }
+    } else {
+      const actualBackground = cssColor(dom.background);
+      if (!actualBackground || !sameColor(token.background, actualBackground)) {
+        report(label, 'background', actualBackground ? toHex(actualBackground) : 'transparent', toHex(token.background));
+      }
+      if (token.borderRadius != null && Math.abs(px(dom.borderRadius) - token.borderRadius) > SIZE_TOLERANCE) {
+        report(label, 'border-radius', dom.borderRadius, `${token.borderRadius}px`);
+      }
+      if (token.padding) {
+        const actual = dom.padding.map(px);
+        if (token.padding.some((value, i) => Math.abs(actual[i] - value) > 1)) {
+          report(label, 'padding', dom.padding.join(' '), token.padding.map(v => `${v}px`).join(' '));
+        }
+      }
+    }
+  }
+
+  return { checked, unmatched, mismatches };
+}
@@ -0,0 +1,150 @@
+// --- VERDICT ENGINE (Rule-based pass/warning/fail) ---
+// The status of a device comes from the facts the Executor and Designer collected, never from the LLM,
+// so identical inputs always give the same verdict.
+//
+// Each threshold is { warn, fail }: a value above `warn` is a warning, above `fail` is a failure,
+// and `null` disables that level. Performance budgets use the same shape (ms, unitless CLS, KB).
+export const DEFAULT_THRESHOLDS = {
+  consoleErrors: { warn: 0, fail: 5 },
+  consoleWarnings: { warn: 10, fail: null },
+  failedRequests: { warn: 0, fail: 5 },
+  brokenLinks: { warn: 0, fail: null },
+  mixedContent: { warn: 0, fail: null },
+  corsErrors: { warn: 0, fail: null },
+  failedSteps: { warn: null, fail: 0 },
+  skippedSteps: { warn: 0, fail: null },
+  designTokenMismatches: { warn: 0, fail: null },
+  a11yCritical: { warn: null, fail: 0 },
+  a11ySerious: { warn: 0, fail: null },
+  a11yModerate: { warn: null, fail: null },
+  // Exploratory mode findings
+  explorationCrashes: { warn: null, fail: 0 },
+  deadEnds: { warn: 0, fail: null },
+  explorationConsoleErrors: { warn: 0, fail: 5 },
+  layoutBreaks: { warn: 0, fail: null },
+  // Core Web Vitals "good" / "poor" boundaries
+  lcp: { warn: 2500, fail: 4000 },
+  cls: { warn: 0.1, fail: 0.25 },
+  tbt: { warn: 200, fail: 600 },
+  ttfb: { warn: 800, fail: 1800 },
+  transferKb: { warn: 3000, fail: null }
+};
+
+// Validates a mission's or project's overrides: { rule: { warn, fail } }; throws with a message fit for a 400
+export function validateThresholds(overrides) {
+  if (overrides === undefined || overrides === null) return;
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) throw new Error('thresholds must be an object { rule: { warn, fail } }');
+  for (const [rule, limits] of Object.entries(overrides)) {
+    if (!DEFAULT_THRESHOLDS[rule]) throw new Error(`Unknown threshold rule: ${rule} (available: ${Object.keys(DEFAULT_THRESHOLDS).join(', ')})`);
+    if (typeof limits !== 'object' || limits === null || Array.isArray(limits)) throw new Error(`thresholds.${rule} must be an object { warn, fail }`);
+    for (const [level, value] of Object.entries(limits)) {
+      if (level !== 'warn' && level !== 'fail') throw new Error(`thresholds.${rule} only takes warn and fail, not ${level}`);
+      if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+        throw new Error(`thresholds.${rule}.${level} must be a non-negative number or null`);
+      }
+    }
+  }
+}
+
+export function resolveThresholds(overrides) {
+  const thresholds = {};
+  for (const [rule, defaults] of Object.entries(DEFAULT_THRESHOLDS)) {
+    thresholds[rule] = { ...defaults, ...(overrides?.[rule] || {}) };
+  }
+  return thresholds;
+}
+
+function countCheck(id, label, actual, { warn, fail }, unit = '') {
+  let severity = 'pass';
+  if (fail != null && actual > fail) severity = 'fail';
+  else if (warn != null && actual > warn) severity = 'warning';
+  const limit = fail != null ? fail : warn;
+  return { id, label, actual, limit, severity, message: `${label}: ${actual}${unit}${limit != null ? ` (limit ${limit}${unit})` : ''}` };
+}
+
+// facts: { networkStatus, consoleLogs, failedRequests, stepResults, visualDiff, designTokens, accessibility, performance, network, links, exploration }
+// A fact the engine could not collect (undefined; networkStatus null) is left out; the Executor reports 0 for "no response".
+export function computeVerdict(facts, overrides) {
+  const thresholds = resolveThresholds(overrides);
+  const steps = facts.stepResults || [];
+  const checks = [];
+
+  if (facts.networkStatus != null) {
+    const httpOk = facts.networkStatus >= 200 && facts.networkStatus < 400;
+    checks.push({
+      id: 'httpStatus',
+      label: 'Main document HTTP status',
+      actual: facts.networkStatus,
+      limit: '2xx/3xx',
+      severity: httpOk ? 'pass' : 'fail',
+      message: `Main document HTTP status: ${facts.networkStatus || 'no response'}`
+    });
+  }
+
+  if (facts.consoleLogs) {
+    checks.push(countCheck('consoleErrors', 'Console errors', facts.consoleLogs.filter(log => log.startsWith('[error]')).length, thresholds.consoleErrors));
+    checks.push(countCheck('consoleWarnings', 'Console warnings', facts.consoleLogs.filter(log => log.startsWith('[warning]')).length, thresholds.consoleWarnings));
+  }
+  if (facts.failedRequests) checks.push(countCheck('failedRequests', 'Failed requests', facts.failedRequests.length, thresholds.failedRequests));
+  if (facts.links) checks.push(countCheck('brokenLinks', 'Broken links', facts.links.broken.length, thresholds.brokenLinks));
+  if (facts.network) {
+    checks.push(countCheck('mixedContent', 'Mixed content requests', facts.network.mixed_content.length, thresholds.mixedContent));
+    checks.push(countCheck('corsErrors', 'CORS errors', facts.network.cors_errors.length, thresholds.corsErrors));
+  }
+  checks.push(countCheck('failedSteps', 'Failed test steps', steps.filter(step => step.status === 'fail').length, thresholds.failedSteps));
+  checks.push(countCheck('skippedSteps', 'Skipped test steps', steps.filter(step => step.status === 'skipped').length, thresholds.skippedSteps));
+
+  if (facts.designTokens) {
+    checks.push(countCheck('designTokenMismatches', 'Design token mismatches', facts.designTokens.mismatches.length, thresholds.designTokenMismatches));
+  }
+
+  // Counted per violated WCAG rule, not per element
+  const a11y = facts.accessibility?.summary;
+  if (a11y) {
+    checks.push(countCheck('a11yCritical', 'Critical accessibility violations', a11y.critical, thresholds.a11yCritical));
+    checks.push(countCheck('a11ySerious', 'Serious accessibility violations', a11y.serious, thresholds.a11ySerious));
+    checks.push(countCheck('a11yModerate', 'Moderate accessibility violations', a11y.moderate, thresholds.a11yModerate));
+  }
+
+  // What the Explorer ran into; its own observations are narrative, not facts, and stay out of the verdict
+  if (facts.exploration) {
+    const count = (type) => facts.exploration.findings.filter(finding => finding.type === type).length;
+    checks.push(countCheck('explorationCrashes', 'Page crashes while exploring', count('crash'), thresholds.explorationCrashes));
+    checks.push(countCheck('deadEnds', 'Dead ends while exploring', count('dead_end'), thresholds.deadEnds));
+    checks.push(countCheck('explorationConsoleErrors', 'Console errors while exploring', count('console_error'), thresholds.explorationConsoleErrors));
+    checks.push(countCheck('layoutBreaks', 'Layout breaks while exploring', count('layout_break'), thresholds.layoutBreaks));
+  }
+
+  // Metrics the engine could not measure (e.g. LCP outside Chromium) are left out, not passed
+  const perf = facts.performance;
+  if (perf) {
+    const budgets = [
+      ['lcp', 'Largest Contentful Paint', perf.vitals.lcp, 'ms'],
+      ['cls', 'Cumulative Layout Shift', perf.vitals.cls, ''],
+      ['tbt', 'Total Blocking Time', perf.vitals.tbt, 'ms'],
+      ['ttfb', 'Time to First Byte', perf.navigation?.ttfb, 'ms'],
+      ['transferKb', 'Transfer size', Math.round(perf.transfer.totalBytes / 1024), ' KB']
+    ];
+    for (const [id, label, actual, unit] of budgets) {
+      if (actual != null) checks.push(countCheck(id, label, actual, thresholds[id], unit));
+    }
+  }
+
+  // The pixel diff carries its own limit (visualDiff.maxMismatch)
+  if (facts.visualDiff) {
+    checks.push({
+      id: 'visualMismatch',
+      label: 'Visual mismatch vs baseline',
+      actual: facts.visualDiff.mismatch_percentage,
+      limit: facts.visualDiff.max_mismatch,
+      severity: facts.visualDiff.status === 'fail' ? 'fail' : 'pass',
+      message: `Visual mismatch vs baseline: ${facts.visualDiff.mismatch_percentage}% (limit ${facts.visualDiff.max_mismatch}%)`
+    });
+  }
+
+  const status = checks.some(check => check.severity === 'fail') ? 'fail'
+    : checks.some(check => check.severity === 'warning') ? 'warning'
+    : 'pass';
+
+  return { status, checks, thresholds };
+}
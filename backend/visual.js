@@ -0,0 +1,76 @@
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+
+// --- VISUAL REGRESSION (Deterministic pixel diff) ---
+// No AI involved: the same two screenshots always produce the same mismatch percentage.
+
+export const VISUAL_DEFAULTS = {
+  threshold: 0.1,    // pixelmatch color sensitivity (0 = exact, 1 = lenient)
+  maxMismatch: 0.5,  // % of differing pixels tolerated before the device fails
+  ignoreRegions: []  // [{ x, y, width, height }] masked out on both images (carousels, dates, ads...)
+};
+
+// Copies a PNG onto a transparent canvas of the given size; the extra area counts as a difference
+function padTo(png, width, height) {
+  if (png.width === width && png.height === height) return png;
+  const canvas = new PNG({ width, height });
+  PNG.bitblt(png, canvas, 0, 0, png.width, png.height, 0, 0);
+  return canvas;
+}
+
+function maskRegions(png, regions) {
+  for (const { x = 0, y = 0, width = 0, height = 0 } of regions) {
+    const x0 = Math.max(0, Math.floor(x));
+    const y0 = Math.max(0, Math.floor(y));
+    const x1 = Math.min(png.width, Math.ceil(x + width));
+    const y1 = Math.min(png.height, Math.ceil(y + height));
+    for (let row = y0; row < y1; row++) {
+      for (let col = x0; col < x1; col++) {
+        const idx = (png.width * row + col) << 2;
+        png.data[idx] = 255;
+        png.data[idx + 1] = 0;
+        png.data[idx + 2] = 255;
+        png.data[idx + 3] = 255;
+      }
+    }
+  }
+}
+
+// Crops (or pads with white) a rendered design so it lines up with a viewport screenshot
+export function fitToViewport(imageBase64, width, height) {
+  const source = PNG.sync.read(Buffer.from(imageBase64, 'base64'));
+  if (source.width === width && source.height === height) return imageBase64;
+
+  const canvas = new PNG({ width, height });
+  canvas.data.fill(255);
+  PNG.bitblt(source, canvas, 0, 0, Math.min(width, source.width), Math.min(height, source.height), 0, 0);
+  return PNG.sync.write(canvas).toString('base64');
+}
+
+export function diffScreenshots(baselineBase64, currentBase64, options = {}) {
+  const { threshold, maxMismatch, ignoreRegions } = { ...VISUAL_DEFAULTS, ...options };
+
+  const baseline = PNG.sync.read(Buffer.from(baselineBase64, 'base64'));
+  const current = PNG.sync.read(Buffer.from(currentBase64, 'base64'));
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+
+  const before = padTo(baseline, width, height);
+  const after = padTo(current, width, height);
+  maskRegions(before, ignoreRegions);
+  maskRegions(after, ignoreRegions);
+
+  const diff = new PNG({ width, height });
+  const mismatchedPixels = pixelmatch(before.data, after.data, diff.data, width, height, { threshold });
+  const mismatchPercentage = Number(((mismatchedPixels / (width * height)) * 100).toFixed(3));
+
+  return {
+    status: mismatchPercentage > maxMismatch ? 'fail' : 'pass',
+    mismatchedPixels,
+    mismatchPercentage,
+    maxMismatch,
+    threshold,
+    sizeChanged: baseline.width !== current.width || baseline.height !== current.height,
+    diffImage: PNG.sync.write(diff).toString('base64')
+  };
+}
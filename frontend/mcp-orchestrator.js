@@ -1,199 +0,0 @@
-/**
- * QA AGENT ORCHESTRATOR CON INTEGRACIÓN MCP (Model Context Protocol)
- * * Este script actúa como un "MCP Host". Su trabajo es:
- * 1. Iniciar los servidores MCP de herramientas (Figma y Playwright).
- * 2. Actuar como puente entre el LLM y estas herramientas.
- * 3. Ejecutar el ciclo de prueba: Ver Diseño -> Navegar Web -> Comparar -> Reportar.
- * * Requisitos previos:
- * - npm install @modelcontextprotocol/sdk zod openai
- * - Servidores MCP locales o configurados (ej. @modelcontextprotocol/server-playwright)
- */
-
-import { Client } from "@modelcontextprotocol/sdk/client/index.js";
-import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
-import { OpenAI } from "openai"; // O tu cliente de preferencia (Anthropic, Google, etc.)
-
-// Configuración de los Servidores MCP
-// En un entorno real, estos serían procesos child o conexiones SSE
-const SERVERS_CONFIG = {
-  figma: {
-    command: "npx",
-    args: ["-y", "@modelcontextprotocol/server-figma"],
-    env: { FIGMA_ACCESS_TOKEN: process.env.FIGMA_TOKEN }
-  },
-  playwright: {
-    command: "npx",
-    args: ["-y", "@modelcontextprotocol/server-playwright"],
-    env: {}
-  }
-};
-
-class QA_Agent {
-  constructor() {
-    this.clients = {};
-    this.llm = new OpenAI({ apiKey: process.env.OPENAI_API_KEY }); // O Gemini
-  }
-
-  /**
-   * Paso 1: Conectar a los Servidores MCP
-   * Establece la comunicación stdio con las herramientas.
-   */
-  async connectTools() {
-    console.log("🔌 Conectando a servidores MCP...");
-
-    for (const [name, config] of Object.entries(SERVERS_CONFIG)) {
-      const transport = new StdioClientTransport({
-        command: config.command,
-        args: config.args,
-        env: { ...process.env, ...config.env }
-      });
-
-      const client = new Client({ name: "qa-agent-host", version: "1.0.0" }, { capabilities: {} });
-      
-      await client.connect(transport);
-      this.clients[name] = client;
-      
-      // Listar herramientas disponibles para verificar conexión
-      const tools = await client.listTools();
-      console.log(`✅ ${name.toUpperCase()} conectado. Herramientas disponibles: ${tools.tools.length}`);
-    }
-  }
-
-  /**
-   * Paso 2: Obtener la "Verdad" desde Figma
-   */
-  async getDesignReference(fileKey, nodeId) {
-    console.log(`🎨 Figma: Obteniendo diseño de referencia...`);
-    
-    // Llamada a herramienta MCP estandarizada
-    const result = await this.clients.figma.callTool({
-      name: "get_node_image", // Nombre hipotético de la herramienta en el servidor MCP de Figma
-      arguments: {
-        file_key: fileKey,
-        node_id: nodeId,
-        format: "png"
-      }
-    });
-
-    return result.content[0].text; // URL o base64 de la imagen
-  }
-
-  /**
-   * Paso 3: Ejecutar pruebas en vivo con Playwright
-   */
-  async runLiveTest(url, instructions) {
-    console.log(`🌐 Playwright: Navegando a ${url}...`);
-
-    // 1. Navegar
-    await this.clients.playwright.callTool({
-      name: "navigate",
-      arguments: { url: url }
-    });
-
-    // 2. Ejecutar lógica del agente (simplificada)
-    // El agente decide qué herramientas llamar basado en las instrucciones
-    console.log(`🤖 Agente ejecutando acciones: ${instructions}`);
-    
-    // Ejemplo: Tomar screenshot para comparación visual
-    const screenshotResult = await this.clients.playwright.callTool({
-      name: "screenshot",
-      arguments: { fullPage: true }
-    });
-
-    // Ejemplo: Obtener accesibilidad tree
-    const a11yResult = await this.clients.playwright.callTool({
-      name: "get_accessibility_snapshot",
-      arguments: {}
-    });
-
-    return {
-      screenshot: screenshotResult.content[0].data, // base64
-      accessibility: a11yResult.content[0].text
-    };
-  }
-
-  /**
-   * Paso 4: El Cerebro (LLM) Analiza
-   * Compara la imagen de Figma con el screenshot de Playwright
-   */
-  async analyzeDiscrepancies(figmaImage, liveData) {
-    console.log("🧠 Analizando discrepancias visuales y funcionales...");
-
-    const prompt = `
-      Actúa como un Ingeniero de QA Senior.
-      
-      CONTEXTO:
-      1. Tienes una imagen del diseño original de Figma (Diseño Esperado).
-      2. Tienes un screenshot del sitio web desarrollado (Resultado Real).
-      3. Tienes el árbol de accesibilidad del sitio.
-
-      TAREA:
-      Compara ambos y genera un reporte JSON estricto.
-      - Identifica diferencias de padding, color, fuentes y alineación.
-      - Verifica si faltan elementos críticos presentes en el diseño.
-      - Evalúa la accesibilidad básica.
-
-      Devuelve solo el JSON.
-    `;
-
-    // Simulamos la llamada multimodal al modelo (GPT-4o o Gemini 1.5 Pro)
-    const response = await this.llm.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        { role: "system", content: prompt },
-        { 
-          role: "user", 
-          content: [
-            { type: "text", text: "Aquí está el diseño de Figma y el screenshot real." },
-            { type: "image_url", image_url: { url: `data:image/png;base64,${figmaImage}` } }, // Figma
-            { type: "image_url", image_url: { url: `data:image/png;base64,${liveData.screenshot}` } } // Playwright
-          ] 
-        }
-      ]
-    });
-
-    return JSON.parse(response.choices[0].message.content);
-  }
-
-  /**
-   * Función Principal: Ejecuta todo el flujo
-   */
-  async executeMission(config) {
-    try {
-      await this.connectTools();
-
-      // 1. Obtener Referencia
-      const designRef = await this.getDesignReference(config.figmaFile, config.figmaNode);
-
-      // 2. Obtener Realidad
-      const liveData = await this.runLiveTest(config.targetUrl, "Verifica el header y el botón principal");
-
-      // 3. Comparar
-      const report = await this.analyzeDiscrepancies(designRef, liveData);
-
-      console.log("\n📋 REPORTE FINAL GENERADO:");
-      console.log(JSON.stringify(report, null, 2));
-
-      return report;
-
-    } catch (error) {
-      console.error("❌ Error en la misión del agente:", error);
-    } finally {
-      // Cerrar conexiones
-      Object.values(this.clients).forEach(c => c.close());
-    }
-  }
-}
-
-// --- Ejecución ---
-
-// Configuración que vendría de tu Frontend (React)
-const missionConfig = {
-  targetUrl: "https://mi-web-a-probar.com",
-  figmaFile: "AbC123XyZ", // ID del archivo Figma
-  figmaNode: "1:24",      // ID del frame a comparar
-};
-
-// Instanciar y correr
-const agent = new QA_Agent();
-// agent.executeMission(missionConfig); // Descomentar para correr
\ No newline at end of file
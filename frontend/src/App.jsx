@@ -1,16 +1,48 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Play, Terminal, CheckCircle, XCircle, AlertTriangle, Loader2, Layout, Smartphone, Tablet, Monitor, SmartphoneCharging, Server, Settings, Figma, Bot, Users } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Play, Terminal, CheckCircle, XCircle, AlertTriangle, Loader2, Layout, Smartphone, Tablet, Monitor, SmartphoneCharging, Server, Settings, Figma, Bot, Users, History, Trash2, GitCompare, Gauge, Network, Globe, Lock, Download, FolderOpen, Save, Plus, X, Wrench, Compass, Camera, FileText } from 'lucide-react';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3000';
 
+const LLM_PROVIDERS = {
+  gemini: { label: 'Google Gemini', models: ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-3-pro-preview'] },
+  openai: { label: 'OpenAI', models: ['gpt-4o', 'gpt-4o-mini'] },
+  anthropic: { label: 'Anthropic', models: ['claude-3-5-sonnet-latest', 'claude-3-5-haiku-latest'] },
+  ollama: { label: 'Ollama (local)', models: ['llava', 'llama3.2-vision'] },
+  lmstudio: { label: 'LM Studio (local)', models: [] },
+  mock: { label: 'Mock (recorded responses)', models: [] }
+};
+const AGENTS = ['architect', 'designer', 'explorer', 'synthesis'];
+const BROWSERS = ['chromium', 'firefox', 'webkit'];
+const THROTTLING_PROFILES = ['none', 'slow-4g', 'fast-3g', 'cpu-4x'];
+const PERFORMANCE_BUDGETS = [
+  { id: 'lcp', label: 'LCP (ms)', placeholder: '4000' },
+  { id: 'cls', label: 'CLS', placeholder: '0.25' },
+  { id: 'tbt', label: 'TBT (ms)', placeholder: '600' },
+  { id: 'transferKb', label: 'Transfer (KB)', placeholder: 'off' }
+];
+
 export default function App() {
-  const [url, setUrl] = useState('https://www.google.com');
+  const [url, setUrl] = useState('');
   
   // Config
   const [figmaToken, setFigmaToken] = useState('');
   const [figmaFile, setFigmaFile] = useState('');
+  const [figmaNode, setFigmaNode] = useState('');
+  const [figmaNodes, setFigmaNodes] = useState({ mobile: '', tablet: '', desktop: '' });
+  const [llmProvider, setLlmProvider] = useState('gemini');
   const [llmModel, setLlmModel] = useState('gemini-2.5-flash');
+  const [agentModels, setAgentModels] = useState({ architect: { provider: '', model: '' }, designer: { provider: '', model: '' }, explorer: { provider: '', model: '' }, synthesis: { provider: '', model: '' } });
+  const [maxMismatch, setMaxMismatch] = useState(0.5);
+  const [ignoreRegions, setIgnoreRegions] = useState('');
+  const [throttling, setThrottling] = useState({ mobile: 'none', tablet: 'none', desktop: 'none' });
+  const [budgets, setBudgets] = useState({ lcp: '', cls: '', tbt: '', transferKb: '' });
   const [showConfig, setShowConfig] = useState(false);
+  const [auth, setAuth] = useState({
+    mode: 'none', project: '', refresh: false, storageState: null,
+    url: '', userSelector: '#email', userValue: 'env:QA_AUTH_USERNAME', passwordSelector: '#password', passwordValue: 'env:QA_AUTH_PASSWORD', submit: 'button[type=submit]', waitFor: ''
+  });
+  const [crawl, setCrawl] = useState({ enabled: false, maxDepth: 2, maxPages: 10, include: '', exclude: '' });
+  const [explore, setExplore] = useState({ enabled: false, maxSteps: 15, timeBudget: 180 });
 
   const [status, setStatus] = useState('idle'); 
   const [logs, setLogs] = useState([]);
@@ -22,18 +54,26 @@ export default function App() {
     tablet: false,
     desktop: true
   });
+  // Playwright device names and custom profiles, on top of the three presets
+  const [extraDevices, setExtraDevices] = useState([]);
+  // Every selected device runs once per browser engine
+  const [selectedBrowsers, setSelectedBrowsers] = useState(['chromium']);
+  const [engine, setEngine] = useState({ name: 'playwright', servers: ['playwright'], maxSteps: 15 });
 
   const consoleEndRef = useRef(null);
 
-  const addLog = (agent, message, type = 'info') => {
+  const logSeq = useRef(0);
+  const eventSourceRef = useRef(null);
+
+  const addLog = useCallback((agent, message, type = 'info', time = new Date()) => {
     setLogs(prev => [...prev, { 
-      id: Date.now(), 
+      id: logSeq.current++, 
       agent, // 'Architect', 'Executor', 'Designer', 'System'
       message, 
       type, 
-      timestamp: new Date().toLocaleTimeString() 
+      timestamp: new Date(time).toLocaleTimeString() 
     }]);
-  };
+  }, []);
 
   useEffect(() => {
     consoleEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -44,81 +84,247 @@ export default function App() {
     setSelectedDevices(prev => ({ ...prev, [device]: !prev[device] }));
   };
 
-  const runTestForDevice = async (device) => {
-    addLog('System', `Initializing Multi-Agent Swarm for: ${device.toUpperCase()}`, 'system');
-    
-    try {
-      // Simulation of agent stages for UI feedback before the big await
-      setTimeout(() => addLog('Executor', 'Navigating to target URL via Playwright...', 'info'), 1000);
-      setTimeout(() => addLog('Architect', 'Analyzing DOM structure for test planning...', 'info'), 4000);
-      if(figmaFile) setTimeout(() => addLog('Designer', 'Fetching Figma original for comparison...', 'info'), 6000);
+  const toggleBrowser = (browser) => {
+    if (status === 'running') return;
+    setSelectedBrowsers(prev => prev.includes(browser) ? prev.filter(name => name !== browser) : BROWSERS.filter(name => name === browser || prev.includes(name)));
+  };
 
-      const response = await fetch(`${API_URL}/api/start-test`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-            url, 
-            devices: [device],
-            figmaToken, 
-            figmaFile,
-            llmModel
-        })
-      });
+  const buildReport = useCallback((mission) => {
+    const results = (mission.result?.results || []).map(data => ({
+        device: data.device,
+        browser: data.browser || null,
+        status: data.status,
+        analysis: data.analysis,
+        issues: data.issues || [],
+        testPlan: data.test_plan || [],
+        figmaComparison: data.figma_analysis || "Not compared",
+        visualDiff: data.visual_diff || null,
+        designTokens: data.design_tokens || null,
+        synthesisFallback: !!data.synthesis_fallback,
+        verdict: data.verdict || null,
+        accessibility: data.accessibility || null,
+        performance: data.performance || null,
+        network: data.network || null,
+        failedRequests: data.failed_requests || [],
+        redirects: data.redirects || [],
+        consoleLogs: data.console_logs || [],
+        screenshot: data.screenshot || null,
+        screenshotMimeType: data.screenshot_mime_type || null,
+        figmaImage: data.figma_image || null,
+        links: data.links || null,
+        har: data.har || null,
+        url: data.url || mission.config?.url,
+        profile: data.profile || null,
+        exploration: data.exploration || null
+    }));
 
-      if (!response.ok) throw new Error('Server response error');
+    return {
+        missionId: mission.id,
+        model: mission.config?.llm ? [mission.config.llm.provider, mission.config.llm.model].filter(Boolean).join(' · ') : mission.config?.llmModel,
+        score: results.length ? results.filter(r => r.status === 'pass').length / results.length * 100 : 0,
+        status: mission.result?.status,
+        analysis: mission.result?.analysis,
+        crossDeviceIssues: mission.result?.cross_device_issues || [],
+        siteIssues: mission.result?.site_issues || [],
+        site: mission.result?.site || null,
+        compatibility: mission.result?.compatibility || null,
+        results: results
+    };
+  }, []);
 
+  const finishMission = useCallback(async (missionId) => {
+    try {
+      const response = await fetch(`${API_URL}/api/missions/${missionId}`);
       const result = await response.json();
-      
-      if (result.success && result.data) {
-        const data = result.data;
-        addLog('System', `Mission Complete. Status: ${data.status.toUpperCase()}`, data.status === 'fail' ? 'error' : 'success');
-        
-        return {
-            device: device,
-            status: data.status,
-            analysis: data.analysis,
-            issues: data.issues || [],
-            testPlan: data.test_plan || [],
-            figmaComparison: data.figma_analysis || "Not compared"
-        };
-      } else {
-        throw new Error(result.error || 'Unknown failure');
-      }
+      if (!result.success) throw new Error(result.error || 'Unknown failure');
+
+      const mission = result.data;
+      if (mission.status === 'failed') throw new Error(mission.error);
 
+      setReport(buildReport(mission));
+      setActiveTab('report');
     } catch (error) {
       addLog('System', `❌ Mission Failed: ${error.message}`, 'error');
-      return { device, status: 'error', analysis: error.message, issues: ['Agent Error'] };
     }
+    setStatus('finished');
+  }, [addLog, buildReport]);
+
+  // Streams the real agent events of a mission; replays past events first, so it also restores a refreshed page
+  const followMission = useCallback((missionId) => {
+    eventSourceRef.current?.close();
+    setLogs([]);
+
+    const source = new EventSource(`${API_URL}/api/missions/${missionId}/events`);
+    eventSourceRef.current = source;
+
+    source.onmessage = (e) => {
+      const event = JSON.parse(e.data);
+      addLog(event.agent, event.page ? `[${new URL(event.page).pathname}] ${event.message}` : event.message, event.type, event.timestamp);
+    };
+    source.addEventListener('end', () => {
+      source.close();
+      finishMission(missionId);
+    });
+  }, [addLog, finishMission]);
+
+  // Resume the last mission after a browser refresh
+  useEffect(() => {
+    const missionId = localStorage.getItem('missionId');
+    if (!missionId) return;
+
+    fetch(`${API_URL}/api/missions/${missionId}`)
+      .then(response => response.json())
+      .then(result => {
+        if (!result.success) {
+          localStorage.removeItem('missionId');
+          return;
+        }
+        setStatus(result.data.status === 'running' || result.data.status === 'queued' ? 'running' : 'finished');
+        followMission(missionId);
+      })
+      .catch(() => localStorage.removeItem('missionId'));
+
+    return () => eventSourceRef.current?.close();
+  }, [followMission]);
+
+  const openArchivedMission = (mission) => {
+    setReport(buildReport(mission));
+    setActiveTab('report');
   };
 
-  const startTest = async () => {
-    const devicesToRun = Object.keys(selectedDevices).filter(k => selectedDevices[k]);
+  // Options shared by single-URL missions and saved projects; null (after an alert) when the form is invalid
+  const formOptions = () => {
+    const devicesToRun = [...Object.keys(selectedDevices).filter(k => selectedDevices[k]), ...extraDevices];
     if (devicesToRun.length === 0) {
       alert("Select at least one device");
-      return;
+      return null;
+    }
+    if (selectedBrowsers.length === 0) {
+      alert("Select at least one browser");
+      return null;
+    }
+
+    let regions = [];
+    try {
+      regions = ignoreRegions.trim() ? JSON.parse(ignoreRegions) : [];
+    } catch (e) {
+      alert("Ignore regions must be a JSON array like [{\"x\":0,\"y\":0,\"width\":300,\"height\":80}]");
+      return null;
+    }
+
+    if (auth.mode === 'storageState' && !auth.storageState) {
+      alert("Upload a Playwright storageState JSON file");
+      return null;
+    }
+
+    return {
+        devices: devicesToRun,
+        browsers: selectedBrowsers,
+        figmaFile,
+        llm: {
+            provider: llmProvider,
+            model: llmModel || undefined,
+            agents: Object.fromEntries(AGENTS
+                .filter(agent => agentModels[agent].provider || agentModels[agent].model)
+                .map(agent => [agent, { provider: agentModels[agent].provider || llmProvider, model: agentModels[agent].model || undefined }]))
+        },
+        visualDiff: { maxMismatch: Number(maxMismatch), ignoreRegions: regions },
+        explore: explore.enabled ? { maxSteps: Number(explore.maxSteps), timeBudget: Number(explore.timeBudget) } : undefined,
+        throttling: Object.fromEntries(Object.entries(throttling).filter(([, profile]) => profile !== 'none')),
+        // Budgets set here are failure limits; the warning levels keep the server defaults
+        thresholds: Object.fromEntries(Object.entries(budgets).filter(([, value]) => value !== '').map(([id, value]) => [id, { fail: Number(value) }]))
+    };
+  };
+
+  // A project stores the form as it is; uploaded sessions stay per run
+  const projectSettings = () => {
+    const options = formOptions();
+    if (!options) return null;
+    return { ...options, baseUrl: url, auth: auth.mode === 'login' ? buildAuth(auth) : undefined };
+  };
+
+  // Stable, so ProjectsPanel can restore the last project once on mount
+  const applyProject = useCallback((project) => {
+    const devices = project.devices || ['desktop'];
+    setUrl(project.baseUrl);
+    setSelectedDevices({ mobile: devices.includes('mobile'), tablet: devices.includes('tablet'), desktop: devices.includes('desktop') });
+    setExtraDevices(devices.filter(device => !['mobile', 'tablet', 'desktop'].includes(device)));
+    setSelectedBrowsers(project.browsers || ['chromium']);
+    setFigmaFile(project.figmaFile || '');
+    if (project.llm) {
+      setLlmProvider(project.llm.provider || 'gemini');
+      setLlmModel(project.llm.model || '');
+      setAgentModels(Object.fromEntries(AGENTS.map(agent => [agent, { provider: project.llm.agents?.[agent]?.provider || '', model: project.llm.agents?.[agent]?.model || '' }])));
     }
+    setExplore(project.explore ? { enabled: true, maxSteps: project.explore.maxSteps ?? 15, timeBudget: project.explore.timeBudget ?? 180 } : prev => ({ ...prev, enabled: false }));
+    setMaxMismatch(project.visualDiff?.maxMismatch ?? 0.5);
+    setIgnoreRegions(project.visualDiff?.ignoreRegions?.length ? JSON.stringify(project.visualDiff.ignoreRegions) : '');
+    const profiles = typeof project.throttling === 'string'
+      ? Object.fromEntries(['mobile', 'tablet', 'desktop'].map(device => [device, project.throttling]))
+      : project.throttling;
+    setThrottling({ mobile: 'none', tablet: 'none', desktop: 'none', ...profiles });
+    setBudgets(Object.fromEntries(PERFORMANCE_BUDGETS.map(budget => [budget.id, project.thresholds?.[budget.id]?.fail ?? ''])));
+    setAuth(prev => authForm(project.auth, prev));
+  }, []);
 
+  const launchMission = async (path, body) => {
     setStatus('running');
     setLogs([]);
     setReport(null);
     setActiveTab('console');
-    
-    const results = [];
 
-    for (const device of devicesToRun) {
-      const result = await runTestForDevice(device);
-      results.push(result);
+    try {
+      const response = await fetch(`${API_URL}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      const result = await response.json();
+      if (!response.ok || !result.success) throw new Error(result.error || 'Server response error');
+
+      localStorage.setItem('missionId', result.data.id);
+      followMission(result.data.id);
+    } catch (error) {
+      addLog('System', `❌ Mission Failed: ${error.message}`, 'error');
+      setStatus('finished');
     }
+  };
 
-    setStatus('finished');
-    
-    const finalReport = {
-        score: results.filter(r => r.status === 'pass').length / results.length * 100,
-        results: results
-    };
-    
-    setReport(finalReport);
-    setActiveTab('report');
+  const startTest = () => {
+    const options = formOptions();
+    if (!options) return;
+
+    launchMission('/api/missions', {
+        url,
+        ...options,
+        figmaToken,
+        figmaNode: figmaNode || undefined,
+        figmaNodes: Object.fromEntries(Object.entries(figmaNodes).filter(([, node]) => node)),
+        auth: buildAuth(auth),
+        // The MCP tool servers bring their own browser
+        browsers: engine.name === 'mcp' ? undefined : options.browsers,
+        engine: engine.name,
+        mcp: engine.name === 'mcp' ? { servers: engine.servers, maxSteps: Number(engine.maxSteps) } : undefined,
+        crawl: crawl.enabled ? {
+            maxDepth: Number(crawl.maxDepth),
+            maxPages: Number(crawl.maxPages),
+            include: splitPatterns(crawl.include),
+            exclude: splitPatterns(crawl.exclude)
+        } : undefined
+    });
+  };
+
+  // The suite runs the saved project; only the secrets of this browser session travel with the run
+  const runProject = (project) => {
+    if (auth.mode === 'storageState' && !auth.storageState) {
+      alert("Upload a Playwright storageState JSON file");
+      return;
+    }
+    launchMission(`/api/projects/${project.id}/run`, {
+        figmaToken,
+        auth: auth.mode === 'storageState' ? buildAuth(auth) : undefined
+    });
   };
 
   return (
@@ -156,19 +362,59 @@ export default function App() {
                     <h3 className="text-sm font-bold text-blue-400 mb-3 flex items-center gap-2">
                         <Bot size={16}/> AI Model
                     </h3>
-                    <select 
-                        value={llmModel}
-                        onChange={(e) => setLlmModel(e.target.value)}
-                        className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm text-white focus:border-blue-500 outline-none appearance-none cursor-pointer hover:bg-slate-900 transition-colors"
-                    >
-                        <option value="gemini-2.5-flash">Gemini 2.5 Flash</option>
-                        <option value="gemini-2.5-pro">Gemini 2.5 Pro</option>
-                        <option value="gemini-3-pro-preview">Gemini 3 Pro (Preview)</option>
-                    </select>
+                    <div className="grid grid-cols-2 gap-2">
+                        <select 
+                            value={llmProvider}
+                            onChange={(e) => { setLlmProvider(e.target.value); setLlmModel(LLM_PROVIDERS[e.target.value].models[0] || ''); }}
+                            className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm text-white focus:border-blue-500 outline-none appearance-none cursor-pointer hover:bg-slate-900 transition-colors"
+                        >
+                            {Object.entries(LLM_PROVIDERS).map(([key, p]) => <option key={key} value={key}>{p.label}</option>)}
+                        </select>
+                        <input 
+                            type="text" 
+                            list="llm-models"
+                            placeholder="Model (provider default)"
+                            value={llmModel}
+                            onChange={(e) => setLlmModel(e.target.value)}
+                            className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm focus:border-blue-500 outline-none placeholder:text-slate-600"
+                        />
+                        <datalist id="llm-models">
+                            {LLM_PROVIDERS[llmProvider].models.map(m => <option key={m} value={m} />)}
+                        </datalist>
+                    </div>
+                    <details className="mt-3">
+                        <summary className="text-xs text-slate-500 cursor-pointer">Per-agent overrides</summary>
+                        <div className="space-y-2 mt-2">
+                            {AGENTS.map(agent => (
+                                <div key={agent} className="grid grid-cols-3 gap-2 items-center">
+                                    <span className="text-xs text-slate-400 capitalize">{agent}</span>
+                                    <select 
+                                        value={agentModels[agent].provider}
+                                        onChange={(e) => setAgentModels(prev => ({ ...prev, [agent]: { ...prev[agent], provider: e.target.value } }))}
+                                        className="bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs text-white outline-none"
+                                    >
+                                        <option value="">(mission)</option>
+                                        {Object.entries(LLM_PROVIDERS).map(([key, p]) => <option key={key} value={key}>{p.label}</option>)}
+                                    </select>
+                                    <input 
+                                        type="text" 
+                                        placeholder="model"
+                                        value={agentModels[agent].model}
+                                        onChange={(e) => setAgentModels(prev => ({ ...prev, [agent]: { ...prev[agent], model: e.target.value } }))}
+                                        className="bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs outline-none placeholder:text-slate-600"
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                    </details>
                 </div>
 
                 <div className="border-t border-slate-800"></div>
 
+                <EngineSettings engine={engine} onChange={setEngine} disabled={status === 'running'} />
+
+                <div className="border-t border-slate-800"></div>
+
                 <div>
                     <h3 className="text-sm font-bold text-purple-400 mb-3 flex items-center gap-2">
                         <Figma size={16}/> Figma Integration
@@ -194,21 +440,219 @@ export default function App() {
                                 className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm focus:border-blue-500 outline-none"
                             />
                         </div>
+                        <div>
+                            <label className="block text-xs text-slate-500 mb-1">Frame Node ID</label>
+                            <input 
+                                type="text" 
+                                placeholder="e.g. 1:24 (whole-file thumbnail if empty)"
+                                value={figmaNode}
+                                onChange={e => setFigmaNode(e.target.value)}
+                                className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm focus:border-blue-500 outline-none placeholder:text-slate-600"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs text-slate-500 mb-1">Node per device (overrides the frame above)</label>
+                            <div className="grid grid-cols-3 gap-2">
+                                {Object.keys(figmaNodes).map(device => (
+                                    <input 
+                                        key={device}
+                                        type="text" 
+                                        placeholder={device}
+                                        value={figmaNodes[device]}
+                                        onChange={e => setFigmaNodes(prev => ({ ...prev, [device]: e.target.value }))}
+                                        className="w-full bg-slate-950 border border-slate-800 rounded px-2 py-2 text-xs focus:border-blue-500 outline-none placeholder:text-slate-600"
+                                    />
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <div className="border-t border-slate-800"></div>
+
+                <div>
+                    <h3 className="text-sm font-bold text-rose-400 mb-3 flex items-center gap-2">
+                        <Lock size={16}/> Authentication
+                    </h3>
+                    <div className="space-y-3">
+                        <select
+                            value={auth.mode}
+                            onChange={e => setAuth(prev => ({ ...prev, mode: e.target.value }))}
+                            className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm focus:border-blue-500 outline-none"
+                        >
+                            <option value="none">No login</option>
+                            <option value="login">Login recipe</option>
+                            <option value="storageState">Upload storageState</option>
+                        </select>
+                        {auth.mode === 'login' && (
+                            <>
+                                <input type="text" placeholder="Login page URL" value={auth.url} onChange={e => setAuth(prev => ({ ...prev, url: e.target.value }))} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm focus:border-blue-500 outline-none placeholder:text-slate-600" />
+                                <div className="grid grid-cols-2 gap-2">
+                                    <input type="text" title="Username field selector" value={auth.userSelector} onChange={e => setAuth(prev => ({ ...prev, userSelector: e.target.value }))} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-xs font-mono focus:border-blue-500 outline-none" />
+                                    <input type="text" title="Username reference (env:QA_AUTH_NAME or secret:NAME)" value={auth.userValue} onChange={e => setAuth(prev => ({ ...prev, userValue: e.target.value }))} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-xs font-mono focus:border-blue-500 outline-none" />
+                                    <input type="text" title="Password field selector" value={auth.passwordSelector} onChange={e => setAuth(prev => ({ ...prev, passwordSelector: e.target.value }))} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-xs font-mono focus:border-blue-500 outline-none" />
+                                    <input type="text" title="Password reference (env:QA_AUTH_NAME or secret:NAME)" value={auth.passwordValue} onChange={e => setAuth(prev => ({ ...prev, passwordValue: e.target.value }))} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-xs font-mono focus:border-blue-500 outline-none" />
+                                    <input type="text" placeholder="Submit selector" value={auth.submit} onChange={e => setAuth(prev => ({ ...prev, submit: e.target.value }))} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-xs font-mono focus:border-blue-500 outline-none placeholder:text-slate-600" />
+                                    <input type="text" placeholder="Logged-in selector (optional)" value={auth.waitFor} onChange={e => setAuth(prev => ({ ...prev, waitFor: e.target.value }))} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-xs font-mono focus:border-blue-500 outline-none placeholder:text-slate-600" />
+                                </div>
+                                <p className="text-[10px] text-slate-500">Credentials are references the backend resolves: env:QA_AUTH_* or secret:NAME.</p>
+                                <input type="text" placeholder="Project (session cache key)" value={auth.project} onChange={e => setAuth(prev => ({ ...prev, project: e.target.value }))} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm focus:border-blue-500 outline-none placeholder:text-slate-600" />
+                                <label className="flex items-center gap-2 text-xs text-slate-400">
+                                    <input type="checkbox" checked={auth.refresh} onChange={e => setAuth(prev => ({ ...prev, refresh: e.target.checked }))} />
+                                    Log in again (ignore the cached session)
+                                </label>
+                            </>
+                        )}
+                        {auth.mode === 'storageState' && (
+                            <div>
+                                <input
+                                    type="file"
+                                    accept="application/json,.json"
+                                    onChange={async e => {
+                                        const file = e.target.files[0];
+                                        if (!file) return;
+                                        try {
+                                            const storageState = JSON.parse(await file.text());
+                                            setAuth(prev => ({ ...prev, storageState }));
+                                        } catch (err) {
+                                            alert(`Invalid storageState JSON: ${err.message}`);
+                                        }
+                                    }}
+                                    className="w-full text-xs text-slate-400"
+                                />
+                                {auth.storageState && <p className="text-[10px] text-slate-500 mt-1">{(auth.storageState.cookies || []).length} cookies loaded</p>}
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                <div className="border-t border-slate-800"></div>
+
+                <div>
+                    <h3 className="text-sm font-bold text-emerald-400 mb-3 flex items-center gap-2">
+                        <GitCompare size={16}/> Visual Regression
+                    </h3>
+                    <div className="space-y-3">
+                        <div>
+                            <label className="block text-xs text-slate-500 mb-1">Max pixel mismatch (%)</label>
+                            <input 
+                                type="number" 
+                                min="0"
+                                step="0.1"
+                                value={maxMismatch}
+                                onChange={e => setMaxMismatch(e.target.value)}
+                                className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm focus:border-blue-500 outline-none"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-xs text-slate-500 mb-1">Ignore regions (JSON)</label>
+                            <textarea 
+                                rows={2}
+                                placeholder='[{"x":0,"y":0,"width":300,"height":80}]'
+                                value={ignoreRegions}
+                                onChange={e => setIgnoreRegions(e.target.value)}
+                                className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-xs font-mono focus:border-blue-500 outline-none placeholder:text-slate-600"
+                            />
+                        </div>
+                    </div>
+                </div>
+
+                <div className="border-t border-slate-800"></div>
+
+                <div>
+                    <h3 className="text-sm font-bold text-orange-400 mb-3 flex items-center gap-2">
+                        <Gauge size={16}/> Performance
+                    </h3>
+                    <div className="space-y-3">
+                        <div>
+                            <label className="block text-xs text-slate-500 mb-1">Network/CPU throttling per device</label>
+                            <div className="grid grid-cols-3 gap-2">
+                                {Object.keys(throttling).map(device => (
+                                    <select
+                                        key={device}
+                                        title={device}
+                                        value={throttling[device]}
+                                        onChange={e => setThrottling(prev => ({ ...prev, [device]: e.target.value }))}
+                                        className="w-full bg-slate-950 border border-slate-800 rounded px-2 py-2 text-xs focus:border-blue-500 outline-none capitalize"
+                                    >
+                                        {THROTTLING_PROFILES.map(profile => <option key={profile} value={profile}>{device}: {profile}</option>)}
+                                    </select>
+                                ))}
+                            </div>
+                        </div>
+                        <div>
+                            <label className="block text-xs text-slate-500 mb-1">Budgets (fail above, empty = default)</label>
+                            <div className="grid grid-cols-2 gap-2">
+                                {PERFORMANCE_BUDGETS.map(budget => (
+                                    <input
+                                        key={budget.id}
+                                        type="number"
+                                        min="0"
+                                        step="any"
+                                        title={budget.label}
+                                        placeholder={`${budget.label}: ${budget.placeholder}`}
+                                        value={budgets[budget.id]}
+                                        onChange={e => setBudgets(prev => ({ ...prev, [budget.id]: e.target.value }))}
+                                        className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-xs focus:border-blue-500 outline-none placeholder:text-slate-600"
+                                    />
+                                ))}
+                            </div>
+                        </div>
                     </div>
                 </div>
              </div>
           )}
 
+          <ProjectsPanel disabled={status === 'running'} getSettings={projectSettings} onSelect={applyProject} onRun={runProject} />
+
           <div className="bg-slate-900 border border-slate-800 rounded-xl p-5 shadow-xl">
             <label className="block text-xs font-bold text-slate-500 uppercase mb-3">Target (URL)</label>
             <input 
               type="text" 
+              placeholder="https://example.com"
               value={url}
               onChange={(e) => setUrl(e.target.value)}
               disabled={status === 'running'}
-              className="w-full bg-slate-950 border border-slate-700 rounded-lg px-4 py-3 text-white focus:outline-none focus:ring-2 focus:ring-blue-500 mb-6"
+              className="w-full bg-slate-950 border border-slate-700 rounded-lg px-4 py-3 text-white focus:outline-none focus:ring-2 focus:ring-blue-500 mb-4"
             />
 
+            <div className="mb-6 space-y-2">
+              <label className="flex items-center gap-2 text-sm text-slate-400 cursor-pointer">
+                <input type="checkbox" checked={crawl.enabled} disabled={status === 'running'} onChange={e => setCrawl(prev => ({ ...prev, enabled: e.target.checked }))} />
+                <Globe size={14}/> Crawl the site (same-origin links)
+              </label>
+              {crawl.enabled && (
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <label className="block text-xs text-slate-500 mb-1">Max depth</label>
+                    <input type="number" min="0" value={crawl.maxDepth} onChange={e => setCrawl(prev => ({ ...prev, maxDepth: e.target.value }))} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm focus:border-blue-500 outline-none" />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-slate-500 mb-1">Max pages</label>
+                    <input type="number" min="1" value={crawl.maxPages} onChange={e => setCrawl(prev => ({ ...prev, maxPages: e.target.value }))} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm focus:border-blue-500 outline-none" />
+                  </div>
+                  <input type="text" placeholder="Include: /blog/*, /pricing" value={crawl.include} onChange={e => setCrawl(prev => ({ ...prev, include: e.target.value }))} className="col-span-2 w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-xs focus:border-blue-500 outline-none placeholder:text-slate-600" />
+                  <input type="text" placeholder="Exclude: /admin*, *?page=*" value={crawl.exclude} onChange={e => setCrawl(prev => ({ ...prev, exclude: e.target.value }))} className="col-span-2 w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-xs focus:border-blue-500 outline-none placeholder:text-slate-600" />
+                </div>
+              )}
+              <label className="flex items-center gap-2 text-sm text-slate-400 cursor-pointer">
+                <input type="checkbox" checked={explore.enabled} disabled={status === 'running'} onChange={e => setExplore(prev => ({ ...prev, enabled: e.target.checked }))} />
+                <Compass size={14}/> Exploratory mode (AI clicks through the page)
+              </label>
+              {explore.enabled && (
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <label className="block text-xs text-slate-500 mb-1">Max steps</label>
+                    <input type="number" min="1" max="50" value={explore.maxSteps} onChange={e => setExplore(prev => ({ ...prev, maxSteps: e.target.value }))} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm focus:border-blue-500 outline-none" />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-slate-500 mb-1">Time budget (s)</label>
+                    <input type="number" min="1" max="900" value={explore.timeBudget} onChange={e => setExplore(prev => ({ ...prev, timeBudget: e.target.value }))} className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm focus:border-blue-500 outline-none" />
+                  </div>
+                </div>
+              )}
+            </div>
+
             <div className="space-y-3 mb-6">
               <p className="text-sm text-slate-400">Devices:</p>
               <div className="grid grid-cols-3 gap-2">
@@ -216,6 +660,15 @@ export default function App() {
                 <DeviceSelector selected={selectedDevices.tablet} onClick={() => toggleDevice('tablet')} icon={<Tablet size={20}/>} label="Tablet" />
                 <DeviceSelector selected={selectedDevices.desktop} onClick={() => toggleDevice('desktop')} icon={<Monitor size={20}/>} label="Desktop" />
               </div>
+              <ExtraDevices devices={extraDevices} onChange={setExtraDevices} disabled={status === 'running'} />
+              <p className="text-sm text-slate-400">Browsers:</p>
+              <div className="grid grid-cols-3 gap-2">
+                {BROWSERS.map(browser => (
+                  <button key={browser} onClick={() => toggleBrowser(browser)} className={`py-2 rounded-lg border text-xs font-medium capitalize transition-all ${selectedBrowsers.includes(browser) ? 'bg-blue-600 border-blue-500 text-white' : 'bg-slate-950 border-slate-800 text-slate-500 hover:border-slate-600'}`}>
+                    {browser}
+                  </button>
+                ))}
+              </div>
             </div>
             
             <button 
@@ -236,6 +689,9 @@ export default function App() {
             <button onClick={() => setActiveTab('report')} disabled={!report} className={`px-6 py-3 text-sm font-medium flex items-center gap-2 transition-colors ${activeTab === 'report' ? 'text-blue-400 border-b-2 border-blue-400 bg-slate-800/50' : 'text-slate-500 hover:text-slate-300 disabled:opacity-30'}`}>
               <Layout className="w-4 h-4" /> Final Report
             </button>
+            <button onClick={() => setActiveTab('history')} className={`px-6 py-3 text-sm font-medium flex items-center gap-2 transition-colors ${activeTab === 'history' ? 'text-blue-400 border-b-2 border-blue-400 bg-slate-800/50' : 'text-slate-500 hover:text-slate-300'}`}>
+              <History className="w-4 h-4" /> History
+            </button>
           </div>
 
           <div className="flex-1 overflow-y-auto p-0 custom-scrollbar relative">
@@ -256,14 +712,51 @@ export default function App() {
 
             {activeTab === 'report' && report && (
               <div className="p-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
-                <h2 className="text-xl font-bold text-white mb-6">Mission Report: {llmModel}</h2>
+                <div className="flex items-center justify-between mb-6">
+                    <h2 className="text-xl font-bold text-white">Mission Report: {report.model || llmModel}</h2>
+                    {report.results.some(r => r.testPlan.length > 0) && (
+                        <a href={`${API_URL}/api/history/${report.missionId}/export/playwright`} className="text-xs px-3 py-2 rounded bg-slate-800 text-slate-300 hover:text-white flex items-center gap-2">
+                            <Download size={14}/> Export Playwright spec
+                        </a>
+                    )}
+                </div>
+                {report.missionId && <ArtifactsPanel key={report.missionId} missionId={report.missionId} />}
+                {report.results.length > 1 && (
+                    <div className="bg-slate-950 border border-slate-800 rounded-lg p-4 mb-6 space-y-3">
+                        <div className="flex items-center gap-2">
+                            <span className="font-bold text-white">{report.site ? 'Site Summary' : 'Cross-Device Summary'}</span>
+                            {report.status && <span className={`text-xs px-2 py-1 rounded ${report.status === 'pass' ? 'bg-emerald-900/30 text-emerald-400' : 'bg-amber-900/30 text-amber-400'}`}>{report.status.toUpperCase()}</span>}
+                        </div>
+                        {report.analysis && <p className="text-slate-300 text-sm">{report.analysis}</p>}
+                        {report.siteIssues.length > 0 && (
+                            <ul className="space-y-1">
+                                {report.siteIssues.map((issue, i) => (
+                                    <li key={i} className="text-xs text-red-400 flex gap-2"><AlertTriangle size={12} className="shrink-0" /> {issue}</li>
+                                ))}
+                            </ul>
+                        )}
+                        {report.crossDeviceIssues.length > 0 && (
+                            <ul className="space-y-1">
+                                {report.crossDeviceIssues.map((issue, i) => (
+                                    <li key={i} className="text-xs text-amber-400 flex gap-2"><AlertTriangle size={12} className="shrink-0" /> {issue}</li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+                {report.site && <SitePanel site={report.site} />}
+                {report.compatibility && <CompatibilityPanel compatibility={report.compatibility} />}
                 <div className="space-y-6">
                     {report.results.map((r, idx) => (
                         <div key={idx} className="bg-slate-950 border border-slate-800 rounded-lg overflow-hidden">
                             <div className="p-4 bg-slate-900/50 border-b border-slate-800 flex justify-between items-center">
                                 <div className="flex items-center gap-2">
                                     <span className="font-bold text-lg capitalize text-white">{r.device}</span>
+                                    {r.browser && (report.compatibility || r.browser !== 'chromium') && <span className="text-xs px-2 py-1 rounded bg-slate-800 text-slate-300 capitalize">{r.browser}</span>}
+                                    {r.profile && <span className="text-xs text-slate-500" title={r.profile.userAgent || ''}>{r.profile.label}</span>}
+                                    {report.site && <span className="text-sm text-slate-400 font-mono">{new URL(r.url).pathname}</span>}
                                     <span className={`text-xs px-2 py-1 rounded ${r.status === 'pass' ? 'bg-emerald-900/30 text-emerald-400' : 'bg-amber-900/30 text-amber-400'}`}>{r.status.toUpperCase()}</span>
+                                    {r.synthesisFallback && <span className="text-xs px-2 py-1 rounded bg-slate-800 text-slate-400" title="The AI never returned a valid report; this one is built from the collected facts">AI FALLBACK</span>}
                                 </div>
                             </div>
                             
@@ -274,6 +767,39 @@ export default function App() {
                                     <p className="text-slate-300 text-sm">{r.analysis}</p>
                                 </div>
 
+                                {/* Screenshots: live page, Figma, baseline and diff */}
+                                <ScreenshotCompare result={r} missionId={report.missionId} />
+
+                                {/* Verdict Checks */}
+                                {r.verdict && (
+                                    <div>
+                                        <h4 className="text-xs uppercase font-bold text-slate-500 mb-2">Verdict Checks</h4>
+                                        <ul className="grid grid-cols-1 md:grid-cols-2 gap-1">
+                                            {r.verdict.checks.map(check => (
+                                                <li key={check.id} className="text-xs text-slate-300 flex gap-2 items-center">
+                                                    <StepStatusIcon status={check.severity === 'warning' ? 'warning' : check.severity} />
+                                                    {check.message}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
+
+                                {/* Accessibility */}
+                                {r.accessibility && <AccessibilityPanel accessibility={r.accessibility} />}
+
+                                {/* Performance */}
+                                {r.performance && <PerformancePanel performance={r.performance} checks={r.verdict?.checks || []} />}
+
+                                {/* Console */}
+                                {r.status !== 'error' && <ConsolePanel logs={r.consoleLogs} />}
+
+                                {/* Network */}
+                                {r.network && <NetworkPanel result={r} missionId={report.missionId} />}
+
+                                {/* Exploration */}
+                                {r.exploration && <ExplorationPanel exploration={r.exploration} missionId={report.missionId} />}
+
                                 {/* Figma Comparison */}
                                 {r.figmaComparison && r.figmaComparison !== "Not compared" && (
                                     <div className="bg-purple-900/10 border border-purple-900/30 p-3 rounded">
@@ -282,19 +808,51 @@ export default function App() {
                                     </div>
                                 )}
 
+                                {/* Design Tokens */}
+                                {r.designTokens && (
+                                    <div className="bg-purple-900/10 border border-purple-900/30 p-3 rounded">
+                                        <h4 className="text-xs uppercase font-bold text-purple-400 mb-2 flex items-center gap-2"><Figma size={12}/> Design Tokens</h4>
+                                        <p className="text-xs text-slate-500 mb-2">{r.designTokens.checked} elements matched by text, {r.designTokens.unmatched} Figma layers not found on the page</p>
+                                        {r.designTokens.mismatches.length === 0 ? (
+                                            <p className="text-sm text-emerald-400">Colors, typography and spacing match the Figma styles.</p>
+                                        ) : (
+                                            <table className="w-full text-xs">
+                                                <thead>
+                                                    <tr className="text-slate-500 text-left">
+                                                        <th className="font-medium pb-1">Element</th>
+                                                        <th className="font-medium pb-1">Property</th>
+                                                        <th className="font-medium pb-1">Actual</th>
+                                                        <th className="font-medium pb-1">Expected</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {r.designTokens.mismatches.map((m, i) => (
+                                                        <tr key={i} className="text-slate-300 border-t border-slate-800">
+                                                            <td className="py-1 pr-2 font-mono">{m.element}</td>
+                                                            <td className="py-1 pr-2">{m.property}</td>
+                                                            <td className="py-1 pr-2 text-red-400 font-mono">{m.actual}</td>
+                                                            <td className="py-1 font-mono text-emerald-400">{m.expected}</td>
+                                                        </tr>
+                                                    ))}
+                                                </tbody>
+                                            </table>
+                                        )}
+                                    </div>
+                                )}
+
+                                {/* Visual Regression */}
+                                <VisualDiffPanel result={r} missionId={report.missionId} />
+
                                 {/* Test Plan */}
                                 {r.testPlan && r.testPlan.length > 0 && (
                                     <div>
-                                        <h4 className="text-xs uppercase font-bold text-blue-400 mb-2 flex items-center gap-2"><Terminal size={12}/> Executed Test Plan</h4>
-                                        <ul className="space-y-1">
-                                            {r.testPlan.map((step, i) => (
-                                                <li key={i} className="text-xs text-slate-400 flex gap-2">
-                                                    <span className="text-blue-500 font-mono">{step.id}.</span> 
-                                                    <span className="text-slate-300">{step.action}</span>
-                                                    <span className="text-slate-500 italic">&rarr; {step.expectation}</span>
-                                                </li>
-                                            ))}
-                                        </ul>
+                                        <h4 className="text-xs uppercase font-bold text-blue-400 mb-2 flex items-center gap-2">
+                                            <Terminal size={12}/> Executed Test Plan
+                                            <a href={`${API_URL}/api/history/${report.missionId}/export/playwright?device=${encodeURIComponent(r.device)}${r.browser ? `&browser=${r.browser}` : ''}`} className="ml-auto normal-case font-normal text-slate-500 hover:text-white flex items-center gap-1">
+                                                <Download size={12}/> .spec.ts
+                                            </a>
+                                        </h4>
+                                        <StepEvidence steps={r.testPlan} missionId={report.missionId} />
                                     </div>
                                 )}
                             </div>
@@ -303,6 +861,8 @@ export default function App() {
                 </div>
               </div>
             )}
+
+            {activeTab === 'history' && <HistoryPanel onOpen={openArchivedMission} />}
           </div>
         </div>
       </main>
@@ -310,10 +870,1091 @@ export default function App() {
   );
 }
 
+// Live reports carry base64 screenshots (PNG unless an MCP server sent another format),
+// archived ones carry file names served by the history API
+function screenshotSrc(value, missionId, mimeType) {
+  return /\.(png|jpg|webp)$/.test(value) ? `${API_URL}/api/history/${missionId}/files/${value}` : `data:${mimeType || 'image/png'};base64,${value}`;
+}
+
+// Live page next to its references (Figma frame, approved baseline, pixel diff), and a slider that wipes
+// from the live page to one reference at the same width
+function ScreenshotCompare({ result, missionId }) {
+  const [overlayId, setOverlayId] = useState(null);
+  const [position, setPosition] = useState(50);
+  if (!result.screenshot) return null;
+
+  const references = [
+    { id: 'figma', label: 'Figma', image: result.figmaImage },
+    { id: 'baseline', label: 'Baseline', image: result.visualDiff?.baseline_image },
+    { id: 'diff', label: 'Diff', image: result.visualDiff?.diff_image }
+  ].filter(reference => reference.image);
+  const overlays = references.filter(reference => reference.id !== 'diff');
+  const overlay = overlays.find(reference => reference.id === overlayId) || overlays[0];
+  const live = screenshotSrc(result.screenshot, missionId, result.screenshotMimeType);
+
+  return (
+    <div className="bg-slate-900/50 border border-slate-800 p-3 rounded space-y-3">
+      <h4 className="text-xs uppercase font-bold text-slate-400 flex items-center gap-2"><Camera size={12}/> Screenshots</h4>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        {[{ id: 'live', label: 'Live', image: result.screenshot, mimeType: result.screenshotMimeType }, ...references].map(item => (
+          <figure key={item.id}>
+            <figcaption className="text-[10px] uppercase text-slate-500 mb-1">{item.label}</figcaption>
+            <a href={screenshotSrc(item.image, missionId, item.mimeType)} target="_blank" rel="noreferrer">
+              <img src={screenshotSrc(item.image, missionId, item.mimeType)} alt={`${result.device} ${item.label}`} className="w-full max-h-64 object-cover object-top rounded border border-slate-800" />
+            </a>
+          </figure>
+        ))}
+      </div>
+      {overlay && (
+        <div>
+          <div className="flex items-center gap-2 mb-1 text-xs text-slate-500">
+            <span>Live</span>
+            <input type="range" min="0" max="100" value={position} onChange={e => setPosition(Number(e.target.value))} className="flex-1" />
+            {overlays.length > 1 ? (
+              <select value={overlay.id} onChange={e => setOverlayId(e.target.value)} className="bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs text-white outline-none">
+                {overlays.map(reference => <option key={reference.id} value={reference.id}>{reference.label}</option>)}
+              </select>
+            ) : <span>{overlay.label}</span>}
+          </div>
+          <div className="relative overflow-hidden rounded border border-slate-800">
+            <img src={live} alt={`${result.device} live`} className="w-full block" />
+            <img src={screenshotSrc(overlay.image, missionId)} alt={`${result.device} ${overlay.label}`} className="absolute inset-0 w-full h-full object-cover object-top" style={{ clipPath: `inset(0 0 0 ${position}%)` }} />
+            <div className="absolute inset-y-0 w-0.5 bg-blue-400" style={{ left: `${position}%` }} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Executed steps as a timeline; a step opens on its evidence (screenshot, URL, console errors, tool output)
+function StepEvidence({ steps, missionId }) {
+  const [open, setOpen] = useState(() => new Set(steps.map((step, i) => step.status === 'fail' ? i : null).filter(i => i !== null)));
+  const toggle = (index) => setOpen(prev => {
+    const next = new Set(prev);
+    if (next.has(index)) next.delete(index);
+    else next.add(index);
+    return next;
+  });
+
+  return (
+    <ol className="space-y-1">
+      {steps.map((step, i) => (
+        <li key={i} className="text-xs text-slate-400 border-l-2 border-slate-800 pl-3">
+          <button onClick={() => toggle(i)} className="w-full flex gap-2 items-center text-left hover:text-white">
+            <StepStatusIcon status={step.status} />
+            <span className="text-blue-500 font-mono">{step.id}.</span>
+            <span className="text-slate-300">{step.action}</span>
+            {step.expectation && <span className="text-slate-500 italic truncate">&rarr; {step.expectation}</span>}
+            <span className="text-slate-600 font-mono ml-auto shrink-0">
+              {step.type}{step.selector ? ` ${step.selector}` : ''}{step.duration_ms != null ? ` · ${step.duration_ms} ms` : ''}
+            </span>
+          </button>
+          {open.has(i) && (
+            <div className="mt-1 mb-2 ml-5 space-y-1">
+              {step.error && <p className="text-red-400">{step.error}</p>}
+              {step.url_after && <p className="text-slate-500 font-mono break-all">URL after: {step.url_after}</p>}
+              {(step.console_errors || []).map((message, j) => <p key={j} className="text-amber-400 font-mono break-all">console: {message}</p>)}
+              {step.output && <pre className="text-slate-500 whitespace-pre-wrap max-h-40 overflow-y-auto bg-slate-900 rounded p-2">{step.output}</pre>}
+              {step.screenshot ? (
+                <a href={screenshotSrc(step.screenshot, missionId)} target="_blank" rel="noreferrer">
+                  <img src={screenshotSrc(step.screenshot, missionId)} alt={`Step ${step.id}`} className="max-h-80 rounded border border-slate-800" />
+                </a>
+              ) : !step.error && !step.output && <p className="text-slate-600">No screenshot for this step.</p>}
+            </div>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// Console errors and warnings collected during the audit ("[error] message")
+function ConsolePanel({ logs }) {
+  const [level, setLevel] = useState('all');
+  const entries = logs.map(log => {
+    const match = log.match(/^\[(\w+)\]\s*([\s\S]*)$/);
+    return match ? { level: match[1], message: match[2] } : { level: 'log', message: log };
+  });
+  const rows = level === 'all' ? entries : entries.filter(entry => entry.level === level);
+  const count = (name) => entries.filter(entry => entry.level === name).length;
+
+  return (
+    <div className="bg-slate-900/50 border border-slate-800 p-3 rounded space-y-2">
+      <div className="flex items-center justify-between">
+        <h4 className="text-xs uppercase font-bold text-slate-400 flex items-center gap-2"><FileText size={12}/> Console</h4>
+        {entries.length > 0 && (
+          <div className="flex gap-2 text-[10px]">
+            {[['all', `All ${entries.length}`], ['error', `Errors ${count('error')}`], ['warning', `Warnings ${count('warning')}`]].map(([id, label]) => (
+              <button key={id} onClick={() => setLevel(id)} className={level === id ? 'text-white' : 'text-slate-500 hover:text-slate-300'}>{label}</button>
+            ))}
+          </div>
+        )}
+      </div>
+      {entries.length === 0 ? (
+        <p className="text-xs text-emerald-400">No console errors or warnings.</p>
+      ) : (
+        <div className="max-h-64 overflow-y-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-slate-500 text-left">
+                <th className="font-medium pb-1 w-16">Level</th>
+                <th className="font-medium pb-1">Message</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((entry, i) => (
+                <tr key={i} className="border-t border-slate-800 align-top">
+                  <td className={`py-1 pr-2 uppercase ${entry.level === 'error' ? 'text-red-400' : 'text-amber-400'}`}>{entry.level}</td>
+                  <td className="py-1 text-slate-300 font-mono break-all">{entry.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const ARTIFACT_LABELS = { page: 'Page', figma: 'Figma', baseline: 'Baseline', diff: 'Diff', har: 'HAR', step: 'Step', explore: 'Exploration step' };
+
+// Every archived file of the mission, grouped by result (GET /api/history/:id/artifacts)
+function ArtifactsPanel({ missionId }) {
+  const [artifacts, setArtifacts] = useState([]);
+
+  useEffect(() => {
+    fetch(`${API_URL}/api/history/${missionId}/artifacts`)
+      .then(response => response.json())
+      .then(result => result.success && setArtifacts(result.data))
+      .catch(() => {});
+  }, [missionId]);
+
+  if (artifacts.length === 0) return null;
+  const groupOf = (artifact) => `${artifact.device}${artifact.browser && artifact.browser !== 'chromium' ? ` (${artifact.browser})` : ''} · ${artifact.url}`;
+  const groups = [...new Set(artifacts.map(groupOf))];
+
+  return (
+    <details className="bg-slate-950 border border-slate-800 rounded-lg p-4 mb-6 text-xs">
+      <summary className="cursor-pointer font-bold text-white">Artifacts ({artifacts.length} files)</summary>
+      <div className="mt-3 space-y-2">
+        {groups.map(group => (
+          <div key={group}>
+            <p className="text-slate-400 mb-1">{group}</p>
+            <div className="flex flex-wrap gap-2">
+              {artifacts.filter(artifact => groupOf(artifact) === group).map(artifact => (
+                <a key={artifact.name} href={`${API_URL}${artifact.href}`} target="_blank" rel="noreferrer" className={`px-2 py-1 rounded bg-slate-800 hover:text-white ${artifact.status === 'fail' ? 'text-red-400' : 'text-slate-300'}`} title={artifact.action || artifact.name}>
+                  {ARTIFACT_LABELS[artifact.kind] || artifact.kind}{artifact.step != null ? ` ${artifact.step}` : ''}
+                </a>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+const IMPACT_STYLES = {
+  critical: 'bg-red-900/40 text-red-300',
+  serious: 'bg-orange-900/40 text-orange-300',
+  moderate: 'bg-amber-900/30 text-amber-300',
+  minor: 'bg-slate-800 text-slate-300'
+};
+
+function AccessibilityPanel({ accessibility }) {
+  if (accessibility.error) {
+    return <p className="text-xs text-amber-400">Accessibility audit failed: {accessibility.error}</p>;
+  }
+
+  const { summary, violations } = accessibility;
+  return (
+    <div className="bg-cyan-900/10 border border-cyan-900/30 p-3 rounded">
+      <h4 className="text-xs uppercase font-bold text-cyan-400 mb-2 flex items-center gap-2"><Users size={12}/> Accessibility (WCAG)</h4>
+      <p className="text-xs text-slate-500 mb-2">
+        {summary.critical} critical &middot; {summary.serious} serious &middot; {summary.moderate} moderate &middot; {summary.minor} minor &middot; {accessibility.engine}
+      </p>
+      {violations.length === 0 ? (
+        <p className="text-sm text-emerald-400">No WCAG violations detected.</p>
+      ) : (
+        <ul className="space-y-2">
+          {violations.map(v => (
+            <li key={v.id} className="text-xs">
+              <div className="flex gap-2 items-center">
+                <span className={`px-1.5 py-0.5 rounded uppercase font-bold ${IMPACT_STYLES[v.impact] || IMPACT_STYLES.minor}`}>{v.impact}</span>
+                <a href={v.helpUrl} target="_blank" rel="noreferrer" className="text-slate-300 hover:text-white">{v.help}</a>
+                <span className="text-slate-600 ml-auto">{v.wcag.join(', ')} &middot; {v.nodeCount} elements</span>
+              </div>
+              <ul className="ml-4 mt-1 space-y-0.5">
+                {v.nodes.slice(0, 3).map((node, i) => <li key={i} className="font-mono text-slate-500 truncate">{node.selector}</li>)}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const FINDING_STYLES = {
+  crash: 'bg-red-900/40 text-red-300',
+  dead_end: 'bg-amber-900/40 text-amber-300',
+  console_error: 'bg-orange-900/40 text-orange-300',
+  layout_break: 'bg-fuchsia-900/40 text-fuchsia-300',
+  observation: 'bg-slate-800 text-slate-300'
+};
+
+// Exploratory mode: what the Explorer ran into, then its action trace with a screenshot per step
+function ExplorationPanel({ exploration, missionId }) {
+  const { summary, findings, steps } = exploration;
+  return (
+    <div className="bg-indigo-900/10 border border-indigo-900/30 p-3 rounded">
+      <h4 className="text-xs uppercase font-bold text-indigo-400 mb-2 flex items-center gap-2"><Compass size={12}/> Exploration</h4>
+      <p className="text-xs text-slate-500 mb-2">
+        {summary.steps} steps &middot; {summary.pages} pages &middot; {Math.round(summary.duration_ms / 1000)}s &middot; stopped: {exploration.stopped.replace('_', ' ')}
+      </p>
+      {findings.length === 0 ? (
+        <p className="text-sm text-emerald-400">Nothing broke while exploring.</p>
+      ) : (
+        <ul className="space-y-1 mb-3">
+          {findings.map((finding, i) => (
+            <li key={i} className="text-xs flex gap-2 items-start">
+              <span className={`px-1.5 py-0.5 rounded uppercase font-bold whitespace-nowrap ${FINDING_STYLES[finding.type] || FINDING_STYLES.observation}`}>{finding.type.replace('_', ' ')}</span>
+              <span className="text-slate-300">{finding.message}</span>
+              <span className="text-slate-600 ml-auto whitespace-nowrap">step {finding.step}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <details>
+        <summary className="text-xs text-slate-500 cursor-pointer">Action trace</summary>
+        <ol className="space-y-2 mt-2">
+          {steps.map(step => (
+            <li key={step.id} className="text-xs">
+              <div className="flex gap-2">
+                {step.status === 'pass' ? <CheckCircle size={14} className="text-emerald-500 shrink-0"/> : <XCircle size={14} className="text-red-500 shrink-0"/>}
+                <span className="text-slate-300">
+                  {step.id}. {step.action}{step.target ? ` ${step.target}` : ''}{step.text ? ` "${step.text}"` : ''}{step.direction ? ` ${step.direction}` : ''}
+                </span>
+                <span className="text-slate-600 truncate ml-auto">{step.url_after || step.url}</span>
+              </div>
+              {step.reason && <p className="ml-6 text-slate-500">{step.reason}</p>}
+              {step.error && <p className="ml-6 text-red-400">{step.error}</p>}
+              {step.console_errors?.map((message, i) => <p key={i} className="ml-6 font-mono text-orange-400 truncate">{message}</p>)}
+              {step.screenshot && (
+                <a href={screenshotSrc(step.screenshot, missionId)} target="_blank" rel="noreferrer">
+                  <img src={screenshotSrc(step.screenshot, missionId)} alt={`Exploration step ${step.id}`} className="ml-6 mt-1 h-24 rounded border border-slate-800" />
+                </a>
+              )}
+            </li>
+          ))}
+        </ol>
+      </details>
+    </div>
+  );
+}
+
+const SEVERITY_STYLES = {
+  pass: 'text-emerald-400',
+  warning: 'text-amber-400',
+  fail: 'text-red-400'
+};
+
+const formatBytes = (bytes) => bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+
+function PerformancePanel({ performance, checks }) {
+  const { navigation, vitals, transfer } = performance;
+  const severityOf = (id) => checks.find(check => check.id === id)?.severity;
+  const metrics = [
+    { id: 'ttfb', label: 'TTFB', value: navigation?.ttfb, unit: 'ms' },
+    { id: 'fcp', label: 'FCP', value: vitals.fcp, unit: 'ms' },
+    { id: 'lcp', label: 'LCP', value: vitals.lcp, unit: 'ms' },
+    { id: 'cls', label: 'CLS', value: vitals.cls, unit: '' },
+    { id: 'tbt', label: 'TBT', value: vitals.tbt, unit: 'ms' },
+    { id: 'inp', label: 'INP', value: vitals.inp, unit: 'ms' },
+    { id: 'load', label: 'Load', value: navigation?.load, unit: 'ms' },
+    { id: 'transferKb', label: 'Transfer', value: formatBytes(transfer.totalBytes), unit: '' }
+  ];
+
+  return (
+    <div className="bg-orange-900/10 border border-orange-900/30 p-3 rounded">
+      <h4 className="text-xs uppercase font-bold text-orange-400 mb-2 flex items-center gap-2"><Gauge size={12}/> Performance</h4>
+      <p className="text-xs text-slate-500 mb-2">Throttling: {performance.throttling} &middot; {transfer.requests} requests</p>
+      <div className="grid grid-cols-4 gap-2 mb-3">
+        {metrics.map(metric => (
+          <div key={metric.id} className="bg-slate-900 rounded p-2">
+            <div className="text-[10px] uppercase text-slate-500">{metric.label}</div>
+            <div className={`text-sm font-mono ${SEVERITY_STYLES[severityOf(metric.id)] || 'text-slate-300'}`}>
+              {metric.value == null ? 'n/a' : `${metric.value}${metric.unit}`}
+            </div>
+          </div>
+        ))}
+      </div>
+      {transfer.heaviest.length > 0 && (
+        <>
+          <h5 className="text-[10px] uppercase font-bold text-slate-500 mb-1">Heaviest resources</h5>
+          <ul className="space-y-0.5">
+            {transfer.heaviest.map((resource, i) => (
+              <li key={i} className="text-xs flex gap-2">
+                <span className="font-mono text-slate-400 w-16 shrink-0 text-right">{formatBytes(resource.bytes)}</span>
+                <span className="text-slate-600 w-16 shrink-0">{resource.type}</span>
+                <span className="text-slate-500 truncate" title={resource.url}>{resource.url}</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Mission `auth` option from the Authentication form
+function buildAuth(auth) {
+  if (auth.mode === 'storageState') return { storageState: auth.storageState };
+  if (auth.mode !== 'login') return undefined;
+  return {
+    project: auth.project || undefined,
+    refresh: auth.refresh || undefined,
+    login: {
+      url: auth.url,
+      fields: [
+        { selector: auth.userSelector, value: auth.userValue },
+        { selector: auth.passwordSelector, value: auth.passwordValue }
+      ],
+      submit: auth.submit || undefined,
+      waitFor: auth.waitFor || undefined
+    }
+  };
+}
+
+// Authentication form for a saved login recipe (the inverse of buildAuth)
+function authForm(auth, current) {
+  if (!auth?.login) return { ...current, mode: current.mode === 'login' ? 'none' : current.mode };
+  const [user = {}, password = {}] = auth.login.fields;
+  return {
+    ...current,
+    mode: 'login',
+    project: auth.project || '',
+    url: auth.login.url,
+    userSelector: user.selector || '',
+    userValue: user.value || '',
+    passwordSelector: password.selector || '',
+    passwordValue: password.value || '',
+    submit: auth.login.submit || '',
+    waitFor: auth.login.waitFor || ''
+  };
+}
+
+// "a, b" or one pattern per line
+const splitPatterns = (text) => text.split(/[,\n]/).map(pattern => pattern.trim()).filter(Boolean);
+
+const STATUS_BADGES = {
+  pass: 'bg-emerald-900/30 text-emerald-400',
+  warning: 'bg-amber-900/30 text-amber-400',
+  fail: 'bg-red-900/30 text-red-400',
+  error: 'bg-red-900/30 text-red-400'
+};
+
+function SitePanel({ site }) {
+  return (
+    <div className="bg-slate-950 border border-slate-800 rounded-lg p-4 mb-6 space-y-4">
+      <div className="flex items-center gap-2">
+        <Globe size={16} className="text-blue-400"/>
+        <span className="font-bold text-white">Pages by Template</span>
+        <span className="text-xs text-slate-500 ml-auto">
+          {site.pages.length} pages
+          {site.crawl && <> &middot; {site.crawl.skipped.length} links skipped &middot; {site.crawl.not_visited} not visited</>}
+          {site.crawl?.robots_rules > 0 && <> &middot; robots.txt respected</>}
+        </span>
+      </div>
+      {site.templates.map(template => (
+        <div key={template.template}>
+          <div className="flex items-center gap-2 mb-1">
+            <span className="font-mono text-sm text-slate-200">{template.template}</span>
+            <span className={`text-[10px] px-1.5 py-0.5 rounded uppercase ${STATUS_BADGES[template.status] || STATUS_BADGES.error}`}>{template.status}</span>
+            <span className="text-xs text-slate-600">{template.pages.length} page(s)</span>
+          </div>
+          {template.shared_issues.length > 0 && template.pages.length > 1 && (
+            <ul className="ml-4 mb-1">
+              {template.shared_issues.map((issue, i) => <li key={i} className="text-xs text-amber-400">Every page: {issue}</li>)}
+            </ul>
+          )}
+          <ul className="ml-4 space-y-1">
+            {site.pages.filter(page => template.pages.includes(page.url)).map(page => (
+              <li key={page.url} className="text-xs">
+                <div className="flex items-center gap-2">
+                  {page.name && <span className="text-slate-200">{page.name}</span>}
+                  <span className="text-slate-400 font-mono truncate">{new URL(page.url).pathname}</span>
+                  {Object.entries(page.devices).map(([device, deviceStatus]) => (
+                    <span key={device} className={`text-[10px] px-1.5 py-0.5 rounded ${STATUS_BADGES[deviceStatus] || STATUS_BADGES.error}`}>{device}</span>
+                  ))}
+                  <span className="text-slate-600 ml-auto shrink-0">{page.issues.length} issues</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Archived HAR logs are files on the server, a live report still carries the HAR object
+// Finding x engine grid: the devices that hit each finding per browser, engine-specific findings first
+function CompatibilityPanel({ compatibility }) {
+  const { browsers, rows, status } = compatibility;
+  return (
+    <div className="bg-slate-950 border border-slate-800 rounded-lg p-4 mb-6 space-y-4">
+      <div className="flex items-center gap-2">
+        <Globe size={16} className="text-blue-400"/>
+        <span className="font-bold text-white">Browser Compatibility</span>
+        <span className="text-xs text-slate-500 ml-auto">{rows.filter(row => row.only_in).length} engine-specific of {rows.length} findings</span>
+      </div>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-slate-500 text-left">
+            <th className="font-medium pb-1">Device</th>
+            {browsers.map(browser => <th key={browser} className="font-medium pb-1 capitalize">{browser}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(status).map(([device, byBrowser]) => (
+            <tr key={device} className="border-t border-slate-800">
+              <td className="py-1 pr-2 capitalize text-slate-300">{device}</td>
+              {browsers.map(browser => (
+                <td key={browser} className="py-1 pr-2">
+                  <span className={`text-[10px] px-1.5 py-0.5 rounded uppercase ${STATUS_BADGES[byBrowser[browser]] || STATUS_BADGES.error}`}>{byBrowser[browser]}</span>
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length > 0 && (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-slate-500 text-left">
+              <th className="font-medium pb-1">Finding</th>
+              {browsers.map(browser => <th key={browser} className="font-medium pb-1 capitalize">{browser}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.finding} className={`border-t border-slate-800 ${row.only_in ? 'text-amber-400' : 'text-slate-400'}`}>
+                <td className="py-1 pr-2">
+                  {row.finding}
+                  {row.only_in && <span className="ml-2 text-[10px] px-1.5 py-0.5 rounded bg-amber-900/30 capitalize">{row.only_in} only</span>}
+                </td>
+                {browsers.map(browser => (
+                  <td key={browser} className="py-1 pr-2">
+                    {row.browsers[browser].length > 0 ? <span className="flex items-center gap-1"><XCircle size={12} className="text-red-400 shrink-0" /> {row.browsers[browser].join(', ')}</span> : <CheckCircle size={12} className="text-emerald-400" />}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function harHref(value, missionId) {
+  return typeof value === 'string'
+    ? `${API_URL}/api/history/${missionId}/files/${value}`
+    : `data:application/json;charset=utf-8,${encodeURIComponent(JSON.stringify(value))}`;
+}
+
+function NetworkPanel({ result, missionId }) {
+  const [showAll, setShowAll] = useState(false);
+  const { summary, requests, mixed_content: mixedContent, cors_errors: corsErrors } = result.network;
+  const broken = result.links?.broken || [];
+  const rows = showAll ? requests : result.failedRequests;
+
+  return (
+    <div className="bg-sky-900/10 border border-sky-900/30 p-3 rounded space-y-2">
+      <div className="flex items-center justify-between">
+        <h4 className="text-xs uppercase font-bold text-sky-400 flex items-center gap-2"><Network size={12}/> Network</h4>
+        {result.har && (
+          <a href={harHref(result.har, missionId)} download={`${result.device}-network.har`} className="text-xs text-sky-400 hover:text-white">Export HAR</a>
+        )}
+      </div>
+      <p className="text-xs text-slate-500">
+        {summary.requests} requests{summary.truncated ? ' (truncated)' : ''} &middot; {summary.failed} failed ({summary.thirdPartyFailed} third-party) &middot; {summary.redirects} redirects &middot; {summary.mixedContent} mixed content &middot; {summary.corsErrors} CORS errors
+        {result.links && <> &middot; {broken.length}/{result.links.checked} links broken</>}
+      </p>
+
+      {result.redirects.length > 0 && (
+        <p className="text-xs text-slate-400 font-mono break-all">
+          {result.redirects.map(hop => `${hop.url} (${hop.status})`).join(' → ')} → final
+        </p>
+      )}
+
+      {mixedContent.map((item, i) => (
+        <p key={`mixed-${i}`} className="text-xs text-amber-400 break-all">Mixed content{item.blocked ? ' (blocked)' : ''}: {item.url || item.message}</p>
+      ))}
+      {corsErrors.map((item, i) => (
+        <p key={`cors-${i}`} className="text-xs text-amber-400 break-all">CORS: {item.url || item.message}</p>
+      ))}
+
+      {broken.length > 0 && (
+        <div>
+          <h5 className="text-[10px] uppercase font-bold text-slate-500 mb-1">Broken links</h5>
+          <ul className="space-y-0.5">
+            {broken.map((link, i) => (
+              <li key={i} className="text-xs flex gap-2">
+                <span className="font-mono text-red-400 w-10 shrink-0">{link.status || 'ERR'}</span>
+                <span className="text-slate-400 truncate" title={link.error || link.url}>{link.text ? `"${link.text}" ` : ''}{link.url}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div>
+        <div className="flex items-center justify-between mb-1">
+          <h5 className="text-[10px] uppercase font-bold text-slate-500">{showAll ? 'All requests' : 'Failed requests'}</h5>
+          <button onClick={() => setShowAll(!showAll)} className="text-[10px] text-sky-400 hover:text-white">{showAll ? 'Show failed only' : `Show all ${requests.length}`}</button>
+        </div>
+        {rows.length === 0 ? (
+          <p className="text-xs text-emerald-400">No failed requests.</p>
+        ) : (
+          <div className="max-h-64 overflow-y-auto">
+            <table className="w-full text-xs table-fixed">
+              <thead>
+                <tr className="text-slate-500 text-left">
+                  <th className="font-medium pb-1 w-12">Status</th>
+                  <th className="font-medium pb-1 w-14">Method</th>
+                  <th className="font-medium pb-1 w-20">Type</th>
+                  <th className="font-medium pb-1">URL</th>
+                  <th className="font-medium pb-1 w-16 text-right">Size</th>
+                  <th className="font-medium pb-1 w-16 text-right">Time</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((request, i) => (
+                  <tr key={i} className="border-t border-slate-800">
+                    <td className={`py-0.5 font-mono ${request.error || request.failure || request.status >= 400 ? 'text-red-400' : 'text-slate-400'}`}>{request.status || 'ERR'}</td>
+                    <td className="py-0.5 text-slate-500 font-mono">{request.method || '-'}</td>
+                    <td className="py-0.5 text-slate-600">{request.resourceType}</td>
+                    <td className="py-0.5 text-slate-400 truncate" title={request.error || request.failure || request.url}>
+                      {request.url}{request.thirdParty && <span className="text-slate-600"> · 3rd party</span>}
+                    </td>
+                    <td className="py-0.5 text-slate-500 text-right">{request.bytes != null ? formatBytes(request.bytes) : '-'}</td>
+                    <td className="py-0.5 text-slate-500 text-right">{request.time != null ? `${request.time} ms` : '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function VisualDiffPanel({ result, missionId }) {
+  const [approval, setApproval] = useState(null);
+  const diff = result.visualDiff;
+
+  const approveBaseline = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/baselines`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ missionId, device: result.device, browser: result.browser || undefined, url: result.url })
+      });
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error);
+      setApproval('Approved as baseline');
+    } catch (e) {
+      setApproval(`Approval failed: ${e.message}`);
+    }
+  };
+
+  if (result.status === 'error') return null;
+
+  return (
+    <div className="bg-emerald-900/10 border border-emerald-900/30 p-3 rounded space-y-2">
+      <div className="flex justify-between items-center">
+        <h4 className="text-xs uppercase font-bold text-emerald-400 flex items-center gap-2"><GitCompare size={12}/> Visual Regression</h4>
+        {missionId && (
+          <button onClick={approveBaseline} disabled={!!approval} className="text-xs text-emerald-400 hover:text-emerald-300 disabled:opacity-50">
+            {approval || 'Approve as baseline'}
+          </button>
+        )}
+      </div>
+      {diff ? (
+        <>
+          <p className={`text-sm ${diff.status === 'pass' ? 'text-emerald-400' : 'text-red-400'}`}>
+            {diff.mismatch_percentage}% of pixels differ from the baseline (max {diff.max_mismatch}%){diff.size_changed ? ' · page size changed' : ''}
+          </p>
+        </>
+      ) : (
+        <p className="text-slate-500 text-sm">No approved baseline for this device yet.</p>
+      )}
+    </div>
+  );
+}
+
+const EMPTY_PAGE = { name: '', path: '/', figmaNodes: { mobile: '', tablet: '', desktop: '' } };
+
+// Saved projects: a base URL (the Target field), named pages with their Figma frames, and the form settings
+function ProjectsPanel({ disabled, getSettings, onSelect, onRun }) {
+  const [projects, setProjects] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, options) => {
+    const response = await fetch(`${API_URL}${path}`, options);
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error);
+    return result.data;
+  }, []);
+
+  const loadProjects = useCallback(async () => {
+    try {
+      const list = await request('/api/projects');
+      setProjects(list);
+      setError(null);
+      return list;
+    } catch (e) {
+      setError(e.message);
+      return [];
+    }
+  }, [request]);
+
+  // onSelect must be stable (useCallback in the parent), or the restore effect below runs on every render
+  const select = useCallback((project) => {
+    localStorage.setItem('projectId', project.id);
+    setDraft({
+      id: project.id,
+      name: project.name,
+      pages: project.pages.map(page => ({ ...EMPTY_PAGE, ...page, figmaNodes: { ...EMPTY_PAGE.figmaNodes, ...page.figmaNodes } }))
+    });
+    onSelect(project);
+  }, [onSelect]);
+
+  // Reopen the last project after a reload
+  useEffect(() => {
+    loadProjects().then(list => {
+      const last = list.find(project => project.id === localStorage.getItem('projectId'));
+      if (last) select(last);
+    });
+  }, [loadProjects, select]);
+
+  const choose = (id) => {
+    if (!id) {
+      localStorage.removeItem('projectId');
+      setDraft(null);
+      return;
+    }
+    const project = projects.find(p => p.id === id);
+    if (project) select(project);
+  };
+
+  const updatePage = (index, changes) => setDraft(prev => ({ ...prev, pages: prev.pages.map((page, i) => i === index ? { ...page, ...changes } : page) }));
+
+  const save = async () => {
+    const settings = getSettings();
+    if (!settings) return null;
+    const body = {
+      ...settings,
+      name: draft.name,
+      pages: draft.pages.map(page => ({ name: page.name || undefined, path: page.path, figmaNode: page.figmaNode || undefined, figmaNodes: page.figmaNodes }))
+    };
+    try {
+      const saved = await request(draft.id ? `/api/projects/${draft.id}` : '/api/projects', {
+        method: draft.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      localStorage.setItem('projectId', saved.id);
+      setDraft(prev => ({ ...prev, id: saved.id }));
+      await loadProjects();
+      return saved;
+    } catch (e) {
+      setError(e.message);
+      return null;
+    }
+  };
+
+  const run = async () => {
+    const saved = await save();
+    if (saved) onRun(saved);
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete the project "${draft.name}"? Its runs stay in the history.`)) return;
+    try {
+      await request(`/api/projects/${draft.id}`, { method: 'DELETE' });
+      choose('');
+      loadProjects();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-xl p-5 shadow-xl space-y-3">
+      <label className="block text-xs font-bold text-slate-500 uppercase">Project</label>
+      <div className="flex gap-2">
+        <select
+          value={draft?.id || ''}
+          disabled={disabled}
+          onChange={e => choose(e.target.value)}
+          className="flex-1 bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm focus:border-blue-500 outline-none"
+        >
+          <option value="">{draft && !draft.id ? 'New project' : 'No project (single URL)'}</option>
+          {projects.map(project => <option key={project.id} value={project.id}>{project.name}</option>)}
+        </select>
+        <button
+          onClick={() => setDraft({ id: null, name: '', pages: [{ ...EMPTY_PAGE, name: 'Home' }] })}
+          disabled={disabled}
+          title="New project from the current settings"
+          className="px-3 rounded border border-slate-800 text-slate-400 hover:text-white disabled:opacity-30"
+        >
+          <Plus size={14} />
+        </button>
+      </div>
+
+      {draft && (
+        <>
+          <input
+            type="text"
+            placeholder="Project name"
+            value={draft.name}
+            onChange={e => setDraft(prev => ({ ...prev, name: e.target.value }))}
+            className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm focus:border-blue-500 outline-none placeholder:text-slate-600"
+          />
+          <p className="text-[10px] text-slate-500">Pages, relative to the Target URL. Figma frames per device are optional.</p>
+          {draft.pages.map((page, index) => (
+            <div key={index} className="space-y-1 border-l-2 border-slate-800 pl-2">
+              <div className="flex gap-1">
+                <input type="text" placeholder="Name" value={page.name} onChange={e => updatePage(index, { name: e.target.value })} className="w-1/3 bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs focus:border-blue-500 outline-none placeholder:text-slate-600" />
+                <input type="text" placeholder="/path" value={page.path} onChange={e => updatePage(index, { path: e.target.value })} className="flex-1 bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs font-mono focus:border-blue-500 outline-none placeholder:text-slate-600" />
+                <button onClick={() => setDraft(prev => ({ ...prev, pages: prev.pages.filter((_, i) => i !== index) }))} disabled={draft.pages.length === 1} className="text-slate-500 hover:text-red-400 disabled:opacity-30"><X size={14} /></button>
+              </div>
+              <div className="grid grid-cols-3 gap-1">
+                {Object.keys(page.figmaNodes).map(device => (
+                  <input key={device} type="text" placeholder={`${device} node`} value={page.figmaNodes[device]} onChange={e => updatePage(index, { figmaNodes: { ...page.figmaNodes, [device]: e.target.value } })} className="w-full bg-slate-950 border border-slate-800 rounded px-2 py-1 text-[10px] focus:border-blue-500 outline-none placeholder:text-slate-600" />
+                ))}
+              </div>
+            </div>
+          ))}
+          <button onClick={() => setDraft(prev => ({ ...prev, pages: [...prev.pages, { ...EMPTY_PAGE, path: '' }] }))} className="text-xs text-blue-400 hover:text-blue-300 flex items-center gap-1">
+            <Plus size={12} /> Add page
+          </button>
+          <div className="flex gap-2">
+            <button onClick={save} disabled={disabled} className="flex-1 text-xs px-3 py-2 rounded bg-slate-800 text-slate-300 hover:text-white flex items-center justify-center gap-2 disabled:opacity-30">
+              <Save size={14} /> Save
+            </button>
+            <button onClick={run} disabled={disabled} className="flex-1 text-xs px-3 py-2 rounded bg-blue-600 text-white hover:bg-blue-500 flex items-center justify-center gap-2 disabled:opacity-30">
+              <FolderOpen size={14} /> Run suite ({draft.pages.length})
+            </button>
+            {draft.id && (
+              <button onClick={remove} disabled={disabled} className="px-3 rounded border border-slate-800 text-slate-500 hover:text-red-400 disabled:opacity-30"><Trash2 size={14} /></button>
+            )}
+          </div>
+          <p className="text-[10px] text-slate-500">Save stores the Target URL, devices, AI model, Figma file, budgets, visual diff and login recipe with the pages.</p>
+        </>
+      )}
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+    </div>
+  );
+}
+
+function HistoryPanel({ onOpen }) {
+  const [missions, setMissions] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadHistory = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/history`);
+      const result = await response.json();
+      if (!result.success) throw new Error(result.error);
+      setMissions(result.data);
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  useEffect(() => { loadHistory(); }, []);
+
+  const request = async (path, options) => {
+    const response = await fetch(`${API_URL}${path}`, options);
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error);
+    return result.data;
+  };
+
+  const openMission = async (id) => {
+    try {
+      onOpen(await request(`/api/history/${id}`));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const deleteMission = async (id) => {
+    if (!window.confirm('Delete this run from the history?')) return;
+    try {
+      await request(`/api/history/${id}`, { method: 'DELETE' });
+      setSelected(prev => prev.filter(s => s !== id));
+      setComparison(null);
+      loadHistory();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  // Keep at most two runs selected, and only runs of the same URL
+  const toggleSelected = (mission) => {
+    setComparison(null);
+    setSelected(prev => {
+      if (prev.includes(mission.id)) return prev.filter(id => id !== mission.id);
+      const sameUrl = prev.filter(id => missions.find(m => m.id === id)?.url === mission.url);
+      return [...sameUrl, mission.id].slice(-2);
+    });
+  };
+
+  const compareSelected = async () => {
+    const [first, second] = selected
+      .map(id => missions.find(m => m.id === id))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    try {
+      setComparison(await request(`/api/history/${first.id}/compare/${second.id}`));
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-4 animate-in fade-in duration-300">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-bold text-white">Mission History</h2>
+        <button
+          onClick={compareSelected}
+          disabled={selected.length !== 2}
+          className="flex items-center gap-2 text-xs px-3 py-1 rounded-full border bg-slate-900 border-slate-800 text-slate-300 hover:text-white disabled:opacity-30"
+        >
+          <GitCompare size={14} /> Compare selected
+        </button>
+      </div>
+
+      {error && <p className="text-red-400 text-sm">{error}</p>}
+      {missions.length === 0 && !error && <p className="text-slate-500 text-sm">No archived missions yet.</p>}
+
+      <ul className="space-y-2">
+        {missions.map(m => (
+          <li key={m.id} className={`flex items-center gap-3 bg-slate-950 border rounded-lg p-3 text-sm ${selected.includes(m.id) ? 'border-blue-500' : 'border-slate-800'}`}>
+            <input type="checkbox" checked={selected.includes(m.id)} onChange={() => toggleSelected(m)} />
+            <div className="flex-1 min-w-0">
+              <p className="text-white truncate">{m.project && <span className="text-blue-400">{m.project.name} &middot; </span>}{m.url}</p>
+              <p className="text-xs text-slate-500">{new Date(m.createdAt).toLocaleString()} &middot; {m.devices.join(', ')} &middot; {m.issueCount} issues</p>
+            </div>
+            <span className={`text-xs px-2 py-1 rounded ${m.status === 'pass' ? 'bg-emerald-900/30 text-emerald-400' : 'bg-amber-900/30 text-amber-400'}`}>{String(m.status).toUpperCase()}</span>
+            <button onClick={() => openMission(m.id)} className="text-xs text-blue-400 hover:text-blue-300">Open</button>
+            <button onClick={() => deleteMission(m.id)} className="text-slate-500 hover:text-red-400"><Trash2 size={14} /></button>
+          </li>
+        ))}
+      </ul>
+
+      {comparison && (
+        <div className="bg-slate-950 border border-slate-800 rounded-lg p-4 space-y-4">
+          <h3 className="text-sm font-bold text-white">
+            {new Date(comparison.base.createdAt).toLocaleString()} &rarr; {new Date(comparison.target.createdAt).toLocaleString()}
+          </h3>
+          {comparison.devices.map(d => (
+            <div key={d.device} className="space-y-1">
+              <p className="font-bold capitalize text-slate-300">{d.device} <span className="text-xs text-slate-500 font-normal">{d.statusBefore || '-'} &rarr; {d.statusAfter || '-'}</span></p>
+              {d.newIssues.map((issue, i) => <p key={`n${i}`} className="text-xs text-red-400 flex gap-2"><XCircle size={12} className="shrink-0" /> New: {issue}</p>)}
+              {d.resolvedIssues.map((issue, i) => <p key={`r${i}`} className="text-xs text-emerald-400 flex gap-2"><CheckCircle size={12} className="shrink-0" /> Resolved: {issue}</p>)}
+              {d.newIssues.length === 0 && d.resolvedIssues.length === 0 && <p className="text-xs text-slate-500">No changes ({d.persistingIssues.length} persisting issues)</p>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Scripted Playwright pipeline, or an LLM driving the MCP tool servers configured on the backend
+function EngineSettings({ engine, onChange, disabled }) {
+  const [servers, setServers] = useState([]);
+
+  useEffect(() => {
+    fetch(`${API_URL}/api/mcp/servers`)
+      .then(response => response.json())
+      .then(result => result.success && setServers(result.data))
+      .catch(() => {});
+  }, []);
+
+  const toggleServer = (name) => onChange({
+    ...engine,
+    servers: engine.servers.includes(name) ? engine.servers.filter(server => server !== name) : [...engine.servers, name]
+  });
+
+  return (
+    <div>
+        <h3 className="text-sm font-bold text-blue-400 mb-3 flex items-center gap-2">
+            <Wrench size={16}/> Engine
+        </h3>
+        <select
+            value={engine.name}
+            disabled={disabled}
+            onChange={(e) => onChange({ ...engine, name: e.target.value })}
+            className="w-full bg-slate-950 border border-slate-800 rounded px-3 py-2 text-sm text-white outline-none"
+        >
+            <option value="playwright">Playwright pipeline</option>
+            <option value="mcp">MCP tool loop</option>
+        </select>
+        {engine.name === 'mcp' && (
+            <div className="space-y-2 mt-3">
+                <div className="flex flex-wrap gap-3">
+                    {servers.map(name => (
+                        <label key={name} className="flex items-center gap-1 text-xs text-slate-400">
+                            <input type="checkbox" checked={engine.servers.includes(name)} disabled={disabled} onChange={() => toggleServer(name)} />
+                            {name}
+                        </label>
+                    ))}
+                </div>
+                <label className="flex items-center justify-between gap-2 text-xs text-slate-500">
+                    Tool calls per device
+                    <input
+                        type="number"
+                        min="1"
+                        max="50"
+                        value={engine.maxSteps}
+                        disabled={disabled}
+                        onChange={(e) => onChange({ ...engine, maxSteps: e.target.value })}
+                        className="w-20 bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs outline-none"
+                    />
+                </label>
+                <p className="text-xs text-slate-600">Audits the single URL: crawl, login, visual diff and browser settings are ignored.</p>
+            </div>
+        )}
+    </div>
+  );
+}
+
+const EMPTY_PROFILE = { name: '', width: '1440', height: '900', deviceScaleFactor: '1', isMobile: false, hasTouch: false, colorScheme: '', reducedMotion: false, locale: '', timezoneId: '', userAgent: '' };
+
+// Any Playwright device by name, or a custom profile (viewport, DPR, touch, locale, timezone, dark mode, reduced motion)
+function ExtraDevices({ devices, onChange, disabled }) {
+  const [descriptors, setDescriptors] = useState([]);
+  const [descriptor, setDescriptor] = useState('');
+  const [profile, setProfile] = useState(EMPTY_PROFILE);
+
+  useEffect(() => {
+    fetch(`${API_URL}/api/devices`)
+      .then(response => response.json())
+      .then(result => result.success && setDescriptors(result.data.descriptors))
+      .catch(() => {});
+  }, []);
+
+  const nameOf = (device) => typeof device === 'string' ? device : device.name;
+  const add = (device) => {
+    if (devices.some(d => nameOf(d) === nameOf(device))) {
+      alert(`${nameOf(device)} is already in the list`);
+      return;
+    }
+    onChange([...devices, device]);
+  };
+
+  const addDescriptor = () => {
+    if (!descriptors.includes(descriptor)) {
+      alert(`Unknown Playwright device: ${descriptor}`);
+      return;
+    }
+    add(descriptor);
+    setDescriptor('');
+  };
+
+  const addProfile = () => {
+    if (!profile.name.trim()) {
+      alert('Give the profile a name');
+      return;
+    }
+    add({
+      name: profile.name.trim(),
+      viewport: { width: Number(profile.width), height: Number(profile.height) },
+      deviceScaleFactor: Number(profile.deviceScaleFactor) || 1,
+      isMobile: profile.isMobile,
+      hasTouch: profile.hasTouch,
+      colorScheme: profile.colorScheme || undefined,
+      reducedMotion: profile.reducedMotion ? 'reduce' : undefined,
+      locale: profile.locale || undefined,
+      timezoneId: profile.timezoneId || undefined,
+      userAgent: profile.userAgent || undefined
+    });
+    setProfile(EMPTY_PROFILE);
+  };
+
+  const input = "w-full bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs focus:border-blue-500 outline-none placeholder:text-slate-600";
+
+  return (
+    <div className="space-y-2">
+      {devices.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {devices.map(device => (
+            <span key={nameOf(device)} className="text-xs px-2 py-1 rounded bg-blue-900/30 text-blue-300 flex items-center gap-1">
+              {nameOf(device)}
+              <button onClick={() => onChange(devices.filter(d => d !== device))} disabled={disabled} className="hover:text-red-400"><X size={12} /></button>
+            </span>
+          ))}
+        </div>
+      )}
+      <details>
+        <summary className="text-xs text-slate-500 cursor-pointer">More devices</summary>
+        <div className="space-y-3 mt-2">
+          <div className="flex gap-2">
+            <input type="text" list="playwright-devices" placeholder="Playwright device, e.g. Pixel 7" value={descriptor} onChange={e => setDescriptor(e.target.value)} className={input} />
+            <datalist id="playwright-devices">
+              {descriptors.map(name => <option key={name} value={name} />)}
+            </datalist>
+            <button onClick={addDescriptor} disabled={disabled || !descriptor} className="px-2 rounded border border-slate-800 text-slate-400 hover:text-white disabled:opacity-30"><Plus size={14} /></button>
+          </div>
+          <div className="grid grid-cols-3 gap-1">
+            <input type="text" placeholder="Profile name" value={profile.name} onChange={e => setProfile(prev => ({ ...prev, name: e.target.value }))} className={`${input} col-span-3`} />
+            <input type="number" min="1" title="Viewport width" value={profile.width} onChange={e => setProfile(prev => ({ ...prev, width: e.target.value }))} className={input} />
+            <input type="number" min="1" title="Viewport height" value={profile.height} onChange={e => setProfile(prev => ({ ...prev, height: e.target.value }))} className={input} />
+            <input type="number" min="0.5" max="4" step="0.25" title="Device pixel ratio" value={profile.deviceScaleFactor} onChange={e => setProfile(prev => ({ ...prev, deviceScaleFactor: e.target.value }))} className={input} />
+            <input type="text" placeholder="Locale (de-DE)" value={profile.locale} onChange={e => setProfile(prev => ({ ...prev, locale: e.target.value }))} className={input} />
+            <input type="text" placeholder="Timezone (Europe/Berlin)" value={profile.timezoneId} onChange={e => setProfile(prev => ({ ...prev, timezoneId: e.target.value }))} className={`${input} col-span-2`} />
+            <select value={profile.colorScheme} onChange={e => setProfile(prev => ({ ...prev, colorScheme: e.target.value }))} className={input}>
+              <option value="">Color scheme</option>
+              <option value="light">Light</option>
+              <option value="dark">Dark</option>
+            </select>
+            <input type="text" placeholder="User agent (optional)" value={profile.userAgent} onChange={e => setProfile(prev => ({ ...prev, userAgent: e.target.value }))} className={`${input} col-span-2`} />
+          </div>
+          <div className="flex flex-wrap gap-3 text-xs text-slate-400">
+            <label className="flex items-center gap-1"><input type="checkbox" checked={profile.isMobile} onChange={e => setProfile(prev => ({ ...prev, isMobile: e.target.checked }))} /> Mobile</label>
+            <label className="flex items-center gap-1"><input type="checkbox" checked={profile.hasTouch} onChange={e => setProfile(prev => ({ ...prev, hasTouch: e.target.checked }))} /> Touch</label>
+            <label className="flex items-center gap-1"><input type="checkbox" checked={profile.reducedMotion} onChange={e => setProfile(prev => ({ ...prev, reducedMotion: e.target.checked }))} /> Reduced motion</label>
+            <button onClick={addProfile} disabled={disabled} className="ml-auto text-blue-400 hover:text-blue-300 flex items-center gap-1 disabled:opacity-30"><Plus size={12} /> Add profile</button>
+          </div>
+          <p className="text-[10px] text-slate-500">Figma nodes and throttling set for mobile/tablet/desktop apply to these devices by form factor.</p>
+        </div>
+      </details>
+    </div>
+  );
+}
+
 function DeviceSelector({ selected, onClick, icon, label }) {
   return (
     <button onClick={onClick} className={`flex flex-col items-center justify-center p-3 rounded-lg border transition-all ${selected ? 'bg-blue-600 border-blue-500 text-white' : 'bg-slate-950 border-slate-800 text-slate-500 hover:border-slate-600'}`}>
       {icon} <span className="text-xs mt-1 font-medium">{label}</span>
     </button>
   );
+}
+
+function StepStatusIcon({ status }) {
+  if (status === 'pass') return <CheckCircle size={12} className="text-emerald-400 shrink-0" />;
+  if (status === 'fail') return <XCircle size={12} className="text-red-400 shrink-0" />;
+  return <AlertTriangle size={12} className="text-amber-400 shrink-0" />;
 }
\ No newline at end of file